@@ -28,6 +28,12 @@ import {
 import calculateRouter from './routes/calculate.js';
 import schemaRouter from './routes/schema.js';
 import healthRouter from './routes/health.js';
+import quotesRouter from './routes/quotes.js';
+import templatesRouter from './routes/templates.js';
+import pipelinesRouter from './routes/pipelines.js';
+import taxProfilesRouter from './routes/taxProfiles.js';
+import ratesRouter from './routes/rates.js';
+import defaultsRouter from './routes/defaults.js';
 
 // Utilities
 import { logger } from './utils/logger.js';
@@ -81,8 +87,10 @@ class Application {
             limit: '10mb'
         }));
 
-        // Content type validation for POST/PUT requests
-        this.app.use(validateContentType(['application/json']));
+        // Content type validation for POST/PUT requests; the CSV and spreadsheet uploads check their own
+        this.app.use(validateContentType(['application/json'], {
+            except: [APP_CONSTANTS.API_ENDPOINTS.BATCH, APP_CONSTANTS.API_ENDPOINTS.DEFAULTS_UPLOAD]
+        }));
 
         logger.info('Middleware configured successfully', {
             environment: config.env,
@@ -102,6 +110,12 @@ class Application {
         this.app.use('/api/calculate', calculateRouter);
         this.app.use('/api/schema', schemaRouter);
         this.app.use('/api/health', healthRouter);
+        this.app.use('/api/quotes', quotesRouter);
+        this.app.use('/api/templates', templatesRouter);
+        this.app.use('/api/pipelines', pipelinesRouter);
+        this.app.use('/api/tax-profiles', taxProfilesRouter);
+        this.app.use('/api/rates', ratesRouter);
+        this.app.use('/api/defaults', defaultsRouter);
 
         // Root endpoint - API information
         this.app.get('/', (req, res) => {
@@ -116,7 +130,18 @@ class Application {
                     documentation: '/api-docs',
                     health: '/api/health',
                     calculate: '/api/calculate',
-                    schema: '/api/schema'
+                    quote: '/api/calculate/quote',
+                    batch: '/api/calculate/batch',
+                    reverse: '/api/calculate/reverse',
+                    sensitivity: '/api/calculate/sensitivity',
+                    compare: '/api/calculate/compare',
+                    quotes: '/api/quotes',
+                    schema: '/api/schema',
+                    templates: '/api/templates',
+                    pipelines: '/api/pipelines',
+                    taxProfiles: '/api/tax-profiles',
+                    rateHistory: '/api/rates/history',
+                    defaults: '/api/defaults/versions'
                 },
                 contact: {
                     support: 'support@example.com'
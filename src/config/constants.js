@@ -1,3 +1,8 @@
+import { config } from './environment.js';
+
+// Currencies prices can be given in; rates convert the others through TRY
+const PRICE_CURRENCIES = ['EUR', 'TRY', ...config.currencies.filter(currency => currency !== 'EUR')];
+
 // HTTP Status Codes
 export const HTTP_STATUS = {
     OK: 200,
@@ -24,17 +29,54 @@ export const APP_CONSTANTS = {
         '101-200': 150
     },
 
-    // Calculation ranges
+    // Calculation ranges (fallback when neither config nor the ODS header defines them)
     BATCH_RANGES: ['0-50', '51-100', '101-200'],
 
-    // Supported currencies
-    SUPPORTED_CURRENCIES: ['EUR', 'USD', 'GBP'],
+    // Currencies with a TRY rate, set by CURRENCIES
+    SUPPORTED_CURRENCIES: config.currencies,
+
+    PRICE_CURRENCIES,
+
+    // Currencies results carry finalXxx / perUnitFinalXxx fields for; every price currency is in the final map
+    FINAL_FIELD_CURRENCIES: ['EUR', 'TRY', 'USD', 'GBP'],
 
-    // Default exchange rates (fallback)
+    // Where calculation exchange rates come from
+    RATE_SOURCES: {
+        ODS: 'ods',
+        LIVE: 'live',
+        REQUEST: 'request',
+        // Archived live rates of the day given as rateDate
+        ARCHIVE: 'archive'
+    },
+
+    // Live exchange rate providers, tried in the order given by EXCHANGE_RATE_PROVIDERS
+    RATE_PROVIDERS: {
+        EXCHANGE_RATE_API: 'exchangerate-api',
+        TCMB: 'tcmb',
+        STATIC: 'static'
+    },
+
+    // Who pinned rates apply to; customer pins win over global pins
+    RATE_OVERRIDE_SCOPES: {
+        GLOBAL: 'global',
+        CUSTOMER: 'customer'
+    },
+
+    // Rates published in the TCMB bulletin; finance usually quotes forex selling
+    TCMB_RATE_TYPES: ['ForexBuying', 'ForexSelling', 'BanknoteBuying', 'BanknoteSelling'],
+
+    // Fallback exchange rates: built-in rates, then STATIC_EXCHANGE_RATES, then DEFAULT_EXCHANGE_RATES;
+    // every currency in CURRENCIES needs one
     DEFAULT_EXCHANGE_RATES: {
         EUR: 37.99,
         USD: 33.99,
-        GBP: 44.93
+        GBP: 44.93,
+        PLN: 8.90,
+        SEK: 3.30,
+        AED: 9.26,
+        CHF: 40.40,
+        ...config.staticExchangeRates,
+        ...config.defaultExchangeRates
     },
 
     // Cache expiration times (in milliseconds)
@@ -44,6 +86,60 @@ export const APP_CONSTANTS = {
         CALCULATION_RESULTS: 2 * 60 * 1000 // 2 minutes
     },
 
+    // Batch (multi-product) calculation limits
+    BATCH_CALCULATION: {
+        MAX_ROWS: 500
+    },
+
+    // Fabric line reported in the breakdown when the fabric has no separate lines
+    DEFAULT_FABRIC_LINE: 'main',
+
+    // Reverse calculation: variables that can be solved for
+    REVERSE_CALCULATION: {
+        VARIABLES: {
+            KARLILIK: 'karlilik',
+            FABRIC: 'fabric',
+            OPERATIONS: 'operations'
+        }
+    },
+
+    // Sensitivity sweeps: grid limits and the result fields reported per point
+    SENSITIVITY_ANALYSIS: {
+        MAX_PARAMETERS: 3,
+        MAX_POINTS: 1000,
+        DEFAULT_OUTPUTS: ['perUnitFinalEur', 'finalTry'],
+        OUTPUT_FIELDS: [
+            'fabricCostEur', 'accessoriesCostEur', 'perUnitOpsTry', 'perUnitOpsEur', 'perUnitEur',
+            'hamMaliyetEur', 'genelGiderEur', 'karEur', 'taxableEur', 'kdvEur', 'commissionEur',
+            'finalEur', 'finalTry', 'finalUsd', 'finalGbp',
+            'perUnitFinalEur', 'perUnitFinalTry', 'perUnitFinalUsd', 'perUnitFinalGbp',
+            // Entries of the final map, e.g. final.PLN.perUnit
+            ...PRICE_CURRENCIES.flatMap(currency => [`final.${currency}.total`, `final.${currency}.perUnit`])
+        ]
+    },
+
+    // Pricing pipelines: the steps between the raw cost and the final price, see src/config/pricingPipelines.json
+    PRICING_PIPELINES: {
+        DEFAULT: 'standard',
+        // Amount every pipeline starts from
+        BASE_AMOUNT: 'hamMaliyetEur',
+        // Amounts a step can produce; amounts a pipeline leaves out are 0
+        AMOUNTS: ['genelGiderEur', 'karEur', 'kdvEur', 'commissionEur'],
+        // Parameters a step can take its percentage from, unless it gives a number
+        PERCENTAGES: ['genel_gider', 'karlilik', 'KDV', 'komisyon']
+    },
+
+    // Scenario comparison
+    SCENARIO_COMPARISON: {
+        MAX_SCENARIOS: 10
+    },
+
+    // Defaults file uploads (raw request body)
+    DEFAULTS_UPLOAD: {
+        CONTENT_TYPES: ['application/vnd.oasis.opendocument.spreadsheet', 'application/octet-stream'],
+        MAX_SIZE: '10mb'
+    },
+
     // Percentage calculation divisor
     PERCENTAGE_DIVISOR: 100,
 
@@ -52,7 +148,23 @@ export const APP_CONSTANTS = {
         HEALTH: '/api/health',
         TEST: '/api/test',
         CALCULATE: '/api/calculate',
+        QUOTE: '/api/calculate/quote',
+        BATCH: '/api/calculate/batch',
+        REVERSE: '/api/calculate/reverse',
+        SENSITIVITY: '/api/calculate/sensitivity',
+        COMPARE: '/api/calculate/compare',
+        PIPELINES: '/api/pipelines',
+        TAX_PROFILES: '/api/tax-profiles',
+        RATES: '/api/rates',
+        RATE_CONVERT: '/api/rates/convert',
+        RATE_REFRESH: '/api/rates/refresh',
+        RATE_HISTORY: '/api/rates/history',
+        RATE_OVERRIDES: '/api/rates/overrides',
+        QUOTES: '/api/quotes',
         SCHEMA: '/api/schema',
+        TEMPLATES: '/api/templates',
+        DEFAULTS: '/api/defaults',
+        DEFAULTS_UPLOAD: '/api/defaults/upload',
         DOCS: '/api-docs'
     },
 
@@ -70,32 +182,32 @@ export const APP_CONSTANTS = {
     // Success messages
     SUCCESS_MESSAGES: {
         CALCULATION_COMPLETED: 'Calculation completed successfully',
+        QUOTE_COMPLETED: 'Quote calculated successfully',
+        BATCH_COMPLETED: 'Batch calculation completed',
+        REVERSE_COMPLETED: 'Reverse calculation completed successfully',
+        SENSITIVITY_COMPLETED: 'Sensitivity analysis completed successfully',
+        COMPARISON_COMPLETED: 'Scenario comparison completed successfully',
+        DEFAULTS_UPLOADED: 'Defaults file uploaded',
+        DEFAULTS_ACTIVATED: 'Defaults version activated',
         DEFAULTS_RETRIEVED: 'Default parameters retrieved successfully',
         HEALTH_CHECK_PASSED: 'Health check passed'
     }
 };
 
+// The ODS falls back to the default rate, so a currency without one would fail every calculation
+const currenciesWithoutDefaultRate = config.currencies.filter(currency => !APP_CONSTANTS.DEFAULT_EXCHANGE_RATES[currency]);
+if (currenciesWithoutDefaultRate.length > 0) {
+    throw new Error(
+        `Config validation error: CURRENCIES has no fallback exchange rate for ${currenciesWithoutDefaultRate.join(', ')}; ` +
+        'set one with DEFAULT_EXCHANGE_RATES or STATIC_EXCHANGE_RATES'
+    );
+}
+
 // ODS file structure constants
 export const ODS_STRUCTURE = {
-    // Row indices for different data types
-    RATES_START_ROW: 2,
-    FABRIC_START_ROW: 2,
-    GENEL_GIDER_START_ROW: 7,
-    KARLILIK_START_ROW: 13,
-    KDV_ROW: 18,
-    KOMISYON_ROW: 19,
-    OPERATIONS_START_ROW: 29,
-    OPERATIONS_END_ROW: 35,
-
-    // Column indices
-    COLUMNS: {
-        RATE_VALUES: 1,
-        FABRIC_VALUES: 4,
-        RANGE_0_50: 1,
-        RANGE_51_100: 2,
-        RANGE_101_200: 3,
-        OPERATION_NAME: 0
-    },
+    // Values are located by label, see src/config/odsLayout.json.
+    // Columns between a label and its value unless the layout sets "valueOffset"
+    DEFAULT_VALUE_OFFSET: 1,
 
     // Sheet configuration
     DEFAULT_SHEET_INDEX: 0
@@ -107,5 +219,16 @@ export const VALIDATION_CONSTANTS = {
     MAX_PERCENTAGE: 100,
     MIN_PERCENTAGE: 0,
     MAX_BATCH_SIZE: 10000,
-    MIN_BATCH_SIZE: 1
+    MIN_BATCH_SIZE: 1,
+    MAX_FABRIC_LINES: 10,
+    MAX_ACCESSORIES: 50,
+    RANGE_KEY_PATTERN: /^\d+-\d+$/,
+    TEMPLATE_NAME_PATTERN: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    COUNTRY_CODE_PATTERN: /^[A-Z]{2}$/,
+    CALENDAR_DATE_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+    // Parameters a sensitivity sweep can vary: "rates.EUR", "karlilik.0-50", "operations.DİKİM TRY.0-50", "KDV"
+    SENSITIVITY_PARAMETER_PATTERN: new RegExp(
+        `^(?:rates\\.(?:${config.currencies.join('|')})|fabric\\.(?:unit_eur|price_eur|metre_eur|consumption_m|width_cm|wastage)|` +
+        '(?:genel_gider|karlilik|batch)\\.\\d+-\\d+|operations\\..+\\.\\d+-\\d+|KDV|komisyon)$'
+    )
 };
\ No newline at end of file
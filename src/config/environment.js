@@ -3,17 +3,53 @@ import Joi from 'joi';
 
 dotenv.config();
 
+// "EUR=38.10,USD=34.20" style lists of TRY rates
+const RATE_LIST_PATTERN = /^\s*[A-Z]{3}\s*=\s*\d+(\.\d+)?\s*(,\s*[A-Z]{3}\s*=\s*\d+(\.\d+)?\s*)*$/;
+
+const parseRateList = list => (list
+    ? Object.fromEntries(list.split(',').map(pair => {
+        const [currency, rate] = pair.split('=').map(part => part.trim());
+        return [currency, Number(rate)];
+    }))
+    : null);
+
 // Environment validation schema
 const envSchema = Joi.object({
     NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development'),
     PORT: Joi.number().default(4000),
     ODS_PATH: Joi.string().default('./data/final_maliyet_sistemi.ods'),
+    ODS_LAYOUT_PATH: Joi.string().optional(), // JSON label layout, defaults to src/config/odsLayout.json
+    PRICING_PIPELINES_PATH: Joi.string().optional(), // JSON pricing pipelines, defaults to src/config/pricingPipelines.json
+    TAX_PROFILES_PATH: Joi.string().optional(), // JSON tax profiles, defaults to src/config/taxProfiles.json
+    DEFAULTS_VERSIONS_PATH: Joi.string().default('./data/versions'),
+    QUOTES_PATH: Joi.string().default('./data/quotes.json'),
+    RATE_ARCHIVE_PATH: Joi.string().default('./data/rate-archive.json'),
+    RATE_OVERRIDES_PATH: Joi.string().default('./data/rate-overrides.json'),
     EXCHANGE_API_KEY: Joi.string().optional(),
+    EXCHANGE_RATE_PROVIDERS: Joi.string().default('exchangerate-api,tcmb'), // priority order, e.g. "tcmb,exchangerate-api,static"
+    TCMB_RATE_TYPE: Joi.string()
+        .valid('ForexBuying', 'ForexSelling', 'BanknoteBuying', 'BanknoteSelling')
+        .default('ForexSelling'),
+    STATIC_EXCHANGE_RATES: Joi.string()
+        .pattern(RATE_LIST_PATTERN)
+        .optional(), // e.g. "EUR=38.10,USD=34.20,GBP=45.00"
+    DEFAULT_EXCHANGE_RATES: Joi.string()
+        .pattern(RATE_LIST_PATTERN)
+        .optional(), // fallback rates added to or replacing the built-in ones, e.g. "NOK=3.20,EUR=38.00"
     LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'debug').default('info'),
     CORS_ORIGIN: Joi.string().default('*'),
     RATE_LIMIT_WINDOW: Joi.number().default(15), // minutes
     RATE_LIMIT_MAX_REQUESTS: Joi.number().default(100),
     REQUEST_TIMEOUT: Joi.number().default(30000), // milliseconds
+    COMPANY_NAME: Joi.string().default('Maliyet Sistemi'),
+    COMPANY_CONTACT: Joi.string().optional(),
+    PDF_FONT_PATH: Joi.string().optional(), // TTF font with Turkish glyphs for PDF output
+    BATCH_RANGES: Joi.string().optional(), // e.g. "0-50,51-100,101-200,201-500"
+    // Currencies priced besides TRY, each needs a fallback rate; EUR, USD and GBP are always included, e.g. "EUR,USD,GBP,PLN,SEK,AED,CHF"
+    CURRENCIES: Joi.string()
+        .uppercase()
+        .pattern(/^\s*[A-Z]{3}\s*(,\s*[A-Z]{3}\s*)*$/)
+        .default('EUR,USD,GBP'),
 }).unknown();
 
 const { error, value: envVars } = envSchema.validate(process.env);
@@ -31,9 +67,38 @@ export const config = {
 
     // File paths
     odsPath: envVars.ODS_PATH,
+    odsLayoutPath: envVars.ODS_LAYOUT_PATH,
+    pricingPipelinesPath: envVars.PRICING_PIPELINES_PATH,
+    taxProfilesPath: envVars.TAX_PROFILES_PATH,
+    defaultsVersionsPath: envVars.DEFAULTS_VERSIONS_PATH,
+    quotesPath: envVars.QUOTES_PATH,
+    rateArchivePath: envVars.RATE_ARCHIVE_PATH,
+    rateOverridesPath: envVars.RATE_OVERRIDES_PATH,
+
+    // Quantity tiers (overrides the tiers found in the ODS header row)
+    batchRanges: envVars.BATCH_RANGES
+        ? envVars.BATCH_RANGES.split(',').map(range => range.trim()).filter(Boolean)
+        : null,
+
+    // Currencies rates are kept for; EUR, USD and GBP first since results still carry a field for each
+    currencies: [...new Set([
+        'EUR', 'USD', 'GBP',
+        ...envVars.CURRENCIES.split(',').map(currency => currency.trim()).filter(currency => currency !== 'TRY')
+    ])],
 
     // External APIs
     exchangeApiKey: envVars.EXCHANGE_API_KEY,
+    exchangeRateProviders: envVars.EXCHANGE_RATE_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean),
+    tcmbRateType: envVars.TCMB_RATE_TYPE,
+    staticExchangeRates: parseRateList(envVars.STATIC_EXCHANGE_RATES),
+    defaultExchangeRates: parseRateList(envVars.DEFAULT_EXCHANGE_RATES),
+
+    // Branding used on generated documents
+    branding: {
+        companyName: envVars.COMPANY_NAME,
+        companyContact: envVars.COMPANY_CONTACT
+    },
+    pdfFontPath: envVars.PDF_FONT_PATH,
 
     // Logging
     logLevel: envVars.LOG_LEVEL,
@@ -1,6 +1,13 @@
 import swaggerJsdoc from 'swagger-jsdoc';
 import { config } from './environment.js';
 import { APP_CONSTANTS } from './constants.js';
+import { parseRanges, getDefaultBatchSize } from '../utils/batchRanges.js';
+
+// Batch ranges known at startup (the ODS header may define others at runtime)
+const batchRanges = parseRanges(config.batchRanges || APP_CONSTANTS.BATCH_RANGES);
+
+const rangeProperties = (buildSchema) =>
+    Object.fromEntries(batchRanges.map(range => [range.key, buildSchema(range)]));
 
 // Swagger definition
 const swaggerDefinition = {
@@ -84,30 +91,26 @@ const swaggerDefinition = {
             },
             ExchangeRates: {
                 type: 'object',
-                properties: {
-                    EUR: {
-                        type: 'number',
-                        minimum: 0.001,
-                        example: 37.99,
-                        description: 'EUR to TRY exchange rate'
-                    },
-                    USD: {
-                        type: 'number',
-                        minimum: 0.001,
-                        example: 33.99,
-                        description: 'USD to TRY exchange rate'
-                    },
-                    GBP: {
+                description: 'TRY rate of each currency configured with CURRENCIES',
+                properties: Object.fromEntries(APP_CONSTANTS.SUPPORTED_CURRENCIES.map(currency => [
+                    currency,
+                    {
                         type: 'number',
                         minimum: 0.001,
-                        example: 44.93,
-                        description: 'GBP to TRY exchange rate'
+                        example: APP_CONSTANTS.DEFAULT_EXCHANGE_RATES[currency],
+                        description: `${currency} to TRY exchange rate`
                     }
-                }
+                ]))
             },
             FabricPricing: {
                 type: 'object',
                 properties: {
+                    currency: {
+                        type: 'string',
+                        enum: APP_CONSTANTS.PRICE_CURRENCIES,
+                        default: 'EUR',
+                        description: 'Currency of the fabric prices (the *_eur fields) and default for the lines; converted to EUR through the exchange rates'
+                    },
                     unit_eur: {
                         type: 'number',
                         minimum: 0,
@@ -123,36 +126,100 @@ const swaggerDefinition = {
                     metre_eur: {
                         type: 'number',
                         minimum: 0,
-                        example: 1.5,
-                        description: 'Price per metre in EUR'
-                    }
-                }
-            },
-            BatchRangeData: {
-                type: 'object',
-                properties: {
-                    '0-50': {
+                        example: 3.16,
+                        description: 'Price per metre in EUR; used with consumption_m instead of unit_eur'
+                    },
+                    consumption_m: {
                         type: 'number',
                         minimum: 0,
-                        example: 12.5
+                        example: 1.5,
+                        description: 'Fabric consumption in metres per unit'
                     },
-                    '51-100': {
+                    width_cm: {
                         type: 'number',
                         minimum: 0,
-                        example: 10.0
+                        example: 150,
+                        description: 'Fabric width the consumption refers to'
                     },
-                    '101-200': {
+                    wastage: {
                         type: 'number',
                         minimum: 0,
-                        example: 8.5
+                        maximum: 100,
+                        example: 5,
+                        description: 'Cutting wastage percentage added to metre price x consumption'
+                    },
+                    lines: {
+                        type: 'array',
+                        maxItems: 10,
+                        description: 'Several fabrics per product (shell, lining, rib); their costs are summed. Replaces the template lines',
+                        items: {
+                            $ref: '#/components/schemas/FabricLine'
+                        }
+                    }
+                }
+            },
+            FabricLine: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', example: 'shell' },
+                    currency: {
+                        type: 'string',
+                        enum: APP_CONSTANTS.PRICE_CURRENCIES,
+                        description: 'Currency of the line prices; defaults to the fabric currency'
+                    },
+                    unit_eur: { type: 'number', minimum: 0, example: 0.4 },
+                    metre_eur: { type: 'number', minimum: 0, example: 3.16 },
+                    consumption_m: { type: 'number', minimum: 0, example: 1.2 },
+                    width_cm: { type: 'number', minimum: 0, example: 150 },
+                    wastage: { type: 'number', minimum: 0, maximum: 100, example: 5 }
+                }
+            },
+            AccessoryItem: {
+                type: 'object',
+                required: ['name', 'quantity', 'unit_price'],
+                properties: {
+                    name: { type: 'string', example: 'button' },
+                    quantity: { type: 'number', minimum: 0, example: 6, description: 'Quantity per piece' },
+                    unit_price: { type: 'number', minimum: 0, example: 0.05 },
+                    currency: {
+                        type: 'string',
+                        enum: APP_CONSTANTS.PRICE_CURRENCIES,
+                        default: 'EUR',
+                        description: 'Converted to EUR through the exchange rates'
                     }
+                }
+            },
+            BatchRangeData: {
+                type: 'object',
+                properties: rangeProperties(() => ({
+                    type: 'number',
+                    minimum: 0,
+                    example: 10
+                })),
+                additionalProperties: {
+                    type: 'number',
+                    minimum: 0
                 },
-                description: 'Data organized by batch size ranges'
+                description: 'Data organized by batch size ranges (keys follow the configured tiers, e.g. "201-500")'
             },
             OperationCosts: {
                 type: 'object',
                 additionalProperties: {
-                    $ref: '#/components/schemas/BatchRangeData'
+                    allOf: [
+                        { $ref: '#/components/schemas/BatchRangeData' },
+                        {
+                            type: 'object',
+                            properties: {
+                                currency: {
+                                    type: 'string',
+                                    enum: APP_CONSTANTS.PRICE_CURRENCIES,
+                                    default: 'TRY',
+                                    description: 'Currency of the costs; converted to TRY through the exchange rates'
+                                }
+                            }
+                        }
+                    ]
                 },
                 example: {
                     cutting: {
@@ -160,6 +227,12 @@ const swaggerDefinition = {
                         '51-100': 100,
                         '101-200': 200
                     },
+                    embroidery: {
+                        '0-50': 10,
+                        '51-100': 15,
+                        '101-200': 25,
+                        currency: 'EUR'
+                    },
                     sewing: {
                         '0-50': 150,
                         '51-100': 300,
@@ -170,6 +243,51 @@ const swaggerDefinition = {
             CalculationInput: {
                 type: 'object',
                 properties: {
+                    template: {
+                        type: 'string',
+                        example: 'hoodie',
+                        description: 'Product template (ODS sheet) whose defaults are used. Defaults to the first sheet. See GET /api/templates'
+                    },
+                    taxProfile: {
+                        type: 'string',
+                        example: 'export',
+                        description: 'Tax profile that sets the KDV rate; cannot be combined with KDV. See GET /api/tax-profiles'
+                    },
+                    taxDocumentRef: {
+                        type: 'string',
+                        maxLength: 100,
+                        example: 'GCB-25341400EX012345',
+                        description: 'Export document reference; required by profiles with requiresDocumentRef'
+                    },
+                    destinationCountry: {
+                        type: 'string',
+                        pattern: '^[A-Z]{2}$',
+                        example: 'DE',
+                        description: 'ISO country code; required by profiles with destination rates'
+                    },
+                    pipeline: {
+                        type: 'string',
+                        example: 'export',
+                        description: `Pricing pipeline: order and base of overhead, profit, KDV and commission. Defaults to "${APP_CONSTANTS.PRICING_PIPELINES.DEFAULT}". See GET /api/pipelines`
+                    },
+                    customerRef: {
+                        type: 'string',
+                        maxLength: 100,
+                        example: 'ACME-2025-014',
+                        description: 'Customer reference stored with the saved quote'
+                    },
+                    rateSource: {
+                        type: 'string',
+                        enum: Object.values(APP_CONSTANTS.RATE_SOURCES),
+                        example: 'live',
+                        description: 'Where exchange rates come from: ODS sheet, live exchange service, the request body or the rate archive. Defaults to "archive" when rateDate is sent, "request" when rates are sent, otherwise "ods"'
+                    },
+                    rateDate: {
+                        type: 'string',
+                        format: 'date',
+                        example: '2025-01-20',
+                        description: 'Calculate with the last rates archived on or before this day, e.g. the day the order was confirmed. See GET /api/rates/history'
+                    },
                     rates: {
                         $ref: '#/components/schemas/ExchangeRates',
                         description: 'Override default exchange rates'
@@ -178,6 +296,14 @@ const swaggerDefinition = {
                         $ref: '#/components/schemas/FabricPricing',
                         description: 'Override default fabric pricing'
                     },
+                    accessories: {
+                        type: 'array',
+                        maxItems: 50,
+                        description: 'Trims and packaging per piece; replaces the template accessories',
+                        items: {
+                            $ref: '#/components/schemas/AccessoryItem'
+                        }
+                    },
                     genel_gider: {
                         $ref: '#/components/schemas/BatchRangeData',
                         description: 'General overhead percentages by batch range'
@@ -206,26 +332,12 @@ const swaggerDefinition = {
                     },
                     batch: {
                         type: 'object',
-                        properties: {
-                            '0-50': {
-                                type: 'integer',
-                                minimum: 1,
-                                maximum: 50,
-                                example: 25
-                            },
-                            '51-100': {
-                                type: 'integer',
-                                minimum: 51,
-                                maximum: 100,
-                                example: 75
-                            },
-                            '101-200': {
-                                type: 'integer',
-                                minimum: 101,
-                                maximum: 200,
-                                example: 150
-                            }
-                        },
+                        properties: rangeProperties(range => ({
+                            type: 'integer',
+                            minimum: Math.max(range.min, 1),
+                            maximum: range.max,
+                            example: getDefaultBatchSize(range.key)
+                        })),
                         description: 'Batch sizes for each range'
                     }
                 },
@@ -255,6 +367,11 @@ const swaggerDefinition = {
                         example: 4.74,
                         description: 'Fabric cost per unit in EUR'
                     },
+                    accessoriesCostEur: {
+                        type: 'number',
+                        example: 0.71,
+                        description: 'Accessories cost per unit in EUR'
+                    },
                     perUnitOpsTry: {
                         type: 'number',
                         example: 8.0,
@@ -340,6 +457,27 @@ const swaggerDefinition = {
                         example: 7.20,
                         description: 'Final per unit price in GBP'
                     },
+                    final: {
+                        type: 'object',
+                        description: 'Final total and unit price in every price currency (EUR, TRY and the currencies set by CURRENCIES)',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                total: { type: 'number' },
+                                perUnit: { type: 'number' }
+                            }
+                        },
+                        example: {
+                            EUR: { total: 212.70, perUnit: 8.51 },
+                            TRY: { total: 8082.53, perUnit: 323.30 },
+                            USD: { total: 237.77, perUnit: 9.51 },
+                            GBP: { total: 179.94, perUnit: 7.20 },
+                            PLN: { total: 908.15, perUnit: 36.33 }
+                        }
+                    },
+                    breakdown: {
+                        $ref: '#/components/schemas/CostBreakdown'
+                    },
                     calculationDate: {
                         type: 'string',
                         format: 'date-time',
@@ -352,6 +490,145 @@ const swaggerDefinition = {
                     }
                 }
             },
+            CostBreakdown: {
+                type: 'object',
+                description: 'Cost attribution of the range; shares are percentages',
+                properties: {
+                    fabric: {
+                        type: 'object',
+                        properties: {
+                            perUnitEur: { type: 'number', example: 4.74 },
+                            totalEur: { type: 'number', example: 118.5 },
+                            shareOfHamMaliyet: { type: 'number', example: 95.76 },
+                            lines: {
+                                type: 'object',
+                                description: 'Per fabric line; a fabric without lines is reported as "main"',
+                                additionalProperties: {
+                                    type: 'object',
+                                    properties: {
+                                        currency: { type: 'string', example: 'EUR' },
+                                        metre_eur: { type: 'number', nullable: true },
+                                        consumption_m: { type: 'number', nullable: true },
+                                        width_cm: { type: 'number', nullable: true },
+                                        wastage: { type: 'number', nullable: true },
+                                        perUnitEur: { type: 'number', example: 4.74 },
+                                        totalEur: { type: 'number', example: 118.5 },
+                                        shareOfHamMaliyet: { type: 'number', example: 95.76 }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    accessories: {
+                        type: 'object',
+                        description: 'Per accessory',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                quantity: { type: 'number', example: 6 },
+                                unitPrice: { type: 'number', example: 0.05 },
+                                currency: { type: 'string', example: 'EUR' },
+                                perUnitEur: { type: 'number', example: 0.3 },
+                                totalEur: { type: 'number', example: 7.5 },
+                                shareOfHamMaliyet: { type: 'number', example: 6.06 }
+                            }
+                        }
+                    },
+                    operations: {
+                        type: 'object',
+                        description: 'Per operation priced in the range',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                currency: { type: 'string', example: 'TRY' },
+                                cost: { type: 'number', example: 150, description: 'Cost per batch in the operation currency' },
+                                totalTry: { type: 'number', example: 150 },
+                                perUnitTry: { type: 'number', example: 6 },
+                                perUnitEur: { type: 'number', example: 0.16 },
+                                shareOfHamMaliyet: { type: 'number', example: 3.19 }
+                            }
+                        }
+                    },
+                    finalPriceSplit: {
+                        type: 'object',
+                        description: 'Percentage of finalEur',
+                        properties: {
+                            fabric: { type: 'number', example: 55.71 },
+                            accessories: { type: 'number', example: 0 },
+                            operations: { type: 'number', example: 2.47 },
+                            overhead: { type: 'number', example: 7.27 },
+                            profit: { type: 'number', example: 14.55 },
+                            kdv: { type: 'number', example: 16 },
+                            commission: { type: 'number', example: 4 }
+                        }
+                    }
+                }
+            },
+            RateSourceInfo: {
+                type: 'object',
+                properties: {
+                    source: {
+                        type: 'string',
+                        enum: Object.values(APP_CONSTANTS.RATE_SOURCES),
+                        example: 'live'
+                    },
+                    provider: {
+                        type: 'string',
+                        enum: Object.values(APP_CONSTANTS.RATE_PROVIDERS),
+                        nullable: true,
+                        example: 'tcmb',
+                        description: 'Exchange rate provider that supplied "live" or "archive" rates; null when DEFAULT_EXCHANGE_RATES were used'
+                    },
+                    fetchedAt: {
+                        type: 'string',
+                        format: 'date-time',
+                        description: 'When the rates were fetched (ODS file modification time for "ods")'
+                    },
+                    fallbackUsed: {
+                        type: 'boolean',
+                        example: false,
+                        description: 'True if DEFAULT_EXCHANGE_RATES replaced any missing rate'
+                    },
+                    fallbackCurrencies: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        example: []
+                    },
+                    rateDate: {
+                        type: 'string',
+                        format: 'date',
+                        nullable: true,
+                        description: 'Day of the archived rates used for "archive"'
+                    },
+                    overrides: {
+                        type: 'array',
+                        description: 'Pinned rates that replaced "live" or "ods" rates',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                currency: { type: 'string', example: 'EUR' },
+                                rate: { type: 'number', example: 38.0 },
+                                replaced: { type: 'number', nullable: true, example: 37.99 },
+                                overrideId: { type: 'string', example: 'RO-20250120-1a2b3c4d' },
+                                scope: { type: 'string', enum: Object.values(APP_CONSTANTS.RATE_OVERRIDE_SCOPES) },
+                                customerRef: { type: 'string', nullable: true },
+                                validUntil: { type: 'string', format: 'date', nullable: true }
+                            }
+                        }
+                    }
+                },
+                description: 'Provenance of the exchange rates used in a calculation'
+            },
+            CurrencyConversion: {
+                type: 'object',
+                description: 'Conversion applied to a priced item: fabric and accessories to EUR, operations to TRY',
+                properties: {
+                    item: { type: 'string', example: 'fabric.lines.shell' },
+                    from: { type: 'string', example: 'USD' },
+                    to: { type: 'string', example: 'EUR' },
+                    rate: { type: 'number', example: 0.894709, description: 'Units of "to" per unit of "from"' }
+                }
+            },
             CalculationResponse: {
                 allOf: [
                     { $ref: '#/components/schemas/SuccessResponse' },
@@ -369,12 +646,16 @@ const swaggerDefinition = {
                                         $ref: '#/components/schemas/FabricPricing',
                                         description: 'Fabric pricing used in calculation'
                                     },
+                                    taxProfile: {
+                                        $ref: '#/components/schemas/AppliedTaxProfile'
+                                    },
                                     result: {
                                         type: 'object',
-                                        properties: {
-                                            '0-50': { $ref: '#/components/schemas/CalculationResult' },
-                                            '51-100': { $ref: '#/components/schemas/CalculationResult' },
-                                            '101-200': { $ref: '#/components/schemas/CalculationResult' }
+                                        properties: rangeProperties(() => ({
+                                            $ref: '#/components/schemas/CalculationResult'
+                                        })),
+                                        additionalProperties: {
+                                            $ref: '#/components/schemas/CalculationResult'
                                         },
                                         description: 'Calculation results for each batch range'
                                     },
@@ -388,6 +669,31 @@ const swaggerDefinition = {
                                             inputHash: {
                                                 type: 'string'
                                             },
+                                            odsModifiedAt: {
+                                                type: 'string',
+                                                format: 'date-time',
+                                                nullable: true,
+                                                description: 'Modification time of the ODS file the defaults were read from'
+                                            },
+                                            rates: {
+                                                $ref: '#/components/schemas/RateSourceInfo'
+                                            },
+                                            pipeline: {
+                                                type: 'string',
+                                                example: 'standard'
+                                            },
+                                            conversions: {
+                                                type: 'array',
+                                                items: {
+                                                    $ref: '#/components/schemas/CurrencyConversion'
+                                                }
+                                            },
+                                            quoteId: {
+                                                type: 'string',
+                                                nullable: true,
+                                                example: 'Q-20250120-1a2b3c4d',
+                                                description: 'Null if the quote could not be saved'
+                                            },
                                             version: {
                                                 type: 'string'
                                             }
@@ -399,107 +705,920 @@ const swaggerDefinition = {
                     }
                 ]
             },
-            SchemaResponse: {
+            QuoteInput: {
                 allOf: [
-                    { $ref: '#/components/schemas/SuccessResponse' },
+                    { $ref: '#/components/schemas/CalculationInput' },
                     {
                         type: 'object',
+                        required: ['quantity'],
                         properties: {
-                            defaults: {
-                                $ref: '#/components/schemas/CalculationInput',
-                                description: 'Default parameters from ODS file'
-                            },
-                            note: {
-                                type: 'string',
-                                example: 'You can POST to /api/calculate with overrides to compute results.'
+                            quantity: {
+                                type: 'integer',
+                                minimum: 1,
+                                maximum: 10000,
+                                example: 137,
+                                description: 'Order quantity; its batch range is resolved automatically. "batch" is not accepted.'
                             }
                         }
                     }
                 ]
             },
-            HealthResponse: {
+            QuoteResponse: {
                 allOf: [
                     { $ref: '#/components/schemas/SuccessResponse' },
                     {
                         type: 'object',
                         properties: {
-                            status: {
-                                type: 'string',
-                                example: 'ok'
-                            },
-                            timestamp: {
-                                type: 'string',
-                                format: 'date-time'
-                            },
-                            uptime: {
-                                type: 'string',
-                                example: '2h 30m 45s'
-                            },
-                            version: {
-                                type: 'string',
-                                example: '2.0.0'
-                            },
-                            environment: {
-                                type: 'string',
-                                example: 'development'
-                            },
-                            dependencies: {
+                            data: {
                                 type: 'object',
                                 properties: {
-                                    odsFile: {
+                                    quantity: { type: 'integer', example: 137 },
+                                    range: { type: 'string', example: '101-200' },
+                                    quote: {
                                         type: 'object',
                                         properties: {
-                                            status: { type: 'string' },
-                                            path: { type: 'string' },
-                                            lastModified: { type: 'string' }
+                                            perUnitEur: { type: 'number', example: 7.91 },
+                                            perUnitTry: { type: 'number', example: 300.45 },
+                                            perUnitUsd: { type: 'number', example: 8.84 },
+                                            perUnitGbp: { type: 'number', example: 6.69 },
+                                            totalEur: { type: 'number', example: 1083.67 },
+                                            totalTry: { type: 'number', example: 41168.62 },
+                                            totalUsd: { type: 'number', example: 1211.17 },
+                                            totalGbp: { type: 'number', example: 916.27 },
+                                            final: {
+                                                type: 'object',
+                                                description: 'Total and unit price in every price currency, as in CalculationResult.final'
+                                            }
                                         }
                                     },
-                                    exchangeRateService: {
+                                    rates: {
+                                        $ref: '#/components/schemas/ExchangeRates'
+                                    },
+                                    taxProfile: {
+                                        $ref: '#/components/schemas/AppliedTaxProfile'
+                                    },
+                                    result: {
+                                        $ref: '#/components/schemas/CalculationResult'
+                                    },
+                                    metadata: {
                                         type: 'object',
                                         properties: {
-                                            status: { type: 'string' },
-                                            responseTime: { type: 'string' }
+                                            calculatedAt: { type: 'string', format: 'date-time' },
+                                            inputHash: { type: 'string' },
+                                            rates: { $ref: '#/components/schemas/RateSourceInfo' },
+                                            version: { type: 'string' }
                                         }
                                     }
                                 }
+                            }
+                        }
+                    }
+                ]
+            },
+            ReverseCalculationInput: {
+                allOf: [
+                    { $ref: '#/components/schemas/CalculationInput' },
+                    {
+                        type: 'object',
+                        required: ['solveFor', 'targetPerUnit'],
+                        properties: {
+                            solveFor: {
+                                type: 'string',
+                                enum: ['karlilik', 'fabric', 'operations'],
+                                description: 'Variable to solve: karlilik percentage, fabric unit_eur or the total operations budget (TRY per batch)'
                             },
-                            cache: {
+                            targetCurrency: {
+                                type: 'string',
+                                enum: APP_CONSTANTS.PRICE_CURRENCIES,
+                                default: 'EUR'
+                            },
+                            targetPerUnit: {
                                 type: 'object',
-                                properties: {
-                                    hitRate: { type: 'string' },
-                                    totalRequests: { type: 'number' },
-                                    currentSize: { type: 'number' }
-                                }
+                                additionalProperties: { type: 'number', minimum: 0, exclusiveMinimum: true },
+                                example: { '0-50': 100, '51-100': 8.5 },
+                                description: 'Target final unit price per batch range'
                             }
                         }
                     }
                 ]
-            }
-        },
-        responses: {
-            BadRequest: {
-                description: 'Bad request - validation error',
-                content: {
-                    'application/json': {
-                        schema: { $ref: '#/components/schemas/ErrorResponse' }
-                    }
-                }
             },
-            NotFound: {
-                description: 'Resource not found',
-                content: {
-                    'application/json': {
-                        schema: { $ref: '#/components/schemas/ErrorResponse' }
+            ReverseSolution: {
+                type: 'object',
+                properties: {
+                    range: { type: 'string', example: '0-50' },
+                    batchSize: { type: 'number', example: 25 },
+                    target: { type: 'number', example: 100 },
+                    current: { type: 'number', example: 25, description: 'Value of the variable in the merged parameters' },
+                    currentPerUnitFinal: { type: 'number', example: 111.53 },
+                    solved: { type: 'number', nullable: true, example: 9.12, description: 'Highest value that keeps the unit price at or below the target' },
+                    headroom: { type: 'number', nullable: true, example: -15.88, description: 'solved - current' },
+                    feasible: { type: 'boolean' },
+                    message: { type: 'string', description: 'Why the target cannot be reached' },
+                    result: {
+                        allOf: [{ $ref: '#/components/schemas/CalculationResult' }],
+                        nullable: true,
+                        description: 'Forward calculation at the solved value'
                     }
                 }
             },
-            TooManyRequests: {
-                description: 'Rate limit exceeded',
-                content: {
-                    'application/json': {
-                        schema: { $ref: '#/components/schemas/ErrorResponse' }
+            ReverseCalculationResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            data: {
+                                type: 'object',
+                                properties: {
+                                    solveFor: { type: 'string', example: 'karlilik' },
+                                    targetCurrency: { type: 'string', example: 'EUR' },
+                                    rates: {
+                                        $ref: '#/components/schemas/ExchangeRates'
+                                    },
+                                    result: {
+                                        type: 'object',
+                                        additionalProperties: {
+                                            $ref: '#/components/schemas/ReverseSolution'
+                                        }
+                                    },
+                                    metadata: {
+                                        type: 'object',
+                                        properties: {
+                                            calculatedAt: { type: 'string', format: 'date-time' },
+                                            inputHash: { type: 'string' },
+                                            rates: { $ref: '#/components/schemas/RateSourceInfo' },
+                                            version: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
                     }
-                }
+                ]
+            },
+            SensitivityInput: {
+                allOf: [
+                    { $ref: '#/components/schemas/CalculationInput' },
+                    {
+                        type: 'object',
+                        required: ['vary'],
+                        properties: {
+                            vary: {
+                                type: 'array',
+                                minItems: 1,
+                                maxItems: 3,
+                                items: {
+                                    type: 'object',
+                                    required: ['parameter'],
+                                    properties: {
+                                        parameter: { type: 'string', example: 'rates.EUR' },
+                                        values: { type: 'array', items: { type: 'number' } },
+                                        from: { type: 'number', example: 35 },
+                                        to: { type: 'number', example: 45 },
+                                        step: { type: 'number', example: 1 }
+                                    }
+                                }
+                            },
+                            outputs: {
+                                type: 'array',
+                                items: { type: 'string' },
+                                default: ['perUnitFinalEur', 'finalTry'],
+                                description: 'Result fields reported per range'
+                            }
+                        }
+                    }
+                ]
+            },
+            SensitivityResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            data: {
+                                type: 'object',
+                                properties: {
+                                    parameters: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                parameter: { type: 'string', example: 'rates.EUR' },
+                                                values: { type: 'array', items: { type: 'number' }, example: [35, 36, 37] }
+                                            }
+                                        }
+                                    },
+                                    outputs: { type: 'array', items: { type: 'string' } },
+                                    base: {
+                                        type: 'object',
+                                        description: 'Outputs per range without any variation'
+                                    },
+                                    points: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                values: {
+                                                    type: 'object',
+                                                    example: { 'rates.EUR': 35 }
+                                                },
+                                                result: {
+                                                    type: 'object',
+                                                    example: { '0-50': { perUnitFinalEur: 111.53, finalTry: 105923.48 } }
+                                                }
+                                            }
+                                        }
+                                    },
+                                    rates: { $ref: '#/components/schemas/ExchangeRates' },
+                                    metadata: {
+                                        type: 'object',
+                                        properties: {
+                                            calculatedAt: { type: 'string', format: 'date-time' },
+                                            inputHash: { type: 'string' },
+                                            rates: { $ref: '#/components/schemas/RateSourceInfo' },
+                                            version: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            CompareInput: {
+                type: 'object',
+                required: ['scenarios'],
+                properties: {
+                    scenarios: {
+                        type: 'array',
+                        minItems: 2,
+                        maxItems: 10,
+                        items: {
+                            type: 'object',
+                            required: ['name'],
+                            properties: {
+                                name: { type: 'string', example: 'new supplier' },
+                                input: { $ref: '#/components/schemas/CalculationInput' }
+                            }
+                        }
+                    },
+                    baseline: {
+                        type: 'string',
+                        example: 'current supplier',
+                        description: 'Scenario the deltas are measured against; the first scenario if omitted'
+                    }
+                }
+            },
+            CompareResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            data: {
+                                type: 'object',
+                                properties: {
+                                    baseline: { type: 'string', example: 'current supplier' },
+                                    scenarios: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                name: { type: 'string' },
+                                                template: { type: 'string' },
+                                                rates: { $ref: '#/components/schemas/ExchangeRates' },
+                                                metadata: { type: 'object' }
+                                            }
+                                        }
+                                    },
+                                    result: {
+                                        type: 'object',
+                                        description: 'Per range and output field: values per scenario and deltas against the baseline',
+                                        example: {
+                                            '0-50': {
+                                                perUnitFinalEur: {
+                                                    values: { 'current supplier': 111.53, 'new supplier': 108.49 },
+                                                    deltas: { 'new supplier': { delta: -3.04, deltaPercent: -2.73 } }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            QuoteRecord: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', example: 'Q-20250120-1a2b3c4d' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    customerRef: { type: 'string', nullable: true, example: 'ACME-2025-014' },
+                    odsModifiedAt: {
+                        type: 'string',
+                        format: 'date-time',
+                        nullable: true,
+                        description: 'Modification time of the ODS file the defaults came from'
+                    },
+                    input: {
+                        $ref: '#/components/schemas/CalculationInput',
+                        description: 'Request body as received'
+                    },
+                    params: {
+                        type: 'object',
+                        description: 'Exact merged parameters used for the calculation'
+                    },
+                    result: {
+                        type: 'object',
+                        additionalProperties: {
+                            $ref: '#/components/schemas/CalculationResult'
+                        }
+                    },
+                    metadata: {
+                        type: 'object'
+                    }
+                }
+            },
+            QuoteRecordResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            data: { $ref: '#/components/schemas/QuoteRecord' }
+                        }
+                    }
+                ]
+            },
+            QuoteListResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            total: { type: 'integer', example: 1 },
+                            quotes: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        id: { type: 'string' },
+                                        createdAt: { type: 'string', format: 'date-time' },
+                                        customerRef: { type: 'string', nullable: true },
+                                        template: { type: 'string', nullable: true },
+                                        taxProfile: { type: 'string', nullable: true, example: 'export' },
+                                        odsModifiedAt: { type: 'string', format: 'date-time', nullable: true },
+                                        perUnitFinalEur: {
+                                            type: 'object',
+                                            additionalProperties: { type: 'number' },
+                                            example: { '0-50': 111.53, '51-100': 8.89 }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            DefaultsVersion: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', example: 'V-20250120-1a2b3c4d' },
+                    fileName: { type: 'string', nullable: true, example: 'maliyet_2025_02.ods' },
+                    source: {
+                        type: 'string',
+                        enum: ['upload', 'external'],
+                        description: '"external" marks a file that was placed at ODS_PATH by hand and kept before being replaced'
+                    },
+                    uploadedAt: { type: 'string', format: 'date-time' },
+                    activatedAt: { type: 'string', format: 'date-time', nullable: true },
+                    size: { type: 'integer', example: 24576 },
+                    sha256: { type: 'string' },
+                    templates: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'string', example: 'hoodie' },
+                                sheetName: { type: 'string', example: 'Hoodie' }
+                            }
+                        }
+                    },
+                    active: { type: 'boolean', example: true }
+                }
+            },
+            DefaultsVersionResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            data: { $ref: '#/components/schemas/DefaultsVersion' }
+                        }
+                    }
+                ]
+            },
+            DefaultsVersionListResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            activeId: { type: 'string', nullable: true },
+                            versions: {
+                                type: 'array',
+                                items: { $ref: '#/components/schemas/DefaultsVersion' }
+                            }
+                        }
+                    }
+                ]
+            },
+            DefaultsChange: {
+                type: 'object',
+                properties: {
+                    section: {
+                        type: 'string',
+                        enum: ['batchRanges', 'rates', 'fabric', 'genel_gider', 'karlilik', 'KDV', 'komisyon', 'operations']
+                    },
+                    key: { type: 'string', nullable: true, example: 'DİKİM TRY', description: 'Currency, fabric field or operation name' },
+                    range: { type: 'string', nullable: true, example: '0-50' },
+                    from: { nullable: true, example: 400, description: 'Old value, null if added' },
+                    to: { nullable: true, example: 450, description: 'New value, null if removed' },
+                    delta: { type: 'number', nullable: true, example: 50 },
+                    deltaPercent: { type: 'number', nullable: true, example: 12.5 }
+                }
+            },
+            DefaultsDiffResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            data: {
+                                type: 'object',
+                                properties: {
+                                    from: { $ref: '#/components/schemas/DefaultsVersion' },
+                                    to: { $ref: '#/components/schemas/DefaultsVersion' },
+                                    templates: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                template: { type: 'string', example: 'maliyet-sistemi' },
+                                                status: { type: 'string', enum: ['changed', 'unchanged', 'added', 'removed'] },
+                                                changes: {
+                                                    type: 'array',
+                                                    items: { $ref: '#/components/schemas/DefaultsChange' }
+                                                },
+                                                impact: {
+                                                    type: 'object',
+                                                    description: 'Estimated perUnitFinalEur per range',
+                                                    additionalProperties: {
+                                                        type: 'object',
+                                                        properties: {
+                                                            from: { type: 'number', nullable: true },
+                                                            to: { type: 'number', nullable: true },
+                                                            delta: { type: 'number', nullable: true },
+                                                            deltaPercent: { type: 'number', nullable: true }
+                                                        }
+                                                    }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            TemplateListResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            templates: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        name: { type: 'string', example: 'hoodie' },
+                                        sheetName: { type: 'string', example: 'Hoodie' },
+                                        default: { type: 'boolean', example: false }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            AppliedTaxProfile: {
+                type: 'object',
+                nullable: true,
+                description: 'Tax profile used in the calculation; null when KDV came from the request or ODS',
+                properties: {
+                    name: { type: 'string', example: 'eu' },
+                    description: { type: 'string', nullable: true },
+                    kdv: { type: 'number', example: 19 },
+                    documentRef: { type: 'string', nullable: true },
+                    destinationCountry: { type: 'string', nullable: true, example: 'DE' }
+                }
+            },
+            CurrentRatesResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            baseCurrency: { type: 'string', example: 'TRY' },
+                            rates: { $ref: '#/components/schemas/ExchangeRates' },
+                            source: { type: 'string', enum: ['api', 'static', 'default'], example: 'api' },
+                            provider: {
+                                type: 'string',
+                                enum: Object.values(APP_CONSTANTS.RATE_PROVIDERS),
+                                nullable: true,
+                                example: 'tcmb'
+                            },
+                            fetchedAt: { type: 'string', format: 'date-time' },
+                            ageSeconds: { type: 'integer', example: 120 },
+                            maxAgeSeconds: {
+                                type: 'integer',
+                                example: 900,
+                                description: 'Cached rates are fetched again once they are this old'
+                            },
+                            fallbackUsed: { type: 'boolean', example: false },
+                            fallbackCurrencies: { type: 'array', items: { type: 'string' }, example: [] },
+                            overrides: {
+                                type: 'array',
+                                items: { type: 'object' },
+                                description: 'Pinned rates applied, as in RateSourceInfo.overrides'
+                            }
+                        }
+                    }
+                ]
+            },
+            RateConversionResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            amount: { type: 'number', example: 100 },
+                            from: { type: 'string', example: 'EUR' },
+                            to: { type: 'string', example: 'USD' },
+                            rate: { type: 'number', example: 1.117682 },
+                            result: { type: 'number', example: 111.77 },
+                            source: { type: 'string', example: 'api' },
+                            provider: { type: 'string', nullable: true, example: 'tcmb' },
+                            fetchedAt: { type: 'string', format: 'date-time' },
+                            overrides: { type: 'array', items: { type: 'object' } }
+                        }
+                    }
+                ]
+            },
+            RateOverride: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', example: 'RO-20250120-1a2b3c4d' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    scope: { type: 'string', enum: Object.values(APP_CONSTANTS.RATE_OVERRIDE_SCOPES), example: 'customer' },
+                    customerRef: { type: 'string', nullable: true, example: 'ACME-2025-001' },
+                    rates: {
+                        type: 'object',
+                        additionalProperties: { type: 'number' },
+                        example: { EUR: 38.0 }
+                    },
+                    validUntil: { type: 'string', format: 'date', nullable: true, example: '2025-06-30' },
+                    reason: { type: 'string', example: 'Contract 2025/14, fixed EUR rate for the spring season' },
+                    status: {
+                        type: 'string',
+                        enum: ['active', 'expired', 'superseded'],
+                        description: 'Only in lists'
+                    }
+                }
+            },
+            RateOverrideInput: {
+                type: 'object',
+                required: ['rates', 'reason'],
+                properties: {
+                    rates: {
+                        allOf: [{ $ref: '#/components/schemas/ExchangeRates' }],
+                        description: 'Rates to pin; {} clears the rates the scope pinned before'
+                    },
+                    scope: {
+                        type: 'string',
+                        enum: Object.values(APP_CONSTANTS.RATE_OVERRIDE_SCOPES),
+                        default: 'global'
+                    },
+                    customerRef: {
+                        type: 'string',
+                        maxLength: 100,
+                        description: 'Required with scope "customer", not allowed otherwise'
+                    },
+                    validUntil: {
+                        type: 'string',
+                        format: 'date',
+                        description: 'Last day the rates apply; without it they apply until replaced'
+                    },
+                    reason: { type: 'string', maxLength: 500 }
+                }
+            },
+            RateOverrideResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            override: { $ref: '#/components/schemas/RateOverride' }
+                        }
+                    }
+                ]
+            },
+            RateOverrideListResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            active: {
+                                type: 'array',
+                                items: { $ref: '#/components/schemas/RateOverride' }
+                            },
+                            history: {
+                                type: 'array',
+                                items: { $ref: '#/components/schemas/RateOverride' }
+                            }
+                        }
+                    }
+                ]
+            },
+            RateHistoryResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            total: { type: 'integer', example: 1 },
+                            history: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        date: { type: 'string', format: 'date', example: '2025-01-20' },
+                                        fetchedAt: { type: 'string', format: 'date-time' },
+                                        baseCurrency: { type: 'string', example: 'TRY' },
+                                        source: { type: 'string', example: 'api' },
+                                        provider: { type: 'string', nullable: true, example: 'tcmb' },
+                                        rates: {
+                                            type: 'object',
+                                            additionalProperties: { type: 'number' },
+                                            example: { EUR: 37.99, USD: 33.99, GBP: 44.93 }
+                                        },
+                                        fallbackCurrencies: {
+                                            type: 'array',
+                                            items: { type: 'string' },
+                                            example: []
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            TaxProfileListResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            taxProfiles: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        name: { type: 'string', example: 'export' },
+                                        description: { type: 'string', nullable: true },
+                                        kdv: {
+                                            type: 'number',
+                                            nullable: true,
+                                            example: 0,
+                                            description: 'Null for profiles with destination rates'
+                                        },
+                                        requiresDocumentRef: { type: 'boolean', example: true },
+                                        destinationRates: {
+                                            type: 'object',
+                                            nullable: true,
+                                            additionalProperties: { type: 'number' },
+                                            example: { DE: 19, FR: 20 }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            PricingPipelineListResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            pipelines: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        name: { type: 'string', example: 'export' },
+                                        description: { type: 'string', nullable: true },
+                                        default: { type: 'boolean', example: false },
+                                        steps: {
+                                            type: 'array',
+                                            items: {
+                                                type: 'object',
+                                                properties: {
+                                                    amount: {
+                                                        type: 'string',
+                                                        enum: APP_CONSTANTS.PRICING_PIPELINES.AMOUNTS,
+                                                        example: 'commissionEur'
+                                                    },
+                                                    base: {
+                                                        type: 'array',
+                                                        items: { type: 'string' },
+                                                        example: ['hamMaliyetEur', 'genelGiderEur', 'karEur']
+                                                    },
+                                                    percentage: {
+                                                        oneOf: [
+                                                            { type: 'string', enum: APP_CONSTANTS.PRICING_PIPELINES.PERCENTAGES },
+                                                            { type: 'number' }
+                                                        ],
+                                                        example: 'komisyon'
+                                                    }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            BatchCalculationResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            data: {
+                                type: 'object',
+                                properties: {
+                                    summary: {
+                                        type: 'object',
+                                        properties: {
+                                            total: { type: 'integer', example: 2 },
+                                            succeeded: { type: 'integer', example: 1 },
+                                            failed: { type: 'integer', example: 1 }
+                                        }
+                                    },
+                                    rows: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                row: { type: 'integer', example: 1 },
+                                                ref: { type: 'string', example: 'TSHIRT-001' },
+                                                success: { type: 'boolean' },
+                                                result: {
+                                                    type: 'object',
+                                                    additionalProperties: {
+                                                        $ref: '#/components/schemas/CalculationResult'
+                                                    }
+                                                },
+                                                metadata: { type: 'object' },
+                                                errors: {
+                                                    type: 'array',
+                                                    items: {
+                                                        type: 'object',
+                                                        properties: {
+                                                            field: { type: 'string', nullable: true },
+                                                            message: { type: 'string' }
+                                                        }
+                                                    }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            SchemaResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            defaults: {
+                                $ref: '#/components/schemas/CalculationInput',
+                                description: 'Default parameters from ODS file'
+                            },
+                            note: {
+                                type: 'string',
+                                example: 'You can POST to /api/calculate with overrides to compute results.'
+                            }
+                        }
+                    }
+                ]
+            },
+            HealthResponse: {
+                allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                        type: 'object',
+                        properties: {
+                            status: {
+                                type: 'string',
+                                example: 'ok'
+                            },
+                            timestamp: {
+                                type: 'string',
+                                format: 'date-time'
+                            },
+                            uptime: {
+                                type: 'string',
+                                example: '2h 30m 45s'
+                            },
+                            version: {
+                                type: 'string',
+                                example: '2.0.0'
+                            },
+                            environment: {
+                                type: 'string',
+                                example: 'development'
+                            },
+                            dependencies: {
+                                type: 'object',
+                                properties: {
+                                    odsFile: {
+                                        type: 'object',
+                                        properties: {
+                                            status: { type: 'string' },
+                                            path: { type: 'string' },
+                                            lastModified: { type: 'string' }
+                                        }
+                                    },
+                                    exchangeRateService: {
+                                        type: 'object',
+                                        properties: {
+                                            status: { type: 'string' },
+                                            responseTime: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            },
+                            cache: {
+                                type: 'object',
+                                properties: {
+                                    hitRate: { type: 'string' },
+                                    totalRequests: { type: 'number' },
+                                    currentSize: { type: 'number' }
+                                }
+                            }
+                        }
+                    }
+                ]
+            }
+        },
+        responses: {
+            BadRequest: {
+                description: 'Bad request - validation error',
+                content: {
+                    'application/json': {
+                        schema: { $ref: '#/components/schemas/ErrorResponse' }
+                    }
+                }
+            },
+            NotFound: {
+                description: 'Resource not found',
+                content: {
+                    'application/json': {
+                        schema: { $ref: '#/components/schemas/ErrorResponse' }
+                    }
+                }
+            },
+            TooManyRequests: {
+                description: 'Rate limit exceeded',
+                content: {
+                    'application/json': {
+                        schema: { $ref: '#/components/schemas/ErrorResponse' }
+                    }
+                }
             },
             InternalServerError: {
                 description: 'Internal server error',
@@ -516,10 +1635,26 @@ const swaggerDefinition = {
             name: 'Calculate',
             description: 'Cost calculation operations'
         },
+        {
+            name: 'Quotes',
+            description: 'Saved calculation results'
+        },
         {
             name: 'Schema',
             description: 'Default parameters and configuration'
         },
+        {
+            name: 'Templates',
+            description: 'Product templates defined by the ODS sheets'
+        },
+        {
+            name: 'Defaults',
+            description: 'Upload and versioning of the defaults spreadsheet'
+        },
+        {
+            name: 'Rates',
+            description: 'Exchange rates and their archive'
+        },
         {
             name: 'Health',
             description: 'System health and monitoring'
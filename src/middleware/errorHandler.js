@@ -82,7 +82,8 @@ export function errorHandler(error, req, res, next) {
         statusCode: appError.statusCode,
         userAgent: req.get('User-Agent'),
         ip: req.ip || req.connection.remoteAddress,
-        body: req.body,
+        // Uploaded files are logged by size only
+        body: Buffer.isBuffer(req.body) ? `<${req.body.length} bytes>` : req.body,
         query: req.query,
         params: req.params
     };
@@ -227,10 +227,21 @@ export function validateIP() {
 
 /**
  * Content type validation
+ * Requests without a body (e.g. POST /api/rates/refresh) need no Content-Type
+ * @param {string[]} expectedTypes - Accepted content types
+ * @param {object} options - { except: paths that check their own content types }
  */
-export function validateContentType(expectedTypes = ['application/json']) {
+export function validateContentType(expectedTypes = ['application/json'], { except = [] } = {}) {
     return (req, res, next) => {
-        if (req.method === 'GET' || req.method === 'DELETE') {
+        // Routing is not strict, so "/api/calculate/batch/" reaches the same route as "/api/calculate/batch"
+        const path = req.path.length > 1 ? req.path.replace(/\/+$/, '') : req.path;
+
+        if (req.method === 'GET' || req.method === 'DELETE' || except.includes(path)) {
+            return next();
+        }
+
+        const hasBody = req.get('Transfer-Encoding') !== undefined || Number(req.get('Content-Length')) > 0;
+        if (!hasBody) {
             return next();
         }
 
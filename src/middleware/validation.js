@@ -4,52 +4,282 @@ import { VALIDATION_CONSTANTS, APP_CONSTANTS } from '../config/constants.js';
 import { logger } from '../utils/logger.js';
 
 // Mevcut şemalar aynı kalacak...
-const currencySchema = Joi.object({
-    EUR: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).optional(),
-    USD: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).optional(),
-    GBP: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).optional()
-});
+// TRY rate of each configured currency
+const currencySchema = Joi.object(Object.fromEntries(
+    APP_CONSTANTS.SUPPORTED_CURRENCIES.map(currency => [
+        currency,
+        Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).optional()
+    ])
+));
 
-const fabricSchema = Joi.object({
+// metre_eur is the price per metre; with consumption_m (metres per unit) and wastage (%)
+// it replaces the fixed unit price. width_cm is the fabric width the consumption refers to
+const fabricFields = {
+    currency: Joi.string().uppercase().valid(...APP_CONSTANTS.PRICE_CURRENCIES).optional(),
     unit_eur: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).optional(),
+    metre_eur: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).optional(),
+    consumption_m: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).optional(),
+    width_cm: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).optional(),
+    wastage: Joi.number().min(VALIDATION_CONSTANTS.MIN_PERCENTAGE).max(VALIDATION_CONSTANTS.MAX_PERCENTAGE).optional()
+};
+
+// One fabric of a product (shell, lining, rib, ...), priced by unit or by metre
+const fabricLineSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    ...fabricFields
+}).or('unit_eur', 'metre_eur').and('metre_eur', 'consumption_m');
+
+const fabricSchema = Joi.object({
+    ...fabricFields,
     price_eur: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).optional(),
-    metre_eur: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).optional()
+    lines: Joi.array().items(fabricLineSchema).min(1).max(VALIDATION_CONSTANTS.MAX_FABRIC_LINES).unique('name').optional()
 });
 
-const rangeSchema = Joi.object({
-    '0-50': Joi.number().min(0).optional(),
-    '51-100': Joi.number().min(0).optional(),
-    '101-200': Joi.number().min(0).optional()
-}).min(1);
+// Range keys are checked against the active tiers by the calculator
+const rangeKeySchema = Joi.string().pattern(VALIDATION_CONSTANTS.RANGE_KEY_PATTERN);
+
+const rangeSchema = Joi.object().pattern(
+    rangeKeySchema,
+    Joi.number().min(0)
+).min(1);
+
+const batchSchema = Joi.object().pattern(
+    rangeKeySchema,
+    Joi.number().min(VALIDATION_CONSTANTS.MIN_BATCH_SIZE).max(VALIDATION_CONSTANTS.MAX_BATCH_SIZE)
+);
+
+// Trims and packaging (buttons, zippers, labels, ...) priced per unit in any price currency
+const accessoriesSchema = Joi.array().items(Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    quantity: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).required(),
+    unit_price: Joi.number().positive().min(VALIDATION_CONSTANTS.MIN_POSITIVE_NUMBER).required(),
+    currency: Joi.string().uppercase().valid(...APP_CONSTANTS.PRICE_CURRENCIES).default('EUR')
+})).max(VALIDATION_CONSTANTS.MAX_ACCESSORIES).unique('name');
 
 const percentageSchema = Joi.number()
     .min(VALIDATION_CONSTANTS.MIN_PERCENTAGE)
     .max(VALIDATION_CONSTANTS.MAX_PERCENTAGE);
 
+// Operation costs are in TRY unless "currency" names another price currency
 const operationsSchema = Joi.object().pattern(
     Joi.string(),
-    rangeSchema
+    rangeSchema.keys({
+        currency: Joi.string().uppercase().valid(...APP_CONSTANTS.PRICE_CURRENCIES).optional()
+    })
 );
 
+// Calendar day as YYYY-MM-DD; unlike isoDate() the value is kept as given
+const calendarDateSchema = Joi.string()
+    .pattern(VALIDATION_CONSTANTS.CALENDAR_DATE_PATTERN)
+    .custom((value, helpers) => (Number.isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value));
+
+// Template names are slugs of the ODS sheet names
+const templateSchema = Joi.string().trim().lowercase().pattern(VALIDATION_CONSTANTS.TEMPLATE_NAME_PATTERN).max(100);
+
 export const calculateSchema = Joi.object({
-    rates: currencySchema.optional(),
+    template: templateSchema.optional(),
+    // Pricing pipeline names are slugs as well, see GET /api/pipelines
+    pipeline: templateSchema.optional(),
+    // Tax profiles set KDV, so the two cannot be combined; see GET /api/tax-profiles
+    taxProfile: templateSchema.optional(),
+    taxDocumentRef: Joi.string().trim().max(100).optional(),
+    destinationCountry: Joi.string().trim().uppercase().pattern(VALIDATION_CONSTANTS.COUNTRY_CODE_PATTERN).optional(),
+    customerRef: Joi.string().trim().max(100).optional(),
+    rateSource: Joi.string().valid(...Object.values(APP_CONSTANTS.RATE_SOURCES)).optional(),
+    // Day whose archived rates are used; implies rateSource "archive"
+    rateDate: calendarDateSchema.when('rateSource', {
+        is: APP_CONSTANTS.RATE_SOURCES.ARCHIVE,
+        then: Joi.required(),
+        otherwise: Joi.when('rateSource', {
+            is: Joi.exist(),
+            then: Joi.forbidden(),
+            otherwise: Joi.optional()
+        })
+    }),
+    rates: currencySchema.when('rateSource', {
+        is: APP_CONSTANTS.RATE_SOURCES.REQUEST,
+        then: Joi.required(),
+        otherwise: Joi.optional()
+    }),
     fabric: fabricSchema.optional(),
+    accessories: accessoriesSchema.optional(),
     genel_gider: rangeSchema.optional(),
     karlilik: rangeSchema.optional(),
     KDV: percentageSchema.optional(),
     komisyon: percentageSchema.optional(),
     operations: operationsSchema.optional(),
-    batch: Joi.object({
-        '0-50': Joi.number().min(VALIDATION_CONSTANTS.MIN_BATCH_SIZE).max(VALIDATION_CONSTANTS.MAX_BATCH_SIZE).optional(),
-        '51-100': Joi.number().min(VALIDATION_CONSTANTS.MIN_BATCH_SIZE).max(VALIDATION_CONSTANTS.MAX_BATCH_SIZE).optional(),
-        '101-200': Joi.number().min(VALIDATION_CONSTANTS.MIN_BATCH_SIZE).max(VALIDATION_CONSTANTS.MAX_BATCH_SIZE).optional()
-    }).optional()
+    batch: batchSchema.optional()
+}).oxor('taxProfile', 'KDV');
+
+export const calculateQuerySchema = Joi.object({
+    format: Joi.string().valid('json', 'pdf', 'xlsx', 'ods').default('json')
+});
+
+export const quoteSchema = calculateSchema.keys({
+    quantity: Joi.number().integer()
+        .min(VALIDATION_CONSTANTS.MIN_BATCH_SIZE)
+        .max(VALIDATION_CONSTANTS.MAX_BATCH_SIZE)
+        .required(),
+    batch: Joi.forbidden()
+});
+
+export const reverseCalculateSchema = calculateSchema.keys({
+    solveFor: Joi.string().valid(...Object.values(APP_CONSTANTS.REVERSE_CALCULATION.VARIABLES)).required(),
+    targetCurrency: Joi.string().uppercase().valid(...APP_CONSTANTS.PRICE_CURRENCIES).default('EUR'),
+    targetPerUnit: Joi.object().pattern(rangeKeySchema, Joi.number().positive()).min(1).required()
+});
+
+// One swept parameter: either explicit values or a from/to/step range
+const sensitivityParameterSchema = Joi.object({
+    parameter: Joi.string().pattern(VALIDATION_CONSTANTS.SENSITIVITY_PARAMETER_PATTERN).required(),
+    values: Joi.array().items(Joi.number()).min(1).max(APP_CONSTANTS.SENSITIVITY_ANALYSIS.MAX_POINTS),
+    from: Joi.number(),
+    to: Joi.number().min(Joi.ref('from')),
+    step: Joi.number().positive()
+}).xor('values', 'from').and('from', 'to', 'step');
+
+export const sensitivitySchema = calculateSchema.keys({
+    vary: Joi.array().items(sensitivityParameterSchema)
+        .min(1)
+        .max(APP_CONSTANTS.SENSITIVITY_ANALYSIS.MAX_PARAMETERS)
+        .unique('parameter')
+        .required(),
+    outputs: Joi.array().items(Joi.string().valid(...APP_CONSTANTS.SENSITIVITY_ANALYSIS.OUTPUT_FIELDS))
+        .min(1)
+        .unique()
+        .default(APP_CONSTANTS.SENSITIVITY_ANALYSIS.DEFAULT_OUTPUTS)
+});
+
+export const sensitivityQuerySchema = Joi.object({
+    format: Joi.string().valid('json', 'csv').default('json')
+});
+
+export const compareSchema = Joi.object({
+    scenarios: Joi.array().items(Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        input: calculateSchema.default({})
+    }))
+        .min(2)
+        .max(APP_CONSTANTS.SCENARIO_COMPARISON.MAX_SCENARIOS)
+        .unique('name')
+        .required(),
+    // Scenario the deltas are measured against; the first scenario if omitted
+    baseline: Joi.string().trim()
+        .valid(Joi.in('scenarios', { adjust: scenarios => scenarios.map(scenario => scenario.name) }))
+        .messages({ 'any.only': '"baseline" must be the name of one of the scenarios' })
+        .optional()
+});
+
+export const quoteListQuerySchema = Joi.object({
+    from: Joi.string().isoDate().optional(),
+    to: Joi.string().isoDate().optional(),
+    customerRef: Joi.string().trim().max(100).optional(),
+    limit: Joi.number().integer().min(1).max(500).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+});
+
+export const ratesQuerySchema = Joi.object({
+    // Customer whose pinned rates apply besides the global ones
+    customerRef: Joi.string().trim().max(100).optional()
+});
+
+export const rateConvertQuerySchema = ratesQuerySchema.keys({
+    amount: Joi.number().min(0).required(),
+    from: Joi.string().uppercase().valid(...APP_CONSTANTS.PRICE_CURRENCIES).required(),
+    to: Joi.string().uppercase().valid(...APP_CONSTANTS.PRICE_CURRENCIES).required()
+});
+
+export const rateHistoryQuerySchema = Joi.object({
+    from: calendarDateSchema.optional(),
+    to: calendarDateSchema.optional(),
+    currency: Joi.string().uppercase().valid(...APP_CONSTANTS.SUPPORTED_CURRENCIES).optional()
+});
+
+// Pinned TRY rates; PUT replaces what the scope pinned before, so {} clears it
+export const rateOverrideSchema = Joi.object({
+    rates: currencySchema.required(),
+    scope: Joi.string().valid(...Object.values(APP_CONSTANTS.RATE_OVERRIDE_SCOPES)).default(APP_CONSTANTS.RATE_OVERRIDE_SCOPES.GLOBAL),
+    customerRef: Joi.string().trim().max(100).when('scope', {
+        is: APP_CONSTANTS.RATE_OVERRIDE_SCOPES.CUSTOMER,
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }),
+    // Last day the rates apply, inclusive; without it they apply until replaced
+    validUntil: calendarDateSchema.optional(),
+    reason: Joi.string().trim().min(1).max(500).required()
+});
+
+export const rateOverrideListQuerySchema = Joi.object({
+    customerRef: Joi.string().trim().max(100).optional()
+});
+
+export const quoteIdParamsSchema = Joi.object({
+    id: Joi.string().pattern(/^Q-\d{8}-[0-9a-f]{8}$/).required()
+});
+
+export const batchCalculateSchema = Joi.alternatives().try(
+    Joi.array().items(Joi.object().unknown(true)).min(1).max(APP_CONSTANTS.BATCH_CALCULATION.MAX_ROWS),
+    Joi.object({
+        items: Joi.array().items(Joi.object().unknown(true)).min(1).max(APP_CONSTANTS.BATCH_CALCULATION.MAX_ROWS).required()
+    })
+);
+
+export const batchCalculateQuerySchema = Joi.object({
+    format: Joi.string().valid('json', 'csv').default('json')
+});
+
+export const schemaQuerySchema = Joi.object({
+    template: templateSchema.optional()
+});
+
+export const defaultsUploadQuerySchema = Joi.object({
+    fileName: Joi.string().trim().max(255).optional(),
+    activate: Joi.boolean().default(true)
+});
+
+const defaultsVersionIdSchema = Joi.string().pattern(/^V-\d{8}-[0-9a-f]{8}$/);
+
+export const defaultsVersionParamsSchema = Joi.object({
+    id: defaultsVersionIdSchema.required()
+});
+
+export const defaultsDiffQuerySchema = Joi.object({
+    from: defaultsVersionIdSchema.optional(),
+    to: defaultsVersionIdSchema.required(),
+    template: templateSchema.optional()
 });
 
 export const healthCheckSchema = Joi.object({
     detailed: Joi.boolean().default(false)
 });
 
+/**
+ * Validate data against a schema without a request
+ * @param {object} schema - Joi schema
+ * @param {*} data - Data to validate
+ * @returns {object} - { value, details } where details is null when valid
+ */
+export function validateInput(schema, data) {
+    const { error, value } = schema.validate(data, {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: true
+    });
+
+    if (!error) {
+        return { value, details: null };
+    }
+
+    return {
+        value,
+        details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message,
+            value: detail.context?.value
+        }))
+    };
+}
+
 // DÜZELTME: Validation middleware'leri sync olarak değiştirildi
 export function validateBody(schema) {
     return (req, res, next) => {
@@ -155,8 +385,8 @@ export const customValidators = {
         return APP_CONSTANTS.SUPPORTED_CURRENCIES.includes(code.toUpperCase());
     },
 
-    validateBatchRange: (range) => {
-        return APP_CONSTANTS.BATCH_RANGES.includes(range);
+    validateBatchRange: (range, batchRanges = APP_CONSTANTS.BATCH_RANGES) => {
+        return batchRanges.includes(range);
     },
 
     validatePositiveNumber: (value) => {
@@ -1,8 +1,26 @@
 import express from 'express';
-import { calculateFromInput } from '../services/calculator.js';
-import { validateBody, calculateSchema } from '../middleware/validation.js';
+import { calculateFromInput, calculateQuote, calculateReverse } from '../services/calculator.js';
+import { quoteRepository } from '../services/quoteRepository.js';
+import { pdfService } from '../services/pdfService.js';
+import { spreadsheetExportService } from '../services/spreadsheetExportService.js';
+import { batchCalculator } from '../services/batchCalculator.js';
+import { sensitivityAnalyzer } from '../services/sensitivityAnalyzer.js';
+import { scenarioComparator } from '../services/scenarioComparator.js';
+import {
+    validateBody,
+    validateQuery,
+    calculateSchema,
+    calculateQuerySchema,
+    quoteSchema,
+    reverseCalculateSchema,
+    sensitivitySchema,
+    sensitivityQuerySchema,
+    compareSchema,
+    batchCalculateSchema,
+    batchCalculateQuerySchema
+} from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { createCalculationRateLimit } from '../middleware/security.js';
+import { createCalculationRateLimit, validateContentType } from '../middleware/security.js';
 import { HTTP_STATUS, APP_CONSTANTS } from '../config/constants.js';
 import { logger } from '../utils/logger.js';
 
@@ -16,6 +34,9 @@ const router = express.Router();
  *     description: |
  *       Calculate production costs based on provided parameters.
  *       Any parameter not provided will use default values from the ODS file.
+ *       Exchange rates are taken from the source named by `rateSource`
+ *       (`ods`, `live` or `request`); the source used is reported in `metadata.rates`.
+ *       Every result is saved as a quote; its ID is returned in `metadata.quoteId`.
  *       Returns detailed cost breakdown for all batch ranges.
  *     tags: [Calculate]
  *     requestBody:
@@ -32,6 +53,10 @@ const router = express.Router();
  *                   EUR: 38.50
  *                   USD: 34.20
  *                   GBP: 45.10
+ *             live:
+ *               summary: Calculation with today's rates from the exchange service
+ *               value:
+ *                 rateSource: live
  *             advanced:
  *               summary: Advanced calculation with multiple parameters
  *               value:
@@ -55,6 +80,18 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/CalculationResponse'
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/vnd.oasis.opendocument.spreadsheet:
+ *             schema:
+ *               type: string
+ *               format: binary
  *       400:
  *         $ref: '#/components/responses/BadRequest'
  *       429:
@@ -66,6 +103,7 @@ const router = express.Router();
 
 router.post('/',
     createCalculationRateLimit(),
+    validateQuery(calculateQuerySchema),
     asyncHandler(validateBody(calculateSchema)), // DÜZELTME: asyncHandler içine al
     asyncHandler(async(req, res) => {
         const startTime = Date.now();
@@ -76,22 +114,511 @@ router.post('/',
             userAgent: req.get('User-Agent')
         });
 
-        const result = await calculateFromInput(req.validatedBody || {});
+        const input = req.validatedBody || {};
+        const result = await calculateFromInput(input);
+
+        // Persist every calculation as a quote
+        const { result: rangeResults, metadata, ...params } = result;
+        const quoteData = {
+            input,
+            params,
+            result: rangeResults,
+            metadata,
+            customerRef: input.customerRef,
+            odsModifiedAt: metadata.odsModifiedAt
+        };
+
+        // A quote store that cannot be read or written must not fail the price itself;
+        // the quote is then returned (and rendered) without being saved
+        let quote;
+        let quoteSaved = true;
+        try {
+            quote = await quoteRepository.save(quoteData);
+        } catch (error) {
+            logger.error('Quote could not be saved', error, { customerRef: input.customerRef });
+            quote = quoteRepository.create(quoteData);
+            quoteSaved = false;
+        }
+
         const duration = Date.now() - startTime;
 
         logger.info('Calculation completed successfully', {
             duration: `${duration}ms`,
             rangesCalculated: Object.keys(result.result || {}).length,
-            cacheUsed: result.metadata?.fromCache || false
+            cacheUsed: result.metadata?.fromCache || false,
+            quoteId: quote.id
         });
 
+        if (req.validatedQuery.format === 'pdf') {
+            const pdf = await pdfService.renderQuote(quote);
+            res.status(HTTP_STATUS.OK)
+                .type('application/pdf')
+                .set('Content-Disposition', `attachment; filename="${quote.id}.pdf"`)
+                .send(pdf);
+            return;
+        }
+
+        if (req.validatedQuery.format === 'xlsx' || req.validatedQuery.format === 'ods') {
+            const { format } = req.validatedQuery;
+            const workbook = spreadsheetExportService.renderQuote(quote, format);
+            res.status(HTTP_STATUS.OK)
+                .type(spreadsheetExportService.getContentType(format))
+                .set('Content-Disposition', `attachment; filename="${quote.id}.${format}"`)
+                .send(workbook);
+            return;
+        }
+
         res.status(HTTP_STATUS.OK).json({
             success: true,
-            data: result,
+            data: {
+                ...result,
+                metadata: { ...metadata, quoteId: quoteSaved ? quote.id : null }
+            },
             message: APP_CONSTANTS.SUCCESS_MESSAGES.CALCULATION_COMPLETED,
             processingTime: `${duration}ms`
         });
     })
 )
 
+/**
+ * @swagger
+ * /api/calculate/quote:
+ *   post:
+ *     summary: Quote an order quantity
+ *     description: |
+ *       Price a single order quantity. The batch range containing the quantity is
+ *       resolved automatically from the defined tiers and only that range is calculated,
+ *       using the quantity as the batch size. Other parameters behave as in /api/calculate.
+ *     tags: [Calculate]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuoteInput'
+ *           examples:
+ *             basic:
+ *               summary: Quote 137 pieces with default parameters
+ *               value:
+ *                 quantity: 137
+ *     responses:
+ *       200:
+ *         description: Quote calculated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuoteResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       422:
+ *         description: No batch range covers the quantity
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/quote',
+    createCalculationRateLimit(),
+    asyncHandler(validateBody(quoteSchema)),
+    asyncHandler(async(req, res) => {
+        const startTime = Date.now();
+
+        logger.info('Quote request received', {
+            quantity: req.validatedBody.quantity,
+            inputKeys: Object.keys(req.validatedBody),
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const result = await calculateQuote(req.validatedBody);
+        const duration = Date.now() - startTime;
+
+        logger.info('Quote completed successfully', {
+            duration: `${duration}ms`,
+            quantity: result.quantity,
+            range: result.range
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: result,
+            message: APP_CONSTANTS.SUCCESS_MESSAGES.QUOTE_COMPLETED,
+            processingTime: `${duration}ms`
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/calculate/reverse:
+ *   post:
+ *     summary: Solve for a target unit price
+ *     description: |
+ *       Work backwards from a target final unit price per batch range. One variable is
+ *       solved while every other parameter is taken from the request and the ODS defaults:
+ *       the karlilik percentage, the fabric `unit_eur`, or the total operations budget
+ *       (TRY per batch, replacing the individual operations). The solved value is rounded
+ *       down to 2 decimals so the resulting price never exceeds the target; the forward
+ *       calculation at that value is returned with it. A range whose target cannot be
+ *       reached (e.g. would need a negative karlilik) is marked `feasible: false`.
+ *     tags: [Calculate]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReverseCalculationInput'
+ *           examples:
+ *             karlilik:
+ *               summary: Achievable karlilik for a 100 EUR unit price
+ *               value:
+ *                 solveFor: karlilik
+ *                 targetPerUnit:
+ *                   0-50: 100
+ *             fabric:
+ *               summary: Maximum fabric price for a USD target
+ *               value:
+ *                 solveFor: fabric
+ *                 targetCurrency: USD
+ *                 targetPerUnit:
+ *                   51-100: 9.5
+ *     responses:
+ *       200:
+ *         description: Solutions per range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReverseCalculationResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       422:
+ *         description: targetPerUnit names a batch range that is not defined
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/reverse',
+    createCalculationRateLimit(),
+    asyncHandler(validateBody(reverseCalculateSchema)),
+    asyncHandler(async(req, res) => {
+        const startTime = Date.now();
+
+        logger.info('Reverse calculation request received', {
+            solveFor: req.validatedBody.solveFor,
+            ranges: Object.keys(req.validatedBody.targetPerUnit),
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const result = await calculateReverse(req.validatedBody);
+        const duration = Date.now() - startTime;
+
+        logger.info('Reverse calculation completed successfully', {
+            duration: `${duration}ms`,
+            solveFor: result.solveFor,
+            feasible: Object.values(result.result).filter(solution => solution.feasible).length
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: result,
+            message: APP_CONSTANTS.SUCCESS_MESSAGES.REVERSE_COMPLETED,
+            processingTime: `${duration}ms`
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/calculate/sensitivity:
+ *   post:
+ *     summary: Sensitivity analysis
+ *     description: |
+ *       Vary one or more parameters over a set of values and calculate every combination.
+ *       Each entry in `vary` names a parameter (`rates.EUR`, `fabric.unit_eur`,
+ *       `karlilik.0-50`, `genel_gider.0-50`, `batch.0-50`, `operations.<name>.<range>`,
+ *       `KDV` or `komisyon`) and either lists `values` or gives `from`, `to` and `step`.
+ *       All other parameters come from the request and the ODS defaults, as in
+ *       /api/calculate. The grid is limited to 1000 points. Results are not cached or
+ *       saved as quotes. Use `format=csv` to download the grid as a table.
+ *     tags: [Calculate]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SensitivityInput'
+ *           examples:
+ *             eurRate:
+ *               summary: EUR rate from 35 to 45
+ *               value:
+ *                 vary:
+ *                   - parameter: rates.EUR
+ *                     from: 35
+ *                     to: 45
+ *                     step: 1
+ *             eurAndFabric:
+ *               summary: EUR rate against fabric price
+ *               value:
+ *                 vary:
+ *                   - parameter: rates.EUR
+ *                     values: [38, 40, 42]
+ *                   - parameter: fabric.unit_eur
+ *                     values: [4, 4.5, 5]
+ *                 outputs: [perUnitFinalEur, perUnitFinalTry]
+ *     responses:
+ *       200:
+ *         description: Results per point and range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SensitivityResponse'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       422:
+ *         description: A point in the grid has invalid parameters
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/sensitivity',
+    createCalculationRateLimit(),
+    validateQuery(sensitivityQuerySchema),
+    asyncHandler(validateBody(sensitivitySchema)),
+    asyncHandler(async(req, res) => {
+        const startTime = Date.now();
+
+        logger.info('Sensitivity analysis request received', {
+            parameters: req.validatedBody.vary.map(entry => entry.parameter),
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const analysis = await sensitivityAnalyzer.analyze(req.validatedBody);
+        const duration = Date.now() - startTime;
+
+        logger.info('Sensitivity analysis completed', {
+            duration: `${duration}ms`,
+            points: analysis.points.length
+        });
+
+        if (req.validatedQuery.format === 'csv') {
+            res.status(HTTP_STATUS.OK)
+                .type('text/csv')
+                .set('Content-Disposition', 'attachment; filename="sensitivity.csv"')
+                .send(sensitivityAnalyzer.toCsv(analysis));
+            return;
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: analysis,
+            message: APP_CONSTANTS.SUCCESS_MESSAGES.SENSITIVITY_COMPLETED,
+            processingTime: `${duration}ms`
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/calculate/compare:
+ *   post:
+ *     summary: Compare scenarios side by side
+ *     description: |
+ *       Calculate two or more named input sets (e.g. current vs new supplier, KDV 10 vs 20)
+ *       as in /api/calculate and align the results per range. Every output field lists
+ *       the value of each scenario and its absolute and percentage delta against the
+ *       baseline scenario (the first one unless `baseline` names another). Scenarios
+ *       are not saved as quotes.
+ *     tags: [Calculate]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CompareInput'
+ *           examples:
+ *             kdv:
+ *               summary: KDV 10 vs 20
+ *               value:
+ *                 scenarios:
+ *                   - name: KDV 10
+ *                     input:
+ *                       KDV: 10
+ *                   - name: KDV 20
+ *                     input:
+ *                       KDV: 20
+ *     responses:
+ *       200:
+ *         description: Results aligned per range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CompareResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       422:
+ *         description: A scenario could not be calculated
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/compare',
+    createCalculationRateLimit(),
+    asyncHandler(validateBody(compareSchema)),
+    asyncHandler(async(req, res) => {
+        const startTime = Date.now();
+
+        logger.info('Scenario comparison request received', {
+            scenarios: req.validatedBody.scenarios.map(scenario => scenario.name),
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const comparison = await scenarioComparator.compare(req.validatedBody);
+        const duration = Date.now() - startTime;
+
+        logger.info('Scenario comparison completed', {
+            duration: `${duration}ms`,
+            baseline: comparison.baseline
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: comparison,
+            message: APP_CONSTANTS.SUCCESS_MESSAGES.COMPARISON_COMPLETED,
+            processingTime: `${duration}ms`
+        });
+    })
+);
+
+/**
+ * Turn an uploaded CSV body into { items } before validation
+ */
+function parseBatchCsv(req, res, next) {
+    try {
+        if (req.is('text/csv')) {
+            req.body = { items: batchCalculator.csvToItems(req.body) };
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * @swagger
+ * /api/calculate/batch:
+ *   post:
+ *     summary: Calculate many products at once
+ *     description: |
+ *       Accepts a JSON array of calculation inputs (or `{ items: [...] }`), or a CSV upload
+ *       with `Content-Type: text/csv`. Every row is validated and calculated on its own;
+ *       rows that fail report their errors without failing the whole job.
+ *
+ *       CSV columns: `ref`, `customerRef`, `rateSource`, `KDV`, `komisyon`, `rates.EUR`,
+ *       `fabric.unit_eur`, `genel_gider.<range>`, `karlilik.<range>`, `batch.<range>`,
+ *       `operations.<name>.<range>`. Both `,` and `;` delimiters and decimal commas are accepted.
+ *
+ *       Use `?format=csv` to download the results as CSV, one line per row and range.
+ *     tags: [Calculate]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             maxItems: 500
+ *             items:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CalculationInput'
+ *                 - type: object
+ *                   properties:
+ *                     ref:
+ *                       type: string
+ *                       example: TSHIRT-001
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               ref,fabric.unit_eur,batch.0-50,operations.DİKİM TRY.0-50
+ *               TSHIRT-001,4.5,30,450
+ *     responses:
+ *       200:
+ *         description: Batch processed (check each row's success flag)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchCalculationResponse'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/batch',
+    createCalculationRateLimit(),
+    validateQuery(batchCalculateQuerySchema),
+    validateContentType(['application/json', 'text/csv']),
+    express.text({ type: 'text/csv', limit: '10mb' }),
+    parseBatchCsv,
+    asyncHandler(validateBody(batchCalculateSchema)),
+    asyncHandler(async(req, res) => {
+        const startTime = Date.now();
+        const items = Array.isArray(req.validatedBody) ? req.validatedBody : req.validatedBody.items;
+
+        logger.info('Batch calculation request received', {
+            rows: items.length,
+            source: req.is('text/csv') ? 'csv' : 'json',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const batch = await batchCalculator.calculateBatch(items);
+        const duration = Date.now() - startTime;
+
+        logger.info('Batch calculation completed', {
+            duration: `${duration}ms`,
+            ...batch.summary
+        });
+
+        if (req.validatedQuery.format === 'csv') {
+            res.status(HTTP_STATUS.OK)
+                .type('text/csv')
+                .set('Content-Disposition', 'attachment; filename="batch-calculation.csv"')
+                .send(batchCalculator.toCsv(batch));
+            return;
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: batch,
+            message: APP_CONSTANTS.SUCCESS_MESSAGES.BATCH_COMPLETED,
+            processingTime: `${duration}ms`
+        });
+    })
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,217 @@
+import express from 'express';
+import { defaultsVersionService } from '../services/defaultsVersionService.js';
+import { defaultsDiffService } from '../services/defaultsDiffService.js';
+import {
+    validateQuery,
+    validateParams,
+    defaultsUploadQuerySchema,
+    defaultsVersionParamsSchema,
+    defaultsDiffQuerySchema
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateContentType } from '../middleware/security.js';
+import { HTTP_STATUS, APP_CONSTANTS } from '../config/constants.js';
+import { ValidationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/defaults/upload:
+ *   post:
+ *     summary: Upload a new defaults spreadsheet
+ *     description: |
+ *       Upload an ODS file as the request body. Every sheet is parsed and validated
+ *       first; a file that fails is rejected with the errors per sheet and the active
+ *       file is left untouched. A valid file is stored as a new version and, unless
+ *       `activate=false`, replaces the active defaults. The file it replaces stays
+ *       available as a version for rollback.
+ *     tags: [Defaults]
+ *     parameters:
+ *       - in: query
+ *         name: fileName
+ *         schema:
+ *           type: string
+ *           example: maliyet_2025_02.ods
+ *         description: Original file name, stored with the version
+ *       - in: query
+ *         name: activate
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/vnd.oasis.opendocument.spreadsheet:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: Version stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DefaultsVersionResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.post('/upload',
+    validateQuery(defaultsUploadQuerySchema),
+    validateContentType(APP_CONSTANTS.DEFAULTS_UPLOAD.CONTENT_TYPES),
+    express.raw({
+        type: APP_CONSTANTS.DEFAULTS_UPLOAD.CONTENT_TYPES,
+        limit: APP_CONSTANTS.DEFAULTS_UPLOAD.MAX_SIZE
+    }),
+    asyncHandler(async (req, res) => {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            throw new ValidationError('Request body must be the spreadsheet file');
+        }
+
+        logger.info('Defaults upload received', {
+            fileName: req.validatedQuery.fileName,
+            size: req.body.length,
+            ip: req.ip
+        });
+
+        const version = await defaultsVersionService.upload(req.body, req.validatedQuery);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            data: version,
+            message: APP_CONSTANTS.SUCCESS_MESSAGES.DEFAULTS_UPLOADED
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/defaults/versions:
+ *   get:
+ *     summary: List defaults versions
+ *     description: List every stored defaults file, newest first, and which one is active.
+ *     tags: [Defaults]
+ *     responses:
+ *       200:
+ *         description: Stored versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DefaultsVersionListResponse'
+ */
+router.get('/versions',
+    asyncHandler(async (req, res) => {
+        const { activeId, versions } = await defaultsVersionService.list();
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            activeId,
+            versions
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/defaults/diff:
+ *   get:
+ *     summary: Compare two defaults versions
+ *     description: |
+ *       List every changed exchange rate, fabric price, genel_gider/karlilik percentage,
+ *       KDV/komisyon value and operation cost between two versions, per template, with
+ *       old and new values. For changed templates the effect on perUnitFinalEur is
+ *       estimated per range, calculating both sides with their own ODS rates and the
+ *       default batch sizes. Upload with `activate=false` and diff against the active
+ *       file to review an edit before it goes live.
+ *     tags: [Defaults]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: V-20250120-1a2b3c4d
+ *         description: Old version; defaults to the active file
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: V-20250201-5e6f7a8b
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *           example: hoodie
+ *         description: Compare a single template; all templates if omitted
+ *     responses:
+ *       200:
+ *         description: Differences per template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DefaultsDiffResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/diff',
+    validateQuery(defaultsDiffQuerySchema),
+    asyncHandler(async (req, res) => {
+        const diff = await defaultsDiffService.diff(req.validatedQuery);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: diff
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/defaults/versions/{id}/activate:
+ *   post:
+ *     summary: Activate a defaults version
+ *     description: |
+ *       Roll the active defaults back (or forward) to a stored version. The version is
+ *       validated again before it replaces the active file. Cached defaults and
+ *       calculation results are cleared.
+ *     tags: [Defaults]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: V-20250120-1a2b3c4d
+ *     responses:
+ *       200:
+ *         description: Version activated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DefaultsVersionResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/versions/:id/activate',
+    validateParams(defaultsVersionParamsSchema),
+    asyncHandler(async (req, res) => {
+        const version = await defaultsVersionService.activate(req.validatedParams.id);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: version,
+            message: APP_CONSTANTS.SUCCESS_MESSAGES.DEFAULTS_ACTIVATED
+        });
+    })
+);
+
+export default router;
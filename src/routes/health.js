@@ -114,7 +114,7 @@ router.get('/',
             metadata: {
                 retrievedAt: new Date().toISOString(),
                 supportedCurrencies: APP_CONSTANTS.SUPPORTED_CURRENCIES,
-                batchRanges: APP_CONSTANTS.BATCH_RANGES,
+                batchRanges: defaults.batchRanges,
                 operationTypes: Object.keys(defaults.operations || {}),
                 cacheUsed: false
             },
@@ -0,0 +1,50 @@
+import express from 'express';
+import { pricingPipeline } from '../services/pricingPipeline.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/pipelines:
+ *   get:
+ *     summary: List pricing pipelines
+ *     description: |
+ *       A pricing pipeline is the ordered list of steps between the raw cost (hamMaliyetEur)
+ *       and the final price. Each step adds a percentage (genel_gider, karlilik, KDV, komisyon
+ *       or a fixed number) of the sum of its base amounts. Pass the name as `pipeline` to
+ *       POST /api/calculate; the default pipeline is used when none is given. Pipelines are
+ *       defined in src/config/pricingPipelines.json (or the file at PRICING_PIPELINES_PATH).
+ *     tags: [Calculate]
+ *     responses:
+ *       200:
+ *         description: Configured pipelines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PricingPipelineListResponse'
+ *       422:
+ *         description: The pipelines file is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/',
+    asyncHandler(async (req, res) => {
+        const pipelines = pricingPipeline.list();
+
+        logger.info('Pricing pipelines listed', {
+            count: pipelines.length
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            pipelines
+        });
+    })
+);
+
+export default router;
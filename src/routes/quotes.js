@@ -0,0 +1,184 @@
+import express from 'express';
+import { quoteRepository } from '../services/quoteRepository.js';
+import { pdfService } from '../services/pdfService.js';
+import {
+    validateQuery,
+    validateParams,
+    quoteListQuerySchema,
+    quoteIdParamsSchema
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { NotFoundError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Reduce a stored quote to its list representation
+ */
+function summarizeQuote(quote) {
+    return {
+        id: quote.id,
+        createdAt: quote.createdAt,
+        customerRef: quote.customerRef,
+        template: quote.params?.template ?? null,
+        taxProfile: quote.params?.taxProfile?.name ?? null,
+        odsModifiedAt: quote.odsModifiedAt,
+        perUnitFinalEur: Object.fromEntries(
+            Object.entries(quote.result || {}).map(([range, result]) => [range, result.perUnitFinalEur])
+        )
+    };
+}
+
+/**
+ * @swagger
+ * /api/quotes:
+ *   get:
+ *     summary: List saved quotes
+ *     description: |
+ *       List quotes saved by POST /api/calculate, newest first.
+ *       Filter by creation date and customer reference. A plain date for `to`
+ *       includes the whole day.
+ *     tags: [Quotes]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: '2025-01-01'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: '2025-01-31'
+ *       - in: query
+ *         name: customerRef
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Matching quotes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuoteListResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.get('/',
+    validateQuery(quoteListQuerySchema),
+    asyncHandler(async (req, res) => {
+        const { total, quotes } = await quoteRepository.find(req.validatedQuery);
+
+        logger.info('Quotes listed', {
+            filters: req.validatedQuery,
+            total
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            total,
+            quotes: quotes.map(summarizeQuote)
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/quotes/{id}:
+ *   get:
+ *     summary: Get a saved quote
+ *     description: Return a saved quote with the exact merged parameters and ODS file modification time used.
+ *     tags: [Quotes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: Q-20250120-1a2b3c4d
+ *     responses:
+ *       200:
+ *         description: Quote found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuoteRecordResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id',
+    validateParams(quoteIdParamsSchema),
+    asyncHandler(async (req, res) => {
+        const quote = await quoteRepository.findById(req.validatedParams.id);
+
+        if (!quote) {
+            throw new NotFoundError('Quote', req.validatedParams.id);
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: quote
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/quotes/{id}/pdf:
+ *   get:
+ *     summary: Download a quote as a proforma PDF
+ *     description: |
+ *       Render a saved quote as a branded proforma with the fabric, operations and
+ *       overhead breakdown, KDV and commission lines and final prices per range in every price currency.
+ *     tags: [Quotes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: Q-20250120-1a2b3c4d
+ *     responses:
+ *       200:
+ *         description: Proforma PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/pdf',
+    validateParams(quoteIdParamsSchema),
+    asyncHandler(async (req, res) => {
+        const quote = await quoteRepository.findById(req.validatedParams.id);
+
+        if (!quote) {
+            throw new NotFoundError('Quote', req.validatedParams.id);
+        }
+
+        const pdf = await pdfService.renderQuote(quote);
+
+        res.status(HTTP_STATUS.OK)
+            .type('application/pdf')
+            .set('Content-Disposition', `attachment; filename="${quote.id}.pdf"`)
+            .send(pdf);
+    })
+);
+
+export default router;
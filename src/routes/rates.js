@@ -0,0 +1,313 @@
+import express from 'express';
+import { exchangeRateService } from '../services/exchangeRateService.js';
+import { rateOverrideService } from '../services/rateOverrideService.js';
+import {
+    validateBody,
+    validateQuery,
+    ratesQuerySchema,
+    rateConvertQuerySchema,
+    rateHistoryQuerySchema,
+    rateOverrideSchema,
+    rateOverrideListQuerySchema
+} from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { APP_CONSTANTS, HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Rates with how old they are; cached rates are fetched again once they reach maxAgeSeconds
+ * @param {object} snapshot - Current snapshot from exchangeRateService
+ * @returns {object} - Response fields
+ */
+function describeRates(snapshot) {
+    return {
+        baseCurrency: 'TRY',
+        rates: snapshot.rates,
+        source: snapshot.source,
+        provider: snapshot.provider,
+        fetchedAt: snapshot.fetchedAt,
+        ageSeconds: Math.max(0, Math.round((Date.now() - Date.parse(snapshot.fetchedAt)) / 1000)),
+        maxAgeSeconds: APP_CONSTANTS.CACHE_EXPIRATION.EXCHANGE_RATES / 1000,
+        fallbackUsed: snapshot.fallbackUsed,
+        fallbackCurrencies: snapshot.fallbackCurrencies,
+        overrides: snapshot.overrides
+    };
+}
+
+/**
+ * @swagger
+ * /api/rates:
+ *   get:
+ *     summary: Get current exchange rates
+ *     description: |
+ *       Returns the live TRY rates used by `rateSource: live`, with the provider that
+ *       supplied them and how old they are. Rates are cached for `maxAgeSeconds`; use
+ *       POST /api/rates/refresh to fetch them again sooner. Pinned rates (see
+ *       /api/rates/overrides) are applied and listed under `overrides`.
+ *     tags: [Rates]
+ *     parameters:
+ *       - in: query
+ *         name: customerRef
+ *         schema:
+ *           type: string
+ *         description: Also apply this customer's pinned rates
+ *     responses:
+ *       200:
+ *         description: Current rates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CurrentRatesResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.get('/',
+    validateQuery(ratesQuerySchema),
+    asyncHandler(async (req, res) => {
+        const snapshot = await exchangeRateService.getCurrentSnapshot(req.validatedQuery);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            ...describeRates(snapshot)
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/rates/convert:
+ *   get:
+ *     summary: Convert an amount between currencies
+ *     description: |
+ *       Converts through the current TRY rates, the same ones GET /api/rates returns.
+ *       The result is rounded to 2 decimals and the rate to 6.
+ *     tags: [Rates]
+ *     parameters:
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           example: 100
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *         description: EUR, TRY or a currency set by CURRENCIES
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *         description: EUR, TRY or a currency set by CURRENCIES
+ *       - in: query
+ *         name: customerRef
+ *         schema:
+ *           type: string
+ *         description: Also apply this customer's pinned rates
+ *     responses:
+ *       200:
+ *         description: Converted amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateConversionResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.get('/convert',
+    validateQuery(rateConvertQuerySchema),
+    asyncHandler(async (req, res) => {
+        const { amount, from, to, customerRef } = req.validatedQuery;
+        const { rates, ...conversion } = await exchangeRateService.convert(amount, from, to, { customerRef });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            ...conversion,
+            source: rates.source,
+            provider: rates.provider,
+            fetchedAt: rates.fetchedAt,
+            overrides: rates.overrides
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/rates/refresh:
+ *   post:
+ *     summary: Fetch exchange rates again
+ *     description: |
+ *       Drops the cached rates and asks the providers again. Cached calculation results
+ *       are dropped as well, so the next live calculation uses the new rates.
+ *     tags: [Rates]
+ *     responses:
+ *       200:
+ *         description: Rates fetched again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CurrentRatesResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/refresh',
+    asyncHandler(async (req, res) => {
+        const snapshot = await exchangeRateService.refreshRates();
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            ...describeRates(snapshot)
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/rates/history:
+ *   get:
+ *     summary: List archived exchange rates
+ *     description: |
+ *       Every set of rates fetched from an exchange rate provider is archived with the day it
+ *       was fetched. Entries are returned oldest first. Pass a day as `rateDate` to
+ *       POST /api/calculate to calculate with the last rates archived on or before it.
+ *     tags: [Rates]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: '2025-01-01'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: '2025-01-31'
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *         description: Only return this rate; one of the currencies set by CURRENCIES
+ *     responses:
+ *       200:
+ *         description: Archived rates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateHistoryResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.get('/history',
+    validateQuery(rateHistoryQuerySchema),
+    asyncHandler(async (req, res) => {
+        const history = await exchangeRateService.getRateHistory(req.validatedQuery);
+
+        logger.info('Exchange rate history listed', {
+            ...req.validatedQuery,
+            count: history.length
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            total: history.length,
+            history
+        });
+    })
+);
+
+/**
+ * @swagger
+ * /api/rates/overrides:
+ *   put:
+ *     summary: Pin exchange rates
+ *     description: |
+ *       Pins TRY rates, e.g. a contractual EUR rate agreed with a customer or for a season.
+ *       Pinned rates replace live and ODS rates in calculations and in the current rates;
+ *       rates sent with the request (`rateSource: request`) and archived rates are kept.
+ *       A customer's pins win over global pins and apply when the calculation has the same
+ *       `customerRef`. Each call replaces the rates the scope pinned before (`rates: {}`
+ *       clears them) and is kept in the audit list. Pins stop applying after `validUntil`.
+ *     tags: [Rates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RateOverrideInput'
+ *           examples:
+ *             customer:
+ *               summary: Contractual EUR rate for one customer
+ *               value:
+ *                 scope: customer
+ *                 customerRef: ACME-2025-001
+ *                 rates:
+ *                   EUR: 38.00
+ *                 validUntil: '2025-06-30'
+ *                 reason: Contract 2025/14, fixed EUR rate for the spring season
+ *     responses:
+ *       200:
+ *         description: Rates pinned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateOverrideResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *   get:
+ *     summary: List pinned exchange rates
+ *     description: |
+ *       Returns the pins in effect and every pin ever set, newest first. A pin is
+ *       "superseded" once its scope was pinned again and "expired" after `validUntil`.
+ *     tags: [Rates]
+ *     parameters:
+ *       - in: query
+ *         name: customerRef
+ *         schema:
+ *           type: string
+ *         description: Only return this customer's pins
+ *     responses:
+ *       200:
+ *         description: Pinned rates and their audit list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateOverrideListResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.put('/overrides',
+    validateBody(rateOverrideSchema),
+    asyncHandler(async (req, res) => {
+        const override = await rateOverrideService.set(req.validatedBody);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            override
+        });
+    })
+);
+
+router.get('/overrides',
+    validateQuery(rateOverrideListQuerySchema),
+    asyncHandler(async (req, res) => {
+        const history = await rateOverrideService.list(req.validatedQuery);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            active: history.filter(override => override.status === 'active'),
+            history
+        });
+    })
+);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
-import { parseOdsDefaults } from '../services/odsParser.js';
+import { parseOdsDefaults, odsParser } from '../services/odsParser.js';
+import { validateQuery, schemaQuerySchema } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { HTTP_STATUS, APP_CONSTANTS } from '../config/constants.js';
 import { logger } from '../utils/logger.js';
@@ -16,7 +17,17 @@ const router = express.Router();
  *       These parameters include exchange rates, fabric pricing, overhead rates,
  *       profit margins, and operation costs. You can use these values as a reference
  *       or override them in the calculation endpoint.
+ *
+ *       Each sheet of the ODS file is a product template; pass `template` to get
+ *       the defaults of a sheet other than the first one.
  *     tags: [Schema]
+ *     parameters:
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *           example: hoodie
+ *         description: Template name from GET /api/templates
  *     responses:
  *       200:
  *         description: Default parameters retrieved successfully
@@ -30,6 +41,7 @@ const router = express.Router();
  *                 value:
  *                   success: true
  *                   defaults:
+ *                     template: maliyet-sistemi
  *                     rates:
  *                       EUR: 37.99
  *                       USD: 33.99
@@ -58,20 +70,25 @@ const router = express.Router();
  *                         "51-100": 300
  *                         "101-200": 600
  *                   note: "You can POST to /api/calculate with overrides to compute results."
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.get('/',
+    validateQuery(schemaQuerySchema),
     asyncHandler(async (req, res) => {
+        const { template } = req.validatedQuery;
         const startTime = Date.now();
 
         logger.info('Schema request received', {
             ip: req.ip,
-            userAgent: req.get('User-Agent')
+            userAgent: req.get('User-Agent'),
+            template
         });
 
         try {
-            const defaults = parseOdsDefaults();
+            const defaults = parseOdsDefaults(template);
             const duration = Date.now() - startTime;
 
             // Add metadata about the defaults
@@ -81,9 +98,11 @@ router.get('/',
                 note: 'You can POST to /api/calculate with overrides to compute results.',
                 metadata: {
                     retrievedAt: new Date().toISOString(),
+                    template: defaults.template,
                     supportedCurrencies: APP_CONSTANTS.SUPPORTED_CURRENCIES,
-                    batchRanges: APP_CONSTANTS.BATCH_RANGES,
+                    batchRanges: defaults.batchRanges,
                     operationTypes: Object.keys(defaults.operations || {}),
+                    missingLabels: odsParser.getMissingLabels(defaults.template),
                     cacheUsed: false // This would be determined by the parser
                 },
                 info: {
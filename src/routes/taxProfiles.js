@@ -0,0 +1,50 @@
+import express from 'express';
+import { taxProfileService } from '../services/taxProfileService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/tax-profiles:
+ *   get:
+ *     summary: List tax profiles
+ *     description: |
+ *       A tax profile sets the KDV rate of a sale. Pass the name as `taxProfile` to
+ *       POST /api/calculate instead of `KDV`. Profiles with `requiresDocumentRef` need
+ *       `taxDocumentRef` (e.g. the customs declaration of an export); profiles with
+ *       `destinationRates` need `destinationCountry` and apply that country's VAT.
+ *       Profiles are defined in src/config/taxProfiles.json (or the file at TAX_PROFILES_PATH).
+ *     tags: [Calculate]
+ *     responses:
+ *       200:
+ *         description: Configured tax profiles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxProfileListResponse'
+ *       422:
+ *         description: The tax profiles file is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/',
+    asyncHandler(async (req, res) => {
+        const taxProfiles = taxProfileService.list();
+
+        logger.info('Tax profiles listed', {
+            count: taxProfiles.length
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            taxProfiles
+        });
+    })
+);
+
+export default router;
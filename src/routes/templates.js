@@ -0,0 +1,59 @@
+import express from 'express';
+import { odsParser } from '../services/odsParser.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/templates:
+ *   get:
+ *     summary: List product templates
+ *     description: |
+ *       Every sheet of the ODS file is a product template (e.g. t-shirt, hoodie, trousers)
+ *       with the same layout. The template name is the sheet name in lowercase ASCII with
+ *       words joined by "-". Pass it as `template` to GET /api/schema or POST /api/calculate.
+ *       The first sheet is used when no template is given.
+ *     tags: [Templates]
+ *     responses:
+ *       200:
+ *         description: Templates found in the ODS file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TemplateListResponse'
+ *             examples:
+ *               success:
+ *                 summary: Successful response
+ *                 value:
+ *                   success: true
+ *                   templates:
+ *                     - name: t-shirt
+ *                       sheetName: T-Shirt
+ *                       default: true
+ *                     - name: hoodie
+ *                       sheetName: Hoodie
+ *                       default: false
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/',
+    asyncHandler(async (req, res) => {
+        const templates = odsParser.listTemplates();
+
+        logger.info('Templates listed', {
+            count: templates.length
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            templates
+        });
+    })
+);
+
+export default router;
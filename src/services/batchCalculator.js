@@ -0,0 +1,198 @@
+import { calculateFromInput } from './calculator.js';
+import { calculateSchema, validateInput } from '../middleware/validation.js';
+import { APP_CONSTANTS } from '../config/constants.js';
+import { ValidationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { parseCsvObjects, toCsv } from '../utils/csv.js';
+
+// CSV columns that map to top-level input fields
+const TEXT_COLUMNS = ['ref', 'template', 'pipeline', 'taxProfile', 'taxDocumentRef', 'destinationCountry', 'customerRef', 'rateSource', 'rateDate'];
+const NUMBER_COLUMNS = ['KDV', 'komisyon'];
+
+// CSV column prefixes that map to "<section>.<key>" input objects
+const NESTED_SECTIONS = ['rates', 'fabric', 'genel_gider', 'karlilik', 'batch'];
+
+class BatchCalculator {
+    constructor() {
+        this.maxRows = APP_CONSTANTS.BATCH_CALCULATION.MAX_ROWS;
+    }
+
+    /**
+     * Calculate many products at once
+     * Each row is validated and calculated on its own; a failing row does not fail the batch
+     * @param {object[]} items - One calculation input per product, optionally with a "ref"
+     * @returns {object} - { summary, rows }
+     */
+    async calculateBatch(items = []) {
+        const startTime = Date.now();
+        const rows = [];
+
+        for (let index = 0; index < items.length; index++) {
+            rows.push(await this.calculateRow(items[index] || {}, index + 1));
+        }
+
+        const succeeded = rows.filter(row => row.success).length;
+        const summary = {
+            total: rows.length,
+            succeeded,
+            failed: rows.length - succeeded
+        };
+
+        logger.logPerformance('Batch calculation', Date.now() - startTime, summary);
+
+        return { summary, rows };
+    }
+
+    /**
+     * Validate and calculate a single row
+     * @param {object} item - Row input
+     * @param {number} rowNumber - 1-based row number
+     * @returns {object} - Row result or row errors
+     */
+    async calculateRow(item, rowNumber) {
+        const ref = item.ref !== undefined && item.ref !== '' ? String(item.ref) : String(rowNumber);
+        const { value, details } = validateInput(calculateSchema, item);
+
+        if (details) {
+            return { row: rowNumber, ref, success: false, errors: details };
+        }
+
+        try {
+            const output = await calculateFromInput(value);
+            return {
+                row: rowNumber,
+                ref,
+                success: true,
+                result: output.result,
+                metadata: output.metadata
+            };
+        } catch (error) {
+            logger.warn('Batch row calculation failed', {
+                row: rowNumber,
+                ref,
+                error: error.message
+            });
+            return {
+                row: rowNumber,
+                ref,
+                success: false,
+                errors: [{ field: null, message: error.message }]
+            };
+        }
+    }
+
+    /**
+     * Convert an uploaded CSV into calculation inputs
+     * Columns: ref, template, pipeline, taxProfile, taxDocumentRef, destinationCountry, customerRef, rateSource, rateDate, KDV, komisyon, rates.EUR, fabric.unit_eur,
+     * genel_gider.<range>, karlilik.<range>, batch.<range>, operations.<name>.<range>
+     * @param {string} text - CSV content
+     * @returns {object[]} - Calculation inputs
+     */
+    csvToItems(text) {
+        const records = parseCsvObjects(text || '');
+
+        if (records.length === 0) {
+            throw new ValidationError('CSV contains no data rows');
+        }
+        if (records.length > this.maxRows) {
+            throw new ValidationError(`CSV has ${records.length} rows, maximum is ${this.maxRows}`);
+        }
+
+        return records.map(record => this.recordToItem(record));
+    }
+
+    recordToItem(record) {
+        const item = {};
+
+        Object.entries(record).forEach(([column, raw]) => {
+            if (raw === '') {
+                return;
+            }
+
+            const value = this.parseCell(raw);
+            const [section, ...path] = column.split('.');
+
+            if (TEXT_COLUMNS.includes(column)) {
+                item[column] = raw;
+            } else if (NUMBER_COLUMNS.includes(column)) {
+                item[column] = value;
+            } else if (NESTED_SECTIONS.includes(section) && path.length === 1) {
+                item[section] = { ...(item[section] || {}), [path[0]]: value };
+            } else if (section === 'operations' && path.length >= 2) {
+                const range = path[path.length - 1];
+                const name = path.slice(0, -1).join('.');
+                item.operations = item.operations || {};
+                item.operations[name] = { ...(item.operations[name] || {}), [range]: value };
+            } else {
+                // Unknown columns are passed through; validation strips them
+                item[column] = value;
+            }
+        });
+
+        return item;
+    }
+
+    /**
+     * Numbers may use a decimal comma (Turkish locale)
+     */
+    parseCell(raw) {
+        if (/^-?\d+(?:[.,]\d+)?$/.test(raw)) {
+            return Number(raw.replace(',', '.'));
+        }
+        return raw;
+    }
+
+    readField(result, field) {
+        return field.split('.').reduce((value, key) => value?.[key], result) ?? null;
+    }
+
+    /**
+     * Serialize a batch result to CSV, one line per row and range
+     * @param {object} batch - Result of calculateBatch
+     * @returns {string} - CSV content
+     */
+    toCsv(batch) {
+        const fields = [];
+        batch.rows.filter(row => row.success).forEach(row => {
+            Object.values(row.result).forEach(rangeResult => {
+                Object.entries(rangeResult).forEach(([field, value]) => {
+                    const isScalar = value === null || typeof value !== 'object';
+                    if (isScalar && field !== 'range' && field !== 'calculationDate' && !fields.includes(field)) {
+                        fields.push(field);
+                    }
+                });
+
+                // Currencies without a field of their own come from the final map
+                Object.keys(rangeResult.final || {})
+                    .filter(currency => !APP_CONSTANTS.FINAL_FIELD_CURRENCIES.includes(currency))
+                    .forEach(currency => {
+                        [`final.${currency}.total`, `final.${currency}.perUnit`]
+                            .filter(field => !fields.includes(field))
+                            .forEach(field => fields.push(field));
+                    });
+            });
+        });
+
+        const lines = [['row', 'ref', 'status', 'range', ...fields, 'error']];
+
+        batch.rows.forEach(row => {
+            if (!row.success) {
+                const message = row.errors.map(error => (error.field ? `${error.field}: ${error.message}` : error.message)).join('; ');
+                lines.push([row.row, row.ref, 'error', null, ...fields.map(() => null), message]);
+                return;
+            }
+
+            Object.entries(row.result).forEach(([range, rangeResult]) => {
+                lines.push([row.row, row.ref, 'ok', range, ...fields.map(field => this.readField(rangeResult, field)), null]);
+            });
+        });
+
+        return toCsv(lines);
+    }
+}
+
+// Create singleton instance
+const batchCalculator = new BatchCalculator();
+
+export { BatchCalculator, batchCalculator };
+export default batchCalculator;
@@ -1,14 +1,24 @@
-import { parseOdsDefaults } from './odsParser.js';
+import { parseOdsDefaults, odsParser } from './odsParser.js';
+import { exchangeRateService } from './exchangeRateService.js';
+import { pricingPipeline } from './pricingPipeline.js';
+import { taxProfileService } from './taxProfileService.js';
+import { rateOverrideService } from './rateOverrideService.js';
 import { APP_CONSTANTS, VALIDATION_CONSTANTS } from '../config/constants.js';
-import { CalculationError } from '../utils/errors.js';
+import { CalculationError, NotFoundError } from '../utils/errors.js';
 import { logger } from '../utils/logger.js';
 import { cacheHelpers } from '../utils/cache.js';
+import { buildDefaultBatch, findRangeForQuantity } from '../utils/batchRanges.js';
 import crypto from 'crypto';
 
+// Fabric fields that set a price; given without lines they replace the template's fabric lines
+const FABRIC_PRICE_FIELDS = ['unit_eur', 'price_eur', 'metre_eur', 'consumption_m'];
+
+// Fabric is priced per unit or per metre; metre pricing wins when both are given
+const FABRIC_UNIT_PRICE_FIELDS = ['unit_eur', 'price_eur'];
+const FABRIC_METRE_PRICE_FIELDS = ['metre_eur', 'consumption_m', 'wastage'];
+
 class Calculator {
     constructor() {
-        this.defaultBatch = APP_CONSTANTS.DEFAULT_BATCH;
-        this.batchRanges = APP_CONSTANTS.BATCH_RANGES;
         this.percentageDivisor = APP_CONSTANTS.PERCENTAGE_DIVISOR;
     }
 
@@ -32,14 +42,8 @@ class Calculator {
                 return cached;
             }
 
-            // Get defaults from ODS
-            const defaults = parseOdsDefaults();
-
-            // Merge parameters
-            const params = this.mergeParameters(defaults, input, overrides);
-
-            // Validate merged parameters
-            this.validateCalculationParameters(params);
+            // Resolve defaults, rates and merged parameters
+            const { params, rateInfo, odsModifiedAt } = await this.prepareParameters(input, overrides);
 
             // Perform calculations for each range
             const results = this.performCalculations(params);
@@ -48,11 +52,7 @@ class Calculator {
             const output = {
                 ...params,
                 result: results,
-                metadata: {
-                    calculatedAt: new Date().toISOString(),
-                    inputHash,
-                    version: '1.0.0'
-                }
+                metadata: this.buildMetadata(inputHash, rateInfo, params, odsModifiedAt)
             };
 
             // Cache the result
@@ -71,7 +71,7 @@ class Calculator {
                 duration
             });
 
-            if (error instanceof CalculationError) {
+            if (error instanceof CalculationError || error instanceof NotFoundError) {
                 throw error;
             }
 
@@ -79,6 +79,334 @@ class Calculator {
         }
     }
 
+    /**
+     * Quote a single order quantity
+     * Resolves the batch range containing the quantity and calculates that range only
+     * @param {object} input - User input parameters including quantity
+     * @param {object} overrides - System overrides
+     * @returns {object} - Quote with per-unit and total prices
+     */
+    async calculateQuote(input = {}, overrides = {}) {
+        const startTime = Date.now();
+
+        try {
+            const inputHash = this.generateInputHash(input, overrides);
+
+            const cached = cacheHelpers.getQuoteResult(inputHash);
+            if (cached) {
+                logger.debug('Using cached quote result', { inputHash });
+                return cached;
+            }
+
+            const { quantity, ...calculationInput } = input;
+            const { params, rateInfo, odsModifiedAt } = await this.prepareParameters(calculationInput, overrides);
+
+            const range = findRangeForQuantity(quantity, params.batchRanges);
+            if (!range) {
+                throw new CalculationError(
+                    `No batch range covers quantity ${quantity} (defined: ${params.batchRanges.join(', ')})`,
+                    { quantity }
+                );
+            }
+
+            const quoteParams = {
+                ...params,
+                batch: { ...params.batch, [range]: quantity }
+            };
+            const result = this.calculateForRange(range, quoteParams);
+
+            const output = {
+                quantity,
+                range,
+                quote: {
+                    perUnitEur: result.perUnitFinalEur,
+                    perUnitTry: result.perUnitFinalTry,
+                    perUnitUsd: result.perUnitFinalUsd,
+                    perUnitGbp: result.perUnitFinalGbp,
+                    totalEur: result.finalEur,
+                    totalTry: result.finalTry,
+                    totalUsd: result.finalUsd,
+                    totalGbp: result.finalGbp,
+                    final: result.final
+                },
+                rates: params.rates,
+                taxProfile: params.taxProfile,
+                result,
+                metadata: this.buildMetadata(inputHash, rateInfo, quoteParams, odsModifiedAt)
+            };
+
+            cacheHelpers.setQuoteResult(inputHash, output);
+
+            const duration = Date.now() - startTime;
+            logger.logCalculation('quote_calculation', input, 1, duration);
+
+            return output;
+
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            logger.error('Quote calculation failed', error, {
+                input,
+                overrides,
+                duration
+            });
+
+            if (error instanceof CalculationError || error instanceof NotFoundError) {
+                throw error;
+            }
+
+            throw new CalculationError('Quote calculation failed: ' + error.message, { input, overrides });
+        }
+    }
+
+    /**
+     * Reverse calculation: solve one variable so each range reaches a target unit price
+     * Everything else is held at the merged parameters
+     * @param {object} input - User input with solveFor, targetCurrency and targetPerUnit
+     * @param {object} overrides - System overrides
+     * @returns {object} - Solution per range
+     */
+    async calculateReverse(input = {}, overrides = {}) {
+        const startTime = Date.now();
+
+        try {
+            const inputHash = this.generateInputHash(input, overrides);
+            const { solveFor, targetCurrency = 'EUR', targetPerUnit = {}, ...calculationInput } = input;
+            const { params, rateInfo, odsModifiedAt } = await this.prepareParameters(calculationInput, overrides);
+
+            const unknownRanges = Object.keys(targetPerUnit).filter(range => !params.batchRanges.includes(range));
+            if (unknownRanges.length > 0) {
+                throw new CalculationError(
+                    `Unknown batch ranges in targetPerUnit: ${unknownRanges.join(', ')} (defined: ${params.batchRanges.join(', ')})`,
+                    { unknownRanges }
+                );
+            }
+
+            const result = {};
+            params.batchRanges
+                .filter(range => targetPerUnit[range] !== undefined)
+                .forEach(range => {
+                    result[range] = this.solveRange(range, params, solveFor, targetCurrency, targetPerUnit[range]);
+                });
+
+            const duration = Date.now() - startTime;
+            logger.logCalculation('reverse_calculation', input, Object.keys(result).length, duration);
+
+            return {
+                solveFor,
+                targetCurrency,
+                rates: params.rates,
+                result,
+                metadata: this.buildMetadata(inputHash, rateInfo, params, odsModifiedAt)
+            };
+
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            logger.error('Reverse calculation failed', error, {
+                input,
+                overrides,
+                duration
+            });
+
+            if (error instanceof CalculationError || error instanceof NotFoundError) {
+                throw error;
+            }
+
+            throw new CalculationError('Reverse calculation failed: ' + error.message, { input, overrides });
+        }
+    }
+
+    /**
+     * Solve one variable for a single range
+     * The unit price is linear in each solvable variable, so two evaluations of the
+     * formula chain give the exact solution; pricingPipeline.checkPipeline rejects
+     * pipelines that would break this
+     * @param {string} range - Batch range
+     * @param {object} params - Merged parameters
+     * @param {string} solveFor - Variable to solve for
+     * @param {string} targetCurrency - Currency of the target price
+     * @param {number} target - Target unit price
+     * @returns {object} - Current and solved value, with the forward result at the solution
+     */
+    solveRange(range, params, solveFor, targetCurrency, target) {
+        const variable = this.getReverseVariable(solveFor);
+        const perUnitFinal = amounts => amounts.final[targetCurrency].perUnit;
+        const priceAt = value => perUnitFinal(this.computeRange(range, variable.apply(params, range, value)));
+
+        const current = variable.read(params, range);
+        const solution = {
+            range,
+            batchSize: params.batch[range],
+            target,
+            current: this.roundTo2Decimals(current),
+            currentPerUnitFinal: this.roundTo2Decimals(perUnitFinal(this.computeRange(range, params))),
+            solved: null,
+            headroom: null,
+            feasible: false,
+            result: null
+        };
+
+        const slope = priceAt(2) - priceAt(1);
+        if (!(slope > 0)) {
+            return { ...solution, message: `The unit price does not depend on ${solveFor} in range ${range}` };
+        }
+
+        // Round down so the solved value never exceeds the target price
+        const exact = 1 + (target - priceAt(1)) / slope;
+        const solved = Math.floor(exact * 100 + 1e-9) / 100;
+
+        if (!(solved > variable.min || (variable.allowMin && solved === variable.min))) {
+            return { ...solution, solved, message: variable.unreachable };
+        }
+
+        return {
+            ...solution,
+            solved,
+            headroom: this.roundTo2Decimals(solved - current),
+            feasible: true,
+            result: this.calculateForRange(range, variable.apply(params, range, solved))
+        };
+    }
+
+    /**
+     * How a solvable variable is read from and written into the parameters
+     * @param {string} solveFor - karlilik, fabric or operations
+     * @returns {object} - { read, apply, min, allowMin, unreachable }
+     */
+    getReverseVariable(solveFor) {
+        const { KARLILIK, FABRIC, OPERATIONS } = APP_CONSTANTS.REVERSE_CALCULATION.VARIABLES;
+
+        switch (solveFor) {
+        case KARLILIK:
+            return {
+                read: (params, range) => this.getValidNumber(params.karlilik[range]),
+                apply: (params, range, value) => ({ ...params, karlilik: { ...params.karlilik, [range]: value } }),
+                min: 0,
+                allowMin: true,
+                unreachable: 'Target price is below the price at 0% karlilik'
+            };
+        case FABRIC:
+            // The solved value replaces all fabric lines with a single unit price
+            return {
+                read: params => this.getFabricCost(params.fabric, params.rates),
+                apply: (params, range, value) => ({ ...params, fabric: { unit_eur: value } }),
+                min: 0,
+                allowMin: false,
+                unreachable: 'Target price is below the price without any fabric cost'
+            };
+        case OPERATIONS:
+            // Operations are replaced by a single budget (TRY per batch) for the range
+            return {
+                read: (params, range) => this.calculateOperationsCost(range, params.operations, params.rates),
+                apply: (params, range, value) => ({ ...params, operations: { budget: { [range]: value } } }),
+                min: 0,
+                allowMin: true,
+                unreachable: 'Target price is below the price without any operations cost'
+            };
+        default:
+            throw new CalculationError(`Unsupported reverse calculation variable: ${solveFor}`);
+        }
+    }
+
+    /**
+     * Load defaults, resolve rates, merge and validate parameters
+     * @param {object} input - User input
+     * @param {object} overrides - System overrides
+     * @returns {object} - { params, rateInfo, odsModifiedAt }
+     */
+    async prepareParameters(input, overrides) {
+        const { defaults, rateInput, rateInfo, odsModifiedAt } = await this.resolveDefaults(input);
+
+        // Merge parameters
+        const params = this.mergeParameters(defaults, rateInput, overrides);
+
+        // Validate merged parameters
+        this.validateCalculationParameters(params);
+
+        return { params, rateInfo, odsModifiedAt };
+    }
+
+    /**
+     * Load the template defaults and resolve the exchange rates to merge with
+     * @param {object} input - User input
+     * @returns {object} - { defaults, rateInput, rateInfo, odsModifiedAt }; rateInput drops request rates unless they are the source
+     */
+    async resolveDefaults(input) {
+        // Get defaults from the requested template's sheet
+        const defaults = parseOdsDefaults(input.template);
+        const odsModifiedAt = odsParser.getParsedModifiedAt();
+
+        // Resolve exchange rates from the requested source
+        const rateInfo = await this.applyRateOverrides(await this.resolveRates(defaults, input), input);
+        const rateInput = rateInfo.source === APP_CONSTANTS.RATE_SOURCES.REQUEST
+            ? input
+            : { ...input, rates: undefined };
+
+        return {
+            defaults: { ...defaults, rates: rateInfo.rates },
+            rateInput,
+            rateInfo,
+            odsModifiedAt
+        };
+    }
+
+    /**
+     * Build response metadata
+     * @param {string} inputHash - Input hash
+     * @param {object} rateInfo - Resolved rate information
+     * @param {object} params - Merged parameters; their currency conversions are listed
+     * @param {string|null} odsModifiedAt - Modification time of the ODS file the defaults were read from
+     * @returns {object} - Metadata
+     */
+    buildMetadata(inputHash, rateInfo, params = null, odsModifiedAt = null) {
+        return {
+            calculatedAt: new Date().toISOString(),
+            inputHash,
+            odsModifiedAt,
+            rates: {
+                source: rateInfo.source,
+                provider: rateInfo.provider || null,
+                fetchedAt: rateInfo.fetchedAt,
+                fallbackUsed: rateInfo.fallbackUsed,
+                fallbackCurrencies: rateInfo.fallbackCurrencies,
+                rateDate: rateInfo.rateDate || null,
+                overrides: rateInfo.overrides || []
+            },
+            pipeline: params ? params.pipeline : null,
+            conversions: params ? this.describeConversions(params) : [],
+            version: '1.0.0'
+        };
+    }
+
+    /**
+     * List the currency conversions a calculation applies
+     * Fabric and accessories are converted to EUR, operations to TRY
+     * @param {object} params - Merged parameters
+     * @returns {object[]} - [{ item, from, to, rate }]; rate is units of "to" per unit of "from"
+     */
+    describeConversions(params) {
+        const hasLines = Array.isArray(params.fabric.lines) && params.fabric.lines.length > 0;
+        const items = [
+            ...this.getFabricLines(params.fabric, params.rates).map(line => ({
+                item: hasLines ? `fabric.lines.${line.name}` : 'fabric',
+                from: line.currency,
+                to: 'EUR'
+            })),
+            ...params.accessories.map(item => ({ item: `accessories.${item.name}`, from: item.currency || 'EUR', to: 'EUR' })),
+            ...Object.entries(params.operations).map(([name, costs]) => ({
+                item: `operations.${name}`,
+                from: this.getOperationCurrency(costs),
+                to: 'TRY'
+            }))
+        ];
+
+        return items
+            .filter(({ from, to }) => from !== to)
+            .map(conversion => ({
+                ...conversion,
+                rate: Number(this.convertCurrency(1, conversion.from, conversion.to, params.rates).toFixed(6))
+            }));
+    }
+
     /**
      * Generate cache key from input parameters
      * @param {object} input - User input
@@ -87,8 +415,99 @@ class Calculator {
      */
     generateInputHash(input, overrides) {
         const combined = { ...input, ...overrides };
-        const sortedKeys = JSON.stringify(combined, Object.keys(combined).sort());
-        return crypto.createHash('md5').update(sortedKeys).digest('hex');
+        return crypto.createHash('md5').update(this.stableStringify(combined)).digest('hex');
+    }
+
+    /**
+     * JSON-stringify with object keys sorted at every level
+     * @param {*} value - Value to serialize
+     * @returns {string} - Deterministic JSON string
+     */
+    stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value)
+                .sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Resolve the exchange rates to calculate with
+     * @param {object} defaults - Default values from ODS
+     * @param {object} input - User input
+     * @returns {object} - { rates, source, provider, fetchedAt, fallbackUsed, fallbackCurrencies, rateDate }
+     */
+    async resolveRates(defaults, input) {
+        const { ODS, LIVE, REQUEST, ARCHIVE } = APP_CONSTANTS.RATE_SOURCES;
+        const source = input.rateSource || (input.rateDate ? ARCHIVE : input.rates ? REQUEST : ODS);
+
+        if (source === ARCHIVE) {
+            // Reprice with the rates archived for the day, e.g. when the order was confirmed
+            const snapshot = await exchangeRateService.getHistoricalSnapshot(input.rateDate);
+            return {
+                rates: snapshot.rates,
+                source,
+                provider: snapshot.provider,
+                fetchedAt: snapshot.fetchedAt,
+                fallbackUsed: snapshot.fallbackUsed,
+                fallbackCurrencies: snapshot.fallbackCurrencies,
+                rateDate: snapshot.rateDate
+            };
+        }
+
+        if (source === LIVE) {
+            const snapshot = await exchangeRateService.getRatesSnapshot();
+            return {
+                rates: snapshot.rates,
+                source,
+                provider: snapshot.provider,
+                fetchedAt: snapshot.fetchedAt,
+                fallbackUsed: snapshot.fallbackUsed,
+                fallbackCurrencies: snapshot.fallbackCurrencies
+            };
+        }
+
+        if (source === REQUEST) {
+            return {
+                rates: defaults.rates,
+                source,
+                fetchedAt: new Date().toISOString(),
+                fallbackUsed: false,
+                fallbackCurrencies: []
+            };
+        }
+
+        return {
+            rates: defaults.rates,
+            source,
+            fetchedAt: odsParser.getParsedModifiedAt(),
+            fallbackUsed: odsParser.getDefaultedRates(defaults.template).length > 0,
+            fallbackCurrencies: [...odsParser.getDefaultedRates(defaults.template)]
+        };
+    }
+
+    /**
+     * Replace live and ODS rates with the rates pinned for everyone or for the customer
+     * Request and archived rates are kept as given
+     * @param {object} rateInfo - Resolved rates
+     * @param {object} input - User input
+     * @returns {object} - rateInfo with the pinned rates and the list of applied overrides
+     */
+    async applyRateOverrides(rateInfo, input) {
+        const { ODS, LIVE } = APP_CONSTANTS.RATE_SOURCES;
+        if (rateInfo.source !== ODS && rateInfo.source !== LIVE) {
+            return { ...rateInfo, overrides: [] };
+        }
+
+        return rateOverrideService.applyToSnapshot(rateInfo, input.customerRef || null);
     }
 
     /**
@@ -99,17 +518,22 @@ class Calculator {
      * @returns {object} - Merged parameters
      */
     mergeParameters(defaults, input, overrides) {
+        const batchRanges = defaults.batchRanges || APP_CONSTANTS.BATCH_RANGES;
+        const taxProfile = this.resolveTaxProfile(input, overrides);
+
         return {
+            template: defaults.template,
+            pipeline: overrides.pipeline || input.pipeline || APP_CONSTANTS.PRICING_PIPELINES.DEFAULT,
+            taxProfile,
+            batchRanges,
             rates: {
                 ...defaults.rates,
                 ...(input.rates || {}),
                 ...(overrides.rates || {})
             },
-            fabric: {
-                ...defaults.fabric,
-                ...(input.fabric || {}),
-                ...(overrides.fabric || {})
-            },
+            fabric: this.mergeFabric(defaults.fabric, input.fabric, overrides.fabric),
+            // Accessory lists replace each other as a whole
+            accessories: overrides.accessories || input.accessories || defaults.accessories || [],
             genel_gider: {
                 ...defaults.genel_gider,
                 ...(input.genel_gider || {}),
@@ -120,7 +544,8 @@ class Calculator {
                 ...(input.karlilik || {}),
                 ...(overrides.karlilik || {})
             },
-            KDV: this.getValidNumber(input.KDV ?? overrides.KDV ?? defaults.KDV),
+            // A tax profile sets the KDV rate; without one the request or ODS rate is used
+            KDV: taxProfile ? taxProfile.kdv : this.getValidNumber(input.KDV ?? overrides.KDV ?? defaults.KDV),
             komisyon: this.getValidNumber(input.komisyon ?? overrides.komisyon ?? defaults.komisyon),
             operations: {
                 ...defaults.operations,
@@ -128,12 +553,63 @@ class Calculator {
                 ...(overrides.operations || {})
             },
             batch: {
-                ...this.defaultBatch,
+                ...buildDefaultBatch(batchRanges),
                 ...(input.batch || {})
             }
         };
     }
 
+    /**
+     * Resolve the tax profile of the sale, if one is requested
+     * @returns {object|null} - { name, description, kdv, documentRef, destinationCountry }
+     */
+    resolveTaxProfile(input, overrides) {
+        const name = overrides.taxProfile || input.taxProfile;
+        if (!name) {
+            return null;
+        }
+
+        return taxProfileService.resolve(name, {
+            documentRef: overrides.taxDocumentRef || input.taxDocumentRef,
+            destinationCountry: overrides.destinationCountry || input.destinationCountry
+        });
+    }
+
+    /**
+     * Merge fabric parameters
+     * Fabric priced in the input or overrides without its own lines replaces the template's lines
+     * and the template's unit prices; a unit price also replaces the template's metre pricing.
+     * A price given without a currency is in EUR, whatever currency the template used
+     * @returns {object} - Merged fabric
+     */
+    mergeFabric(defaults = {}, input = {}, overrides = {}) {
+        const sets = fields => [input, overrides].some(values => fields.some(field => values[field] !== undefined));
+        const repricedBy = [input, overrides].filter(values =>
+            FABRIC_PRICE_FIELDS.some(field => values[field] !== undefined)
+        );
+        const repriced = repricedBy.length > 0;
+
+        let dropped = [];
+        if (sets(FABRIC_UNIT_PRICE_FIELDS)) {
+            dropped = [...FABRIC_UNIT_PRICE_FIELDS, ...FABRIC_METRE_PRICE_FIELDS];
+        } else if (repriced) {
+            dropped = FABRIC_UNIT_PRICE_FIELDS;
+        }
+
+        const template = Object.fromEntries(Object.entries(defaults).filter(([field]) => !dropped.includes(field)));
+        const { lines, ...fabric } = { ...template, ...input, ...overrides };
+
+        if (repriced && !repricedBy.some(values => values.currency)) {
+            delete fabric.currency;
+        }
+
+        if (!lines || (repriced && !input.lines && !overrides.lines)) {
+            return fabric;
+        }
+
+        return { ...fabric, lines };
+    }
+
     /**
      * Validate calculation parameters
      * @param {object} params - Merged parameters
@@ -141,6 +617,9 @@ class Calculator {
     validateCalculationParameters(params) {
         const errors = [];
 
+        // Unknown pipelines are reported as not found, like unknown templates
+        pricingPipeline.get(params.pipeline);
+
         // Validate exchange rates
         APP_CONSTANTS.SUPPORTED_CURRENCIES.forEach(currency => {
             const rate = params.rates[currency];
@@ -149,10 +628,30 @@ class Calculator {
             }
         });
 
-        // Validate fabric prices
-        Object.entries(params.fabric).forEach(([key, value]) => {
-            if (value !== null && value !== undefined && !this.isValidPositiveNumber(value)) {
-                errors.push(`Invalid fabric price for ${key}: ${value}`);
+        // Validate fabric prices, consumption and wastage
+        const { lines, ...fabric } = params.fabric;
+        errors.push(...this.validateFabricValues(fabric, 'fabric'));
+        (lines || []).forEach(line => {
+            errors.push(...this.validateFabricValues(line, `fabric line "${line.name}"`));
+        });
+
+        // Validate item currencies
+        [
+            ...this.getFabricLines(params.fabric, params.rates).map(line => [`fabric ${line.name}`, line.currency]),
+            ...Object.entries(params.operations).map(([name, costs]) => [`operation ${name}`, this.getOperationCurrency(costs)])
+        ].forEach(([item, currency]) => {
+            if (!APP_CONSTANTS.PRICE_CURRENCIES.includes(currency)) {
+                errors.push(`Unsupported currency for ${item}: ${currency}`);
+            }
+        });
+
+        // Validate accessories
+        params.accessories.forEach(item => {
+            if (!this.isValidPositiveNumber(item.quantity) || !this.isValidPositiveNumber(item.unit_price)) {
+                errors.push(`Invalid quantity or price for accessory ${item.name}: ${item.quantity} x ${item.unit_price}`);
+            }
+            if (!APP_CONSTANTS.PRICE_CURRENCIES.includes(item.currency)) {
+                errors.push(`Unsupported currency for accessory ${item.name}: ${item.currency}`);
             }
         });
 
@@ -165,17 +664,52 @@ class Calculator {
         }
 
         // Validate batch ranges
-        this.batchRanges.forEach(range => {
+        params.batchRanges.forEach(range => {
             if (!this.isValidBatchSize(params.batch[range])) {
                 errors.push(`Invalid batch size for range ${range}: ${params.batch[range]}`);
             }
         });
 
+        // Reject ranges that are not among the defined tiers
+        const unknownRanges = this.findUnknownRanges(params);
+        if (unknownRanges.length > 0) {
+            errors.push(`Unknown batch ranges: ${unknownRanges.join(', ')} (defined: ${params.batchRanges.join(', ')})`);
+        }
+
         if (errors.length > 0) {
             throw new CalculationError(`Parameter validation failed: ${errors.join(', ')}`);
         }
     }
 
+    /**
+     * Check the numeric fields of the fabric or of one fabric line
+     * @param {object} values - Fabric fields
+     * @param {string} label - Used in error messages
+     * @returns {string[]} - Errors
+     */
+    validateFabricValues(values, label) {
+        return Object.entries(values)
+            .filter(([key, value]) => key !== 'name' && key !== 'currency' && value !== null && value !== undefined)
+            .filter(([key, value]) => (key === 'wastage' ? !this.isValidPercentage(value) : !this.isValidPositiveNumber(value)))
+            .map(([key, value]) => `Invalid ${label} value for ${key}: ${value}`);
+    }
+
+    /**
+     * Collect range keys used in range-keyed parameters that are not defined tiers
+     * @param {object} params - Merged parameters
+     * @returns {string[]} - Unknown range keys
+     */
+    findUnknownRanges(params) {
+        const keys = new Set([
+            ...Object.keys(params.batch),
+            ...Object.keys(params.genel_gider),
+            ...Object.keys(params.karlilik),
+            ...Object.values(params.operations).flatMap(ranges => Object.keys(ranges || {}).filter(key => key !== 'currency'))
+        ]);
+
+        return [...keys].filter(range => !params.batchRanges.includes(range));
+    }
+
     /**
      * Perform calculations for all batch ranges
      * @param {object} params - Calculation parameters
@@ -184,7 +718,7 @@ class Calculator {
     performCalculations(params) {
         const results = {};
 
-        this.batchRanges.forEach(range => {
+        params.batchRanges.forEach(range => {
             try {
                 results[range] = this.calculateForRange(range, params);
             } catch (error) {
@@ -203,77 +737,221 @@ class Calculator {
      * @returns {object} - Calculation results for the range
      */
     calculateForRange(range, params) {
+        const { batchSize, final, ...amounts } = this.computeRange(range, params);
+
+        const rounded = Object.fromEntries(
+            Object.entries(amounts).map(([field, value]) => [field, this.roundTo2Decimals(value)])
+        );
+
+        return {
+            batchSize,
+            ...rounded,
+
+            // Final prices keyed by currency
+            final: Object.fromEntries(
+                Object.entries(final).map(([currency, { total, perUnit }]) => [
+                    currency,
+                    { total: this.roundTo2Decimals(total), perUnit: this.roundTo2Decimals(perUnit) }
+                ])
+            ),
+
+            // Cost attribution
+            breakdown: this.buildBreakdown(range, params, { batchSize, ...amounts }),
+
+            // Metadata
+            calculationDate: new Date().toISOString(),
+            range
+        };
+    }
+
+    /**
+     * Formula chain of a batch range, without rounding
+     * @param {string} range - Batch range (e.g., '0-50')
+     * @param {object} params - Calculation parameters
+     * @returns {object} - Unrounded amounts
+     */
+    computeRange(range, params) {
         const batchSize = params.batch[range];
 
         // Calculate total operations cost in TRY
-        const totalOpsTry = this.calculateOperationsCost(range, params.operations);
+        const totalOpsTry = this.calculateOperationsCost(range, params.operations, params.rates);
 
         // Convert to per-unit operations cost in EUR
         const perUnitOpsTry = this.safeDivision(totalOpsTry, batchSize);
         const perUnitOpsEur = this.safeDivision(perUnitOpsTry, params.rates.EUR);
 
         // Calculate base per-unit cost in EUR
-        const fabricCostEur = this.getFabricCost(params.fabric);
-        const perUnitEur = fabricCostEur + perUnitOpsEur;
+        const fabricCostEur = this.getFabricCost(params.fabric, params.rates);
+        const accessoriesCostEur = this.getAccessoryCosts(params.accessories, params.rates)
+            .reduce((total, { perUnitEur }) => total + perUnitEur, 0);
+        const perUnitEur = fabricCostEur + accessoriesCostEur + perUnitOpsEur;
 
         // Calculate total raw cost
         const hamMaliyetEur = perUnitEur * batchSize;
 
-        // Apply overhead percentages
-        const genelGiderEur = this.applyPercentage(hamMaliyetEur, params.genel_gider[range]);
-        const karEur = this.applyPercentage(hamMaliyetEur, params.karlilik[range]);
-
-        // Calculate taxable amount
-        const taxableEur = hamMaliyetEur + genelGiderEur + karEur;
+        // Apply overhead, profit, KDV and commission in the order of the pricing pipeline
+        const { genelGiderEur, karEur, taxableEur, kdvEur, commissionEur, finalEur } =
+            this.applyPipeline(range, params, hamMaliyetEur);
 
-        // Apply KDV and commission
-        const kdvEur = this.applyPercentage(taxableEur, params.KDV);
-        const commissionEur = this.applyPercentage(taxableEur, params.komisyon);
-
-        // Calculate final amounts
-        const finalEur = taxableEur + kdvEur + commissionEur;
+        // Calculate final amounts in every price currency, converted through TRY
         const finalTry = finalEur * params.rates.EUR;
-        const finalUsd = this.safeDivision(finalTry, params.rates.USD);
-        const finalGbp = this.safeDivision(finalTry, params.rates.GBP);
-
-        // Calculate per-unit finals
-        const perUnitFinalEur = this.safeDivision(finalEur, batchSize);
-        const perUnitFinalTry = this.safeDivision(finalTry, batchSize);
-        const perUnitFinalUsd = this.safeDivision(finalUsd, batchSize);
-        const perUnitFinalGbp = this.safeDivision(finalGbp, batchSize);
+        const finalIn = currency => {
+            if (currency === 'EUR') return finalEur;
+            if (currency === 'TRY') return finalTry;
+            return this.safeDivision(finalTry, params.rates[currency]);
+        };
+        const final = Object.fromEntries(APP_CONSTANTS.PRICE_CURRENCIES.map(currency => {
+            const total = finalIn(currency);
+            return [currency, { total, perUnit: this.safeDivision(total, batchSize) }];
+        }));
 
         return {
             batchSize,
 
             // Costs breakdown
-            fabricCostEur: this.roundTo2Decimals(fabricCostEur),
-            perUnitOpsTry: this.roundTo2Decimals(perUnitOpsTry),
-            perUnitOpsEur: this.roundTo2Decimals(perUnitOpsEur),
-            perUnitEur: this.roundTo2Decimals(perUnitEur),
+            fabricCostEur,
+            accessoriesCostEur,
+            perUnitOpsTry,
+            perUnitOpsEur,
+            perUnitEur,
 
             // Total costs
-            hamMaliyetEur: this.roundTo2Decimals(hamMaliyetEur),
-            genelGiderEur: this.roundTo2Decimals(genelGiderEur),
-            karEur: this.roundTo2Decimals(karEur),
-            taxableEur: this.roundTo2Decimals(taxableEur),
-            kdvEur: this.roundTo2Decimals(kdvEur),
-            commissionEur: this.roundTo2Decimals(commissionEur),
-
-            // Final totals
-            finalEur: this.roundTo2Decimals(finalEur),
-            finalTry: this.roundTo2Decimals(finalTry),
-            finalUsd: this.roundTo2Decimals(finalUsd),
-            finalGbp: this.roundTo2Decimals(finalGbp),
+            hamMaliyetEur,
+            genelGiderEur,
+            karEur,
+            taxableEur,
+            kdvEur,
+            commissionEur,
+
+            // Final totals, one field per currency kept for existing clients
+            finalEur,
+            finalTry,
+            finalUsd: final.USD.total,
+            finalGbp: final.GBP.total,
 
             // Per-unit finals
-            perUnitFinalEur: this.roundTo2Decimals(perUnitFinalEur),
-            perUnitFinalTry: this.roundTo2Decimals(perUnitFinalTry),
-            perUnitFinalUsd: this.roundTo2Decimals(perUnitFinalUsd),
-            perUnitFinalGbp: this.roundTo2Decimals(perUnitFinalGbp),
+            perUnitFinalEur: final.EUR.perUnit,
+            perUnitFinalTry: final.TRY.perUnit,
+            perUnitFinalUsd: final.USD.perUnit,
+            perUnitFinalGbp: final.GBP.perUnit,
 
-            // Metadata
-            calculationDate: new Date().toISOString(),
-            range
+            final
+        };
+    }
+
+    /**
+     * Run the steps of the pricing pipeline on the raw cost of a range
+     * Each step adds a percentage of the sum of its base amounts; the final price is the raw
+     * cost plus every step amount, in step order. Amounts the pipeline leaves out are 0
+     * @param {string} range - Batch range
+     * @param {object} params - Calculation parameters
+     * @param {number} hamMaliyetEur - Total raw cost
+     * @returns {object} - { genelGiderEur, karEur, taxableEur, kdvEur, commissionEur, finalEur }
+     */
+    applyPipeline(range, params, hamMaliyetEur) {
+        const { BASE_AMOUNT, AMOUNTS } = APP_CONSTANTS.PRICING_PIPELINES;
+        const amounts = Object.fromEntries(AMOUNTS.map(amount => [amount, 0]));
+        amounts[BASE_AMOUNT] = hamMaliyetEur;
+        let finalEur = hamMaliyetEur;
+
+        pricingPipeline.get(params.pipeline).steps.forEach(step => {
+            const base = step.base.reduce((total, amount) => total + amounts[amount], 0);
+            amounts[step.amount] = this.applyPercentage(base, this.getStepPercentage(step, range, params));
+            finalEur += amounts[step.amount];
+        });
+
+        return {
+            genelGiderEur: amounts.genelGiderEur,
+            karEur: amounts.karEur,
+            taxableEur: hamMaliyetEur + amounts.genelGiderEur + amounts.karEur,
+            kdvEur: amounts.kdvEur,
+            commissionEur: amounts.commissionEur,
+            finalEur
+        };
+    }
+
+    /**
+     * Percentage of a pipeline step: a number, a per-range parameter (genel_gider, karlilik)
+     * or a single one (KDV, komisyon)
+     */
+    getStepPercentage(step, range, params) {
+        if (typeof step.percentage === 'number') {
+            return step.percentage;
+        }
+
+        const value = params[step.percentage];
+        return value !== null && typeof value === 'object' ? value[range] : value;
+    }
+
+    /**
+     * Attribute the cost of a range to each fabric line, accessory and operation, and split the final price
+     * Shares are percentages of hamMaliyetEur; the split is a percentage of finalEur
+     * @param {string} range - Batch range
+     * @param {object} params - Calculation parameters
+     * @param {object} amounts - Unrounded amounts from computeRange
+     * @returns {object} - { fabric, accessories, operations, finalPriceSplit }
+     */
+    buildBreakdown(range, params, amounts) {
+        const { batchSize, hamMaliyetEur, finalEur } = amounts;
+        const shareOf = (value, total) => this.roundTo2Decimals(this.safeDivision(value * this.percentageDivisor, total));
+
+        const operations = {};
+        this.getOperationCosts(range, params.operations, params.rates).forEach(({ name, currency, cost, totalTry }) => {
+            const totalEur = this.safeDivision(totalTry, params.rates.EUR);
+            operations[name] = {
+                currency,
+                cost: this.roundTo2Decimals(cost),
+                totalTry: this.roundTo2Decimals(totalTry),
+                perUnitTry: this.roundTo2Decimals(this.safeDivision(totalTry, batchSize)),
+                perUnitEur: this.roundTo2Decimals(this.safeDivision(totalEur, batchSize)),
+                shareOfHamMaliyet: shareOf(totalEur, hamMaliyetEur)
+            };
+        });
+
+        const fabricLines = {};
+        this.getFabricLines(params.fabric, params.rates).forEach(({ name, unitEur, ...line }) => {
+            fabricLines[name] = {
+                ...line,
+                perUnitEur: this.roundTo2Decimals(unitEur),
+                totalEur: this.roundTo2Decimals(unitEur * batchSize),
+                shareOfHamMaliyet: shareOf(unitEur * batchSize, hamMaliyetEur)
+            };
+        });
+
+        const accessories = {};
+        this.getAccessoryCosts(params.accessories, params.rates).forEach(({ name, quantity, unit_price, currency, perUnitEur }) => {
+            accessories[name] = {
+                quantity,
+                unitPrice: unit_price,
+                currency,
+                perUnitEur: this.roundTo2Decimals(perUnitEur),
+                totalEur: this.roundTo2Decimals(perUnitEur * batchSize),
+                shareOfHamMaliyet: shareOf(perUnitEur * batchSize, hamMaliyetEur)
+            };
+        });
+
+        const fabricTotalEur = amounts.fabricCostEur * batchSize;
+        const accessoriesTotalEur = amounts.accessoriesCostEur * batchSize;
+        const operationsTotalEur = amounts.perUnitOpsEur * batchSize;
+
+        return {
+            fabric: {
+                perUnitEur: this.roundTo2Decimals(amounts.fabricCostEur),
+                totalEur: this.roundTo2Decimals(fabricTotalEur),
+                shareOfHamMaliyet: shareOf(fabricTotalEur, hamMaliyetEur),
+                lines: fabricLines
+            },
+            accessories,
+            operations,
+            finalPriceSplit: {
+                fabric: shareOf(fabricTotalEur, finalEur),
+                accessories: shareOf(accessoriesTotalEur, finalEur),
+                operations: shareOf(operationsTotalEur, finalEur),
+                overhead: shareOf(amounts.genelGiderEur, finalEur),
+                profit: shareOf(amounts.karEur, finalEur),
+                kdv: shareOf(amounts.kdvEur, finalEur),
+                commission: shareOf(amounts.commissionEur, finalEur)
+            }
         };
     }
 
@@ -281,29 +959,140 @@ class Calculator {
      * Calculate total operations cost for a range
      * @param {string} range - Batch range
      * @param {object} operations - Operations data
+     * @param {object} rates - Exchange rates (TRY per unit of currency)
      * @returns {number} - Total operations cost in TRY
      */
-    calculateOperationsCost(range, operations) {
-        let total = 0;
+    calculateOperationsCost(range, operations, rates) {
+        return this.getOperationCosts(range, operations, rates)
+            .reduce((total, { totalTry }) => total + totalTry, 0);
+    }
 
-        Object.entries(operations).forEach(([operationName, ranges]) => {
-            const cost = this.getValidNumber(ranges[range]);
-            total += cost;
-        });
+    /**
+     * Cost of each operation for a range
+     * Costs are in the operation's currency (TRY by default) and converted to TRY
+     * @param {string} range - Batch range
+     * @param {object} operations - Operations data
+     * @param {object} rates - Exchange rates (TRY per unit of currency)
+     * @returns {object[]} - [{ name, currency, cost, totalTry }] for operations priced in the range
+     */
+    getOperationCosts(range, operations, rates) {
+        return Object.entries(operations)
+            .filter(([, ranges]) => ranges && ranges[range] !== undefined && ranges[range] !== null)
+            .map(([name, ranges]) => {
+                const currency = this.getOperationCurrency(ranges);
+                const cost = this.getValidNumber(ranges[range]);
+                return { name, currency, cost, totalTry: this.convertCurrency(cost, currency, 'TRY', rates) };
+            });
+    }
 
-        return total;
+    getOperationCurrency(costs) {
+        return costs?.currency || 'TRY';
     }
 
     /**
      * Get fabric cost from fabric parameters
      * @param {object} fabric - Fabric parameters
-     * @returns {number} - Fabric cost in EUR
+     * @param {object} rates - Exchange rates (TRY per unit of currency)
+     * @returns {number} - Fabric cost per unit in EUR, summed over all fabric lines
+     */
+    getFabricCost(fabric, rates) {
+        return this.getFabricLines(fabric, rates).reduce((total, line) => total + line.unitEur, 0);
+    }
+
+    /**
+     * Fabric lines of a product (shell, lining, rib, ...) with their cost per unit
+     * Without "lines" the fabric itself is a single line
+     * @param {object} fabric - Fabric parameters
+     * @param {object} rates - Exchange rates (TRY per unit of currency)
+     * @returns {object[]} - [{ name, currency, metre_eur, consumption_m, width_cm, wastage, unitEur }]
+     */
+    getFabricLines(fabric, rates) {
+        const lines = Array.isArray(fabric.lines) && fabric.lines.length > 0
+            ? fabric.lines
+            : [{ ...fabric, name: APP_CONSTANTS.DEFAULT_FABRIC_LINE }];
+
+        return lines.map(line => {
+            // Lines without a currency use the fabric's currency
+            const currency = line.currency || fabric.currency || 'EUR';
+            return {
+                name: line.name,
+                currency,
+                metre_eur: line.metre_eur ?? null,
+                consumption_m: line.consumption_m ?? null,
+                width_cm: line.width_cm ?? null,
+                wastage: line.wastage ?? null,
+                unitEur: this.getFabricLineCost({ ...line, currency }, rates)
+            };
+        });
+    }
+
+    /**
+     * Cost per unit of one fabric line
+     * Metre price x consumption plus cutting wastage when the consumption is known,
+     * otherwise the fixed unit price. Prices are in the line's currency (EUR by default)
+     * @param {object} line - Fabric line
+     * @param {object} rates - Exchange rates (TRY per unit of currency)
+     * @returns {number} - Cost per unit in EUR
+     */
+    getFabricLineCost(line, rates) {
+        const metrePrice = this.getValidNumber(line.metre_eur);
+        const consumption = this.getValidNumber(line.consumption_m);
+
+        let cost;
+        if (metrePrice > 0 && consumption > 0) {
+            const net = metrePrice * consumption;
+            cost = net + this.applyPercentage(net, line.wastage);
+        } else {
+            // Priority: unit_eur > price_eur > 0
+            cost = this.getValidNumber(line.unit_eur) ||
+                this.getValidNumber(line.price_eur) ||
+                0;
+        }
+
+        return this.convertToEur(cost, line.currency || 'EUR', rates);
+    }
+
+    /**
+     * Cost per unit of each accessory in EUR
+     * @param {object[]} accessories - [{ name, quantity, unit_price, currency }]
+     * @param {object} rates - Exchange rates (TRY per unit of currency)
+     * @returns {object[]} - Accessories with perUnitEur
+     */
+    getAccessoryCosts(accessories, rates) {
+        return (accessories || []).map(item => ({
+            ...item,
+            perUnitEur: this.getValidNumber(item.quantity) * this.convertToEur(item.unit_price, item.currency, rates)
+        }));
+    }
+
+    /**
+     * Convert an amount to EUR through TRY
+     * @param {number} amount - Amount in the given currency
+     * @param {string} currency - Price currency
+     * @param {object} rates - Exchange rates (TRY per unit of currency)
+     * @returns {number} - Amount in EUR
      */
-    getFabricCost(fabric) {
-        // Priority: unit_eur > price_eur > 0
-        return this.getValidNumber(fabric.unit_eur) ||
-            this.getValidNumber(fabric.price_eur) ||
-            0;
+    convertToEur(amount, currency = 'EUR', rates) {
+        return this.convertCurrency(amount, currency, 'EUR', rates);
+    }
+
+    /**
+     * Convert an amount between price currencies through TRY
+     * @param {number} amount - Amount in the source currency
+     * @param {string} from - Source currency
+     * @param {string} to - Target currency
+     * @param {object} rates - Exchange rates (TRY per unit of currency)
+     * @returns {number} - Amount in the target currency
+     */
+    convertCurrency(amount, from, to, rates) {
+        const value = this.getValidNumber(amount);
+
+        if (from === to) {
+            return value;
+        }
+
+        const amountTry = from === 'TRY' ? value : value * this.getValidNumber(rates[from]);
+        return to === 'TRY' ? amountTry : this.safeDivision(amountTry, rates[to]);
     }
 
     /**
@@ -400,6 +1189,14 @@ export function calculateFromInput(input = {}, overrides = {}) {
     return calculator.calculateFromInput(input, overrides);
 }
 
+export function calculateQuote(input = {}, overrides = {}) {
+    return calculator.calculateQuote(input, overrides);
+}
+
+export function calculateReverse(input = {}, overrides = {}) {
+    return calculator.calculateReverse(input, overrides);
+}
+
 // Export calculator instance
 export { calculator };
 export default calculator;
\ No newline at end of file
@@ -0,0 +1,228 @@
+import { defaultsVersionService } from './defaultsVersionService.js';
+import { odsParser } from './odsParser.js';
+import { calculator } from './calculator.js';
+import { NotFoundError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+// Sections keyed by currency / fabric field
+const KEYED_SECTIONS = ['rates', 'fabric'];
+
+// Sections keyed by batch range
+const RANGE_SECTIONS = ['genel_gider', 'karlilik'];
+
+// Single percentage values
+const SCALAR_SECTIONS = ['KDV', 'komisyon'];
+
+class DefaultsDiffService {
+    /**
+     * Compare the defaults of two versions, template by template
+     * @param {object} options - { from, to, template }; "from" defaults to the active file
+     * @returns {object} - { from, to, templates }
+     */
+    async diff({ from = null, to, template = null }) {
+        const startTime = Date.now();
+
+        const [source, target] = await Promise.all([
+            from ? defaultsVersionService.readVersion(from) : defaultsVersionService.readActiveFile(),
+            defaultsVersionService.readVersion(to)
+        ]);
+
+        const before = this.indexTemplates(source.buffer, source.version);
+        const after = this.indexTemplates(target.buffer, target.version);
+
+        if (template && !before[template] && !after[template]) {
+            throw new NotFoundError('Template', template);
+        }
+
+        const names = template
+            ? [template]
+            : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        const templates = names.map(name => this.diffTemplate(name, before[name], after[name]));
+
+        logger.logPerformance('Defaults diff', Date.now() - startTime, {
+            from: source.version.id,
+            to: target.version.id,
+            templates: templates.length
+        });
+
+        return {
+            from: source.version,
+            to: target.version,
+            templates
+        };
+    }
+
+    /**
+     * Parse every sheet of a file into { templateName: defaults }
+     * Sheets that fail validation are left out of the comparison
+     */
+    indexTemplates(buffer, version) {
+        const { templates, errors } = odsParser.parseWorkbookDefaults(buffer);
+
+        if (errors.length > 0) {
+            logger.warn('Sheets skipped in defaults diff', {
+                versionId: version.id,
+                errors
+            });
+        }
+
+        return Object.fromEntries(templates.map(({ name, defaults }) => [name, defaults]));
+    }
+
+    diffTemplate(name, before, after) {
+        if (!before || !after) {
+            return {
+                template: name,
+                status: before ? 'removed' : 'added',
+                changes: [],
+                impact: {}
+            };
+        }
+
+        const changes = this.diffDefaults(before, after);
+
+        return {
+            template: name,
+            status: changes.length > 0 ? 'changed' : 'unchanged',
+            changes,
+            impact: changes.length > 0 ? this.estimateImpact(before, after) : {}
+        };
+    }
+
+    /**
+     * List every value that differs between two sets of defaults
+     * @param {object} before - Defaults of the old version
+     * @param {object} after - Defaults of the new version
+     * @returns {object[]} - [{ section, key, range, from, to, delta, deltaPercent }]
+     */
+    diffDefaults(before, after) {
+        const changes = [];
+        const compare = (section, key, range, oldValue, newValue) => {
+            if ((oldValue ?? null) !== (newValue ?? null)) {
+                changes.push(this.buildChange(section, key, range, oldValue, newValue));
+            }
+        };
+
+        if (before.batchRanges.join() !== after.batchRanges.join()) {
+            changes.push({
+                section: 'batchRanges',
+                key: null,
+                range: null,
+                from: before.batchRanges,
+                to: after.batchRanges,
+                delta: null,
+                deltaPercent: null
+            });
+        }
+
+        KEYED_SECTIONS.forEach(section => {
+            this.unionKeys(before[section], after[section])
+                .filter(key => key !== 'lines')
+                .forEach(key => {
+                    compare(section, key, null, before[section]?.[key], after[section]?.[key]);
+                });
+        });
+
+        // Fabric lines and accessories are matched by name; keys read "<name>.<field>"
+        const compareItems = (section, oldItems, newItems) => {
+            const oldByName = this.indexByName(oldItems);
+            const newByName = this.indexByName(newItems);
+            this.unionKeys(oldByName, newByName).forEach(name => {
+                this.unionKeys(oldByName[name], newByName[name])
+                    .filter(field => field !== 'name')
+                    .forEach(field => {
+                        compare(section, `${name}.${field}`, null, oldByName[name]?.[field], newByName[name]?.[field]);
+                    });
+            });
+        };
+
+        compareItems('fabric.lines', before.fabric?.lines, after.fabric?.lines);
+        compareItems('accessories', before.accessories, after.accessories);
+
+        RANGE_SECTIONS.forEach(section => {
+            this.unionKeys(before[section], after[section]).forEach(range => {
+                compare(section, null, range, before[section]?.[range], after[section]?.[range]);
+            });
+        });
+
+        SCALAR_SECTIONS.forEach(section => {
+            compare(section, null, null, before[section], after[section]);
+        });
+
+        this.unionKeys(before.operations, after.operations).forEach(name => {
+            const oldCosts = before.operations?.[name];
+            const newCosts = after.operations?.[name];
+            this.unionKeys(oldCosts, newCosts)
+                .filter(range => range !== 'currency')
+                .forEach(range => {
+                    compare('operations', name, range, oldCosts?.[range], newCosts?.[range]);
+                });
+            compare('operations', `${name}.currency`, null, oldCosts?.currency, newCosts?.currency);
+        });
+
+        return changes;
+    }
+
+    /**
+     * Estimate the effect on perUnitFinalEur per range
+     * Both sides are calculated with their own ODS rates and the default batch sizes
+     * @returns {object} - { range: { from, to, delta, deltaPercent } }
+     */
+    estimateImpact(before, after) {
+        const oldPrices = this.calculatePerUnitFinalEur(before);
+        const newPrices = this.calculatePerUnitFinalEur(after);
+
+        return Object.fromEntries(
+            this.unionKeys(oldPrices, newPrices).map(range => {
+                const { from, to, delta, deltaPercent } = this.buildChange(null, null, range, oldPrices[range], newPrices[range]);
+                return [range, { from, to, delta, deltaPercent }];
+            })
+        );
+    }
+
+    calculatePerUnitFinalEur(defaults) {
+        const params = calculator.mergeParameters(defaults, {}, {});
+        calculator.validateCalculationParameters(params);
+
+        const results = calculator.performCalculations(params);
+        return Object.fromEntries(
+            Object.entries(results).map(([range, result]) => [range, result.perUnitFinalEur])
+        );
+    }
+
+    buildChange(section, key, range, oldValue, newValue) {
+        const comparable = typeof oldValue === 'number' && typeof newValue === 'number';
+
+        return {
+            section,
+            key,
+            range,
+            from: oldValue ?? null,
+            to: newValue ?? null,
+            delta: comparable ? this.round(newValue - oldValue, 4) : null,
+            deltaPercent: comparable && oldValue !== 0
+                ? this.round(((newValue - oldValue) / oldValue) * 100, 2)
+                : null
+        };
+    }
+
+    indexByName(items) {
+        return Object.fromEntries((items || []).map(item => [item.name, item]));
+    }
+
+    unionKeys(a, b) {
+        return [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])];
+    }
+
+    round(value, decimals) {
+        const factor = 10 ** decimals;
+        return Math.round((value + Number.EPSILON) * factor) / factor;
+    }
+}
+
+// Create singleton instance
+const defaultsDiffService = new DefaultsDiffService();
+
+export { DefaultsDiffService, defaultsDiffService };
+export default defaultsDiffService;
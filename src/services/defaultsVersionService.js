@@ -0,0 +1,286 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../config/environment.js';
+import { odsParser } from './odsParser.js';
+import { FileNotFoundError, NotFoundError } from '../utils/errors.js';
+import { cacheHelpers } from '../utils/cache.js';
+import { logger } from '../utils/logger.js';
+import { JsonFileStore, writeFileAtomic } from '../utils/jsonFileStore.js';
+
+// How a version entered the store
+const VERSION_SOURCES = {
+    UPLOAD: 'upload',
+    // File found at ODS_PATH that was not uploaded through the API
+    EXTERNAL: 'external'
+};
+
+class DefaultsVersionService {
+    /**
+     * @param {object} options - { odsPath, directory }; default to ODS_PATH and DEFAULTS_VERSIONS_PATH
+     */
+    constructor({ odsPath = config.odsPath, directory = config.defaultsVersionsPath } = {}) {
+        this.odsPath = odsPath;
+        this.directory = directory;
+        this.indexPath = path.join(this.directory, 'versions.json');
+        this.store = new JsonFileStore(this.indexPath, () => ({ activeId: null, versions: [] }));
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Store an uploaded workbook as a new version and activate it
+     * The workbook is validated before anything is written, so a bad upload never
+     * replaces the active file. A file that is already stored is not stored again;
+     * its version is activated instead
+     * @param {Buffer} buffer - Workbook file content
+     * @param {object} options - { fileName, activate }
+     * @returns {object} - Stored version
+     */
+    async upload(buffer, { fileName = null, activate = true } = {}) {
+        const templates = odsParser.inspectWorkbook(buffer);
+        const sha256 = this.hash(buffer);
+
+        return this.serialize(async () => {
+            const index = await this.load();
+            await this.snapshotActiveFile(index);
+
+            const known = index.versions.find(version => version.sha256 === sha256);
+            const version = known || await this.storeVersion(index, buffer, {
+                fileName,
+                source: VERSION_SOURCES.UPLOAD,
+                templates
+            });
+
+            if (activate && index.activeId !== version.id) {
+                await this.activateVersion(index, version);
+            }
+            await this.persist();
+
+            logger.info('Defaults version uploaded', {
+                versionId: version.id,
+                fileName,
+                activated: activate,
+                alreadyStored: Boolean(known)
+            });
+
+            return this.describe(index, version);
+        });
+    }
+
+    /**
+     * Make a stored version the active defaults file
+     * @param {string} id - Version ID
+     * @returns {object} - Activated version
+     */
+    async activate(id) {
+        return this.serialize(async () => {
+            const index = await this.load();
+            const version = index.versions.find(entry => entry.id === id);
+
+            if (!version) {
+                throw new NotFoundError('Defaults version', id);
+            }
+
+            await this.snapshotActiveFile(index);
+            await this.activateVersion(index, version);
+            await this.persist();
+
+            logger.info('Defaults version activated', { versionId: id });
+
+            return this.describe(index, version);
+        });
+    }
+
+    /**
+     * List stored versions, newest first
+     * @returns {object} - { activeId, versions }
+     */
+    async list() {
+        const index = await this.load();
+
+        return {
+            activeId: index.activeId,
+            versions: [...index.versions]
+                .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt))
+                .map(version => this.describe(index, version))
+        };
+    }
+
+    /**
+     * Read the file of a stored version
+     * @param {string} id - Version ID
+     * @returns {object} - { version, buffer }
+     */
+    async readVersion(id) {
+        const index = await this.load();
+        const version = index.versions.find(entry => entry.id === id);
+
+        if (!version) {
+            throw new NotFoundError('Defaults version', id);
+        }
+
+        return {
+            version: this.describe(index, version),
+            buffer: await fs.readFile(this.getVersionPath(id))
+        };
+    }
+
+    /**
+     * Read the file at ODS_PATH, described by its stored version if there is one
+     * @returns {object} - { version, buffer }
+     */
+    async readActiveFile() {
+        const index = await this.load();
+
+        let buffer;
+        try {
+            buffer = await fs.readFile(this.odsPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new FileNotFoundError(this.odsPath);
+            }
+            throw error;
+        }
+
+        const sha256 = this.hash(buffer);
+        const version = index.versions.find(entry => entry.sha256 === sha256);
+
+        return {
+            version: version
+                ? this.describe(index, version)
+                : { id: null, fileName: path.basename(this.odsPath), sha256, active: true },
+            buffer
+        };
+    }
+
+    /**
+     * Keep the file currently at ODS_PATH as a version before it is replaced
+     * Covers the file in place before the first upload and files copied in by hand
+     */
+    async snapshotActiveFile(index) {
+        let buffer;
+        try {
+            buffer = await fs.readFile(this.odsPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        const sha256 = this.hash(buffer);
+        const known = index.versions.find(version => version.sha256 === sha256);
+        if (known) {
+            index.activeId = known.id;
+            return;
+        }
+
+        let templates = [];
+        try {
+            templates = odsParser.inspectWorkbook(buffer);
+        } catch (error) {
+            logger.warn('Active defaults file does not validate', {
+                filePath: this.odsPath,
+                error: error.message
+            });
+        }
+
+        const version = await this.storeVersion(index, buffer, {
+            fileName: path.basename(this.odsPath),
+            source: VERSION_SOURCES.EXTERNAL,
+            templates
+        });
+        index.activeId = version.id;
+    }
+
+    async storeVersion(index, buffer, { fileName, source, templates }) {
+        const version = {
+            id: this.generateId(),
+            fileName: fileName || null,
+            source,
+            uploadedAt: new Date().toISOString(),
+            activatedAt: null,
+            size: buffer.length,
+            sha256: this.hash(buffer),
+            templates
+        };
+
+        await writeFileAtomic(this.getVersionPath(version.id), buffer);
+        index.versions.push(version);
+
+        return version;
+    }
+
+    /**
+     * Copy a version over ODS_PATH; the file is validated again before it is copied
+     */
+    async activateVersion(index, version) {
+        const buffer = await fs.readFile(this.getVersionPath(version.id));
+        odsParser.inspectWorkbook(buffer);
+
+        await writeFileAtomic(this.odsPath, buffer);
+
+        index.activeId = version.id;
+        version.activatedAt = new Date().toISOString();
+
+        // Parsed defaults and results calculated from the old file are stale now
+        cacheHelpers.clearOdsDefaults();
+        cacheHelpers.clearCalculationResults();
+    }
+
+    describe(index, version) {
+        return {
+            ...version,
+            active: version.id === index.activeId
+        };
+    }
+
+    /**
+     * Load the version index from disk once
+     * @returns {object} - { activeId, versions }
+     */
+    load() {
+        return this.store.load();
+    }
+
+    /**
+     * Write the version index to disk
+     */
+    persist() {
+        return this.store.save();
+    }
+
+    /**
+     * Run uploads and activations one at a time
+     */
+    serialize(task) {
+        const run = this.queue.then(task);
+
+        // Keep the queue usable after a failed task
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    getVersionPath(id) {
+        return path.join(this.directory, `${id}.ods`);
+    }
+
+    hash(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    /**
+     * Generate a version ID such as V-20250120-1a2b3c4d
+     * @returns {string} - Version ID
+     */
+    generateId() {
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        return `V-${date}-${crypto.randomBytes(4).toString('hex')}`;
+    }
+}
+
+// Create singleton instance
+const defaultsVersionService = new DefaultsVersionService();
+
+export { DefaultsVersionService, defaultsVersionService };
+export default defaultsVersionService;
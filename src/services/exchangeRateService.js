@@ -1,14 +1,16 @@
 import axios from 'axios';
 import { config } from '../config/environment.js';
 import { APP_CONSTANTS } from '../config/constants.js';
-import { ExternalApiError, TimeoutError } from '../utils/errors.js';
+import { ExternalApiError, NotFoundError, TimeoutError, ValidationError } from '../utils/errors.js';
 import { logger } from '../utils/logger.js';
 import { cacheHelpers } from '../utils/cache.js';
+import { rateArchive } from './rateArchive.js';
+import { createRateProviders } from './rateProviders.js';
+import { rateOverrideService } from './rateOverrideService.js';
 
 class ExchangeRateService {
     constructor() {
         this.apiKey = config.exchangeApiKey;
-        this.baseUrl = `https://v6.exchangerate-api.com/v6/${this.apiKey}/latest/`;
         this.timeout = 10000; // 10 seconds
         this.maxRetries = 3;
         this.retryDelay = 1000; // 1 second
@@ -42,7 +44,8 @@ class ExchangeRateService {
             (response) => {
                 logger.debug('Exchange rate API response received', {
                     status: response.status,
-                    dataKeys: Object.keys(response.data || {})
+                    dataKeys: typeof response.data === 'object' ? Object.keys(response.data || {}) : [],
+                    contentType: response.headers?.['content-type']
                 });
                 return response;
             },
@@ -54,14 +57,70 @@ class ExchangeRateService {
                 return Promise.reject(error);
             }
         );
+
+        // Providers in priority order; the first one that answers supplies the rates
+        this.providers = createRateProviders(config.exchangeRateProviders, {
+            http: this.axiosInstance,
+            apiKey: this.apiKey,
+            tcmbRateType: config.tcmbRateType,
+            staticRates: config.staticExchangeRates
+        });
     }
 
     /**
      * Get current exchange rates
+     * Rates pinned with PUT /api/rates/overrides replace the fetched TRY rates
      * @param {string} baseCurrency - Base currency (default: TRY)
+     * @param {object} options - { customerRef } whose pinned rates apply besides the global ones
      * @returns {object} - Exchange rates
      */
-    async getCurrentRates(baseCurrency = 'TRY') {
+    async getCurrentRates(baseCurrency = 'TRY', { customerRef = null } = {}) {
+        if (baseCurrency !== 'TRY') {
+            const snapshot = await this.getRatesSnapshot(baseCurrency);
+            return snapshot.rates;
+        }
+
+        const snapshot = await this.getCurrentSnapshot({ customerRef });
+        return snapshot.rates;
+    }
+
+    /**
+     * Get current TRY rates with their provenance, pinned rates applied
+     * @param {object} options - { customerRef } whose pinned rates apply besides the global ones
+     * @returns {object} - { rates, source, provider, fetchedAt, fallbackUsed, fallbackCurrencies, overrides }
+     */
+    async getCurrentSnapshot({ customerRef = null } = {}) {
+        const snapshot = await this.getRatesSnapshot('TRY');
+        return rateOverrideService.applyToSnapshot(snapshot, customerRef);
+    }
+
+    /**
+     * Fetch rates from the providers again instead of using the cached ones
+     * @param {object} options - { customerRef }
+     * @returns {object} - Current snapshot, see getCurrentSnapshot
+     */
+    async refreshRates({ customerRef = null } = {}) {
+        cacheHelpers.clearExchangeRates();
+        const snapshot = await this.getCurrentSnapshot({ customerRef });
+
+        // Live calculations cached before the refresh used the old rates
+        cacheHelpers.clearCalculationResults();
+
+        logger.info('Exchange rates refreshed', {
+            source: snapshot.source,
+            provider: snapshot.provider,
+            rates: snapshot.rates
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Get current exchange rates together with their provenance
+     * @param {string} baseCurrency - Base currency (default: TRY)
+     * @returns {object} - { rates, source, provider, fetchedAt, fallbackUsed, fallbackCurrencies }
+     */
+    async getRatesSnapshot(baseCurrency = 'TRY') {
         const startTime = Date.now();
 
         try {
@@ -70,32 +129,44 @@ class ExchangeRateService {
             if (cached) {
                 logger.debug('Using cached exchange rates', {
                     baseCurrency,
-                    rates: cached
+                    rates: cached.rates
                 });
                 return cached;
             }
 
-            // Validate API key
-            if (!this.apiKey) {
-                logger.warn('Exchange API key not configured, using default rates');
-                return this.getDefaultRates();
+            const providers = this.providers.filter(provider => provider.isConfigured());
+            if (providers.length === 0) {
+                logger.warn('No exchange rate provider configured, using default rates', {
+                    providers: this.providers.map(provider => provider.name)
+                });
+                return this.getDefaultSnapshot();
             }
 
-            // Fetch from API with retry logic
-            const rates = await this.fetchRatesWithRetry(baseCurrency);
+            const { provider, rates, fallbackCurrencies } = await this.fetchRatesWithFailover(providers, baseCurrency);
+            await this.archiveRates({ rates, fallbackCurrencies }, baseCurrency, provider);
+
+            const snapshot = {
+                rates,
+                source: provider.source,
+                provider: provider.name,
+                fetchedAt: new Date().toISOString(),
+                fallbackUsed: fallbackCurrencies.length > 0,
+                fallbackCurrencies
+            };
 
             // Cache the results
-            cacheHelpers.setExchangeRates(rates);
+            cacheHelpers.setExchangeRates(snapshot);
 
             const duration = Date.now() - startTime;
             logger.info('Exchange rates fetched successfully', {
                 baseCurrency,
                 rates,
                 duration: `${duration}ms`,
-                source: 'api'
+                source: provider.source,
+                provider: provider.name
             });
 
-            return rates;
+            return snapshot;
 
         } catch (error) {
             const duration = Date.now() - startTime;
@@ -105,111 +176,129 @@ class ExchangeRateService {
             });
 
             // Return default rates as fallback
-            return this.getDefaultRates();
+            return this.getDefaultSnapshot();
         }
     }
 
     /**
-     * Fetch rates with retry logic
+     * Try the providers in order until one returns rates
+     * @param {object[]} providers - Configured providers
      * @param {string} baseCurrency - Base currency
-     * @returns {object} - Exchange rates
+     * @returns {object} - { provider, rates, fallbackCurrencies }
+     */
+    async fetchRatesWithFailover(providers, baseCurrency) {
+        const failures = [];
+
+        for (const provider of providers) {
+            try {
+                const rates = await this.fetchRatesWithRetry(provider, baseCurrency);
+                return { provider, ...this.completeRates(rates, provider) };
+            } catch (error) {
+                failures.push(`${provider.name}: ${error.message}`);
+                logger.warn(`Exchange rate provider ${provider.name} failed`, {
+                    error: error.message,
+                    baseCurrency,
+                    remaining: providers.length - failures.length
+                });
+            }
+        }
+
+        throw new ExternalApiError('Exchange rate providers', failures.join('; '));
+    }
+
+    /**
+     * Fetch rates from one provider with retry logic
+     * @param {object} provider - Exchange rate provider
+     * @param {string} baseCurrency - Base currency
+     * @returns {object} - Rates returned by the provider
      */
-    async fetchRatesWithRetry(baseCurrency) {
+    async fetchRatesWithRetry(provider, baseCurrency) {
         let lastError;
 
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
             try {
-                logger.debug(`Exchange rate API attempt ${attempt}/${this.maxRetries}`, {
+                logger.debug(`Exchange rate ${provider.name} attempt ${attempt}/${this.maxRetries}`, {
                     baseCurrency
                 });
 
-                const response = await this.axiosInstance.get(this.baseUrl, {
-                    params: {
-                        from: baseCurrency,
-                        to: APP_CONSTANTS.SUPPORTED_CURRENCIES.join(','),
-                        apikey: this.apiKey
-                    }
-                });
-
-                return this.parseApiResponse(response.data, baseCurrency);
+                return await provider.fetchRates(baseCurrency);
 
             } catch (error) {
                 lastError = error;
 
                 if (attempt < this.maxRetries) {
                     const delay = this.retryDelay * attempt;
-                    logger.warn(`Exchange rate API attempt ${attempt} failed, retrying in ${delay}ms`, {
+                    logger.warn(`Exchange rate ${provider.name} attempt ${attempt} failed, retrying in ${delay}ms`, {
                         error: error.message,
                         baseCurrency
                     });
 
                     await this.sleep(delay);
                 } else {
-                    logger.error(`All ${this.maxRetries} attempts failed for exchange rate API`, error);
+                    logger.error(`All ${this.maxRetries} attempts failed for exchange rate provider ${provider.name}`, error);
                 }
             }
         }
 
         // Handle specific error types
         if (lastError.code === 'ECONNABORTED') {
-            throw new TimeoutError('exchange_rate_fetch', this.timeout);
+            throw new TimeoutError(`exchange_rate_fetch_${provider.name}`, this.timeout);
         } else if (lastError.response?.status >= 400) {
             throw new ExternalApiError(
-                'Exchange Rate API',
+                provider.label,
                 `HTTP ${lastError.response.status}: ${lastError.response.data?.message || lastError.message}`,
                 lastError.response.status
             );
         } else {
-            throw new ExternalApiError('Exchange Rate API', lastError.message);
+            throw new ExternalApiError(provider.label, lastError.message);
         }
     }
 
     /**
-     * Parse API response and extract rates
-     * @param {object} data - API response data
+     * Keep fetched rates in the local archive for historical lookups
+     * A failed write is logged and does not fail the fetch
+     * @param {object} fetched - { rates, fallbackCurrencies }
      * @param {string} baseCurrency - Base currency
-     * @returns {object} - Parsed exchange rates
+     * @param {object} provider - Provider that supplied the rates
      */
-    parseApiResponse(data, baseCurrency) {
-        if (!data || typeof data !== 'object') {
-            throw new Error('Invalid API response format');
-        }
-
-        const rates = {};
-
-        // Different APIs have different response formats
-        if (data.rates) {
-            // Format: { rates: { EUR: 37.99, USD: 33.99, ... } }
-            APP_CONSTANTS.SUPPORTED_CURRENCIES.forEach(currency => {
-                if (data.rates[currency] && typeof data.rates[currency] === 'number') {
-                    rates[currency] = data.rates[currency];
-                }
+    async archiveRates({ rates, fallbackCurrencies }, baseCurrency, provider) {
+        try {
+            await rateArchive.record({
+                rates,
+                fallbackCurrencies,
+                baseCurrency,
+                source: provider.source,
+                provider: provider.name
             });
-        } else if (data.data) {
-            // Format: { data: [{ currency: 'EUR', rate: 37.99 }, ...] }
-            if (Array.isArray(data.data)) {
-                data.data.forEach(item => {
-                    if (item.currency && typeof item.rate === 'number') {
-                        rates[item.currency] = item.rate;
-                    }
-                });
-            }
-        } else {
-            // Direct format: { EUR: 37.99, USD: 33.99, ... }
-            APP_CONSTANTS.SUPPORTED_CURRENCIES.forEach(currency => {
-                if (data[currency] && typeof data[currency] === 'number') {
-                    rates[currency] = data[currency];
-                }
+        } catch (error) {
+            logger.warn('Exchange rates could not be archived', {
+                baseCurrency,
+                error: error.message
             });
         }
+    }
+
+    /**
+     * Fill currencies a provider did not return with the default rates
+     * @param {object} rates - Rates returned by the provider
+     * @param {object} provider - Provider that supplied the rates
+     * @returns {object} - { rates, fallbackCurrencies }
+     */
+    completeRates(rates, provider) {
+        const completed = { ...rates };
 
         // Validate that we have all required currencies
         const missingCurrencies = APP_CONSTANTS.SUPPORTED_CURRENCIES.filter(
-            currency => !rates[currency] || rates[currency] <= 0
+            currency => !completed[currency] || completed[currency] <= 0
         );
 
+        if (missingCurrencies.length === APP_CONSTANTS.SUPPORTED_CURRENCIES.length) {
+            throw new Error('No supported exchange rate in response');
+        }
+
         if (missingCurrencies.length > 0) {
-            logger.warn('Some exchange rates missing from API response, using defaults', {
+            logger.warn('Some exchange rates missing from provider response, using defaults', {
+                provider: provider.name,
                 missingCurrencies,
                 receivedRates: rates
             });
@@ -217,19 +306,38 @@ class ExchangeRateService {
             // Fill missing currencies with defaults
             const defaults = this.getDefaultRates();
             missingCurrencies.forEach(currency => {
-                rates[currency] = defaults[currency];
+                completed[currency] = defaults[currency];
             });
         }
 
-        return rates;
+        return { rates: completed, fallbackCurrencies: missingCurrencies };
     }
 
     /**
-     * Get default exchange rates
+     * Get default exchange rates of the configured currencies that have one
      * @returns {object} - Default rates
      */
     getDefaultRates() {
-        return { ...APP_CONSTANTS.DEFAULT_EXCHANGE_RATES };
+        return Object.fromEntries(
+            APP_CONSTANTS.SUPPORTED_CURRENCIES
+                .filter(currency => APP_CONSTANTS.DEFAULT_EXCHANGE_RATES[currency])
+                .map(currency => [currency, APP_CONSTANTS.DEFAULT_EXCHANGE_RATES[currency]])
+        );
+    }
+
+    /**
+     * Get default exchange rates wrapped as a snapshot
+     * @returns {object} - Snapshot marked as fallback
+     */
+    getDefaultSnapshot() {
+        return {
+            rates: this.getDefaultRates(),
+            source: 'default',
+            provider: null,
+            fetchedAt: new Date().toISOString(),
+            fallbackUsed: true,
+            fallbackCurrencies: [...APP_CONSTANTS.SUPPORTED_CURRENCIES]
+        };
     }
 
     /**
@@ -249,19 +357,54 @@ class ExchangeRateService {
     }
 
     /**
-     * Get historical rates (placeholder - would need different API)
+     * Get the rates in effect on a date from the local archive
      * @param {string} date - Date in YYYY-MM-DD format
      * @param {string} baseCurrency - Base currency
      * @returns {object} - Historical rates
      */
     async getHistoricalRates(date, baseCurrency = 'TRY') {
-        // This would require a different API endpoint or service
-        logger.warn('Historical rates not implemented, returning current rates', {
+        const snapshot = await this.getHistoricalSnapshot(date, baseCurrency);
+        return snapshot.rates;
+    }
+
+    /**
+     * Get the rates in effect on a date together with their provenance
+     * The last rates fetched on or before the date are used
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {string} baseCurrency - Base currency
+     * @returns {object} - { rates, source, provider, fetchedAt, fallbackUsed, fallbackCurrencies, rateDate }
+     */
+    async getHistoricalSnapshot(date, baseCurrency = 'TRY') {
+        const entry = await rateArchive.findForDate(date, baseCurrency);
+
+        if (!entry) {
+            throw new NotFoundError('Archived exchange rates', `${baseCurrency} on or before ${date}`);
+        }
+
+        logger.debug('Using archived exchange rates', {
             requestedDate: date,
+            archivedDate: entry.date,
             baseCurrency
         });
 
-        return await this.getCurrentRates(baseCurrency);
+        return {
+            rates: { ...entry.rates },
+            source: entry.source,
+            provider: entry.provider ?? null,
+            fetchedAt: entry.fetchedAt,
+            fallbackUsed: entry.fallbackCurrencies.length > 0,
+            fallbackCurrencies: [...entry.fallbackCurrencies],
+            rateDate: entry.date
+        };
+    }
+
+    /**
+     * List archived rates
+     * @param {object} filters - { from, to, currency }; dates are YYYY-MM-DD
+     * @returns {object[]} - [{ date, fetchedAt, baseCurrency, source, provider, rates, fallbackCurrencies }]
+     */
+    async getRateHistory(filters = {}) {
+        return rateArchive.find(filters);
     }
 
     /**
@@ -272,27 +415,49 @@ class ExchangeRateService {
      * @returns {number} - Converted amount
      */
     async convertCurrency(amount, from, to) {
-        if (from === to) {
-            return amount;
-        }
-
-        const rates = await this.getCurrentRates(from);
+        const conversion = await this.convert(amount, from, to);
+        return conversion.result;
+    }
 
-        if (!rates[to]) {
-            throw new Error(`Exchange rate not available for ${to}`);
-        }
+    /**
+     * Convert an amount between price currencies through the current TRY rates
+     * @param {number} amount - Amount to convert
+     * @param {string} from - From currency
+     * @param {string} to - To currency
+     * @param {object} options - { customerRef } whose pinned rates apply
+     * @returns {object} - { amount, from, to, rate, result, rates } with rates the snapshot used
+     */
+    async convert(amount, from, to, { customerRef = null } = {}) {
+        const snapshot = await this.getCurrentSnapshot({ customerRef });
+        const rateOf = currency => {
+            if (currency === 'TRY') {
+                return 1;
+            }
+            if (!snapshot.rates[currency]) {
+                throw new ValidationError(`Exchange rate not available for ${currency}`, { currency });
+            }
+            return snapshot.rates[currency];
+        };
 
-        const convertedAmount = amount * rates[to];
+        const rate = from === to ? 1 : rateOf(from) / rateOf(to);
+        const convertedAmount = amount * rate;
 
         logger.debug('Currency conversion performed', {
             amount,
             from,
             to,
-            rate: rates[to],
+            rate,
             result: convertedAmount
         });
 
-        return Math.round((convertedAmount + Number.EPSILON) * 100) / 100;
+        return {
+            amount,
+            from,
+            to,
+            rate: Math.round((rate + Number.EPSILON) * 1e6) / 1e6,
+            result: Math.round((convertedAmount + Number.EPSILON) * 100) / 100,
+            rates: snapshot
+        };
     }
 
     /**
@@ -312,6 +477,7 @@ class ExchangeRateService {
                 responseTime: `${responseTime}ms`,
                 ratesAvailable: Object.keys(rates).length,
                 apiKeyConfigured: !!this.apiKey,
+                providers: this.describeProviders(),
                 lastUpdate: new Date().toISOString()
             };
 
@@ -320,11 +486,22 @@ class ExchangeRateService {
                 status: 'unhealthy',
                 error: error.message,
                 apiKeyConfigured: !!this.apiKey,
+                providers: this.describeProviders(),
                 lastCheck: new Date().toISOString()
             };
         }
     }
 
+    /**
+     * @returns {object[]} - [{ name, configured }] in priority order
+     */
+    describeProviders() {
+        return this.providers.map(provider => ({
+            name: provider.name,
+            configured: provider.isConfigured()
+        }));
+    }
+
     /**
      * Sleep utility for retry delays
      * @param {number} ms - Milliseconds to sleep
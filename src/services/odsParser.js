@@ -3,27 +3,51 @@
 import XLSX from 'xlsx';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { config } from '../config/environment.js';
 import { ODS_STRUCTURE, APP_CONSTANTS } from '../config/constants.js';
-import { FileNotFoundError, FileParseError } from '../utils/errors.js';
+import { FileNotFoundError, FileParseError, NotFoundError, OdsLayoutError, ValidationError } from '../utils/errors.js';
 import { logger } from '../utils/logger.js';
 import { cacheHelpers } from '../utils/cache.js';
+import { parseRange, parseRanges, findOverlappingRanges } from '../utils/batchRanges.js';
+
+// Label layout shipped with the service; ODS_LAYOUT_PATH points to a replacement
+const DEFAULT_LAYOUT_PATH = fileURLToPath(new URL('../config/odsLayout.json', import.meta.url));
+
+const FABRIC_KEYS = ['price_eur', 'metre_eur', 'unit_eur'];
+
+// Fabric fields that are left out when their label is not in the sheet
+const OPTIONAL_FABRIC_KEYS = ['consumption_m', 'width_cm', 'wastage'];
 
 class OdsParser {
     constructor() {
         this.odsPath = config.odsPath;
+        this.layoutPath = config.odsLayoutPath || DEFAULT_LAYOUT_PATH;
         this.lastModified = null;
+        this.defaultedRates = {};
+        this.missingLabels = {};
     }
 
-    parseOdsDefaults() {
+    /**
+     * Parse the defaults of a product template
+     * @param {string|null} template - Template name; the first sheet is used if omitted
+     * @returns {object} - Default calculation parameters
+     */
+    parseOdsDefaults(template = null) {
         const startTime = Date.now();
 
         try {
+            // Templates are cached separately; drop them all once the file changes
+            if (!this.isFileUnchanged()) {
+                cacheHelpers.clearOdsDefaults();
+            }
+
             // Check cache first
-            const cached = cacheHelpers.getOdsDefaults();
-            if (cached && this.isFileUnchanged()) {
+            const cached = cacheHelpers.getOdsDefaults(template);
+            if (cached) {
                 logger.debug('Using cached ODS defaults', {
-                    filePath: this.odsPath
+                    filePath: this.odsPath,
+                    template
                 });
                 return cached;
             }
@@ -42,19 +66,24 @@ class OdsParser {
 
             // Read and parse file
             const workbook = this.readWorkbook();
-            const defaults = this.extractDefaults(workbook);
+            const sheetName = this.resolveSheetName(workbook, template);
+            const report = {};
+            const defaults = this.extractDefaults(workbook, sheetName, report);
 
             // Validate extracted data
             this.validateDefaults(defaults);
+            this.defaultedRates[defaults.template] = report.defaultedRates;
+            this.missingLabels[defaults.template] = report.missingLabels;
 
             // Cache the results
-            cacheHelpers.setOdsDefaults(defaults);
+            cacheHelpers.setOdsDefaults(defaults, template);
             this.updateLastModified();
 
             const duration = Date.now() - startTime;
             logger.logFileOperation('parse', this.odsPath, true);
             logger.logPerformance('ODS parsing', duration, {
                 filePath: this.odsPath,
+                sheetName,
                 cacheUsed: false
             });
 
@@ -68,7 +97,7 @@ class OdsParser {
                 duration
             });
 
-            if (error instanceof FileNotFoundError || error instanceof FileParseError) {
+            if (error instanceof FileNotFoundError || error instanceof FileParseError || error instanceof NotFoundError) {
                 throw error;
             }
 
@@ -76,6 +105,148 @@ class OdsParser {
         }
     }
 
+    /**
+     * List the product templates in the ODS file, one per sheet
+     * @returns {object[]} - [{ name, sheetName, default }]
+     */
+    listTemplates() {
+        if (!fs.existsSync(this.odsPath)) {
+            throw new FileNotFoundError(this.odsPath);
+        }
+
+        const workbook = this.readWorkbook();
+        const defaultSheet = workbook.SheetNames[ODS_STRUCTURE.DEFAULT_SHEET_INDEX];
+        const seen = new Set();
+
+        return workbook.SheetNames
+            .map(sheetName => ({
+                name: this.toTemplateName(sheetName),
+                sheetName,
+                default: sheetName === defaultSheet
+            }))
+            .filter(template => {
+                // Sheets whose names collapse to the same template are only reachable by the first one
+                if (!template.name || seen.has(template.name)) {
+                    return false;
+                }
+                seen.add(template.name);
+                return true;
+            });
+    }
+
+    /**
+     * Find the sheet of a template
+     * @param {object} workbook - Parsed workbook
+     * @param {string|null} template - Template name
+     * @returns {string} - Sheet name
+     */
+    resolveSheetName(workbook, template) {
+        if (!template) {
+            return workbook.SheetNames[ODS_STRUCTURE.DEFAULT_SHEET_INDEX];
+        }
+
+        const sheetName = workbook.SheetNames.find(name => this.toTemplateName(name) === template);
+        if (!sheetName) {
+            throw new NotFoundError('Template', template);
+        }
+
+        return sheetName;
+    }
+
+    /**
+     * Template name of a sheet: lowercase ASCII words joined by "-" ("Kapüşonlu Sweat" -> "kapusonlu-sweat")
+     * @param {string} sheetName - Sheet name
+     * @returns {string} - Template name
+     */
+    toTemplateName(sheetName) {
+        return this.normalizeLabel(sheetName)
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Currencies that fell back to the built-in rates when a template was parsed
+     * @param {string} template - Template name
+     * @returns {string[]} - Currency codes
+     */
+    getDefaultedRates(template) {
+        return this.defaultedRates[template] || [];
+    }
+
+    /**
+     * Optional layout labels that were not found when a template was parsed
+     * @param {string} template - Template name
+     * @returns {object[]} - [{ key, label }]
+     */
+    getMissingLabels(template) {
+        return this.missingLabels[template] || [];
+    }
+
+    /**
+     * Load the layout that maps each value to the label next to it in the sheet
+     * @returns {object} - Layout mapping
+     */
+    loadLayout() {
+        try {
+            return JSON.parse(fs.readFileSync(this.layoutPath, 'utf8'));
+        } catch (error) {
+            throw new FileParseError(this.layoutPath, `Invalid ODS layout file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check that a workbook can replace the active defaults
+     * Every sheet must parse and validate; nothing is cached and the active file is not touched
+     * @param {Buffer} buffer - Workbook file content
+     * @returns {object[]} - [{ name, sheetName }] templates in the workbook
+     */
+    inspectWorkbook(buffer) {
+        const { templates, errors } = this.parseWorkbookDefaults(buffer);
+
+        if (errors.length > 0) {
+            throw new ValidationError('Spreadsheet failed validation', errors);
+        }
+
+        return templates.map(({ name, sheetName }) => ({ name, sheetName }));
+    }
+
+    /**
+     * Parse the defaults of every sheet in a workbook that is not the active file
+     * @param {Buffer} buffer - Workbook file content
+     * @returns {object} - { templates: [{ name, sheetName, defaults }], errors: [{ field, message }] }
+     */
+    parseWorkbookDefaults(buffer) {
+        let workbook;
+        try {
+            workbook = XLSX.read(buffer, { type: 'buffer' });
+        } catch (error) {
+            throw new ValidationError(`File is not a readable spreadsheet: ${error.message}`);
+        }
+
+        if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+            throw new ValidationError('File contains no sheets');
+        }
+
+        const templates = [];
+        const errors = [];
+
+        workbook.SheetNames.forEach(sheetName => {
+            try {
+                const defaults = this.extractDefaults(workbook, sheetName);
+                this.validateDefaults(defaults);
+                templates.push({ name: defaults.template, sheetName, defaults });
+            } catch (error) {
+                errors.push({
+                    field: sheetName,
+                    message: error.message,
+                    missingLabels: error.missingLabels
+                });
+            }
+        });
+
+        return { templates, errors };
+    }
+
     readWorkbook() {
         try {
             const workbook = XLSX.readFile(this.odsPath);
@@ -90,8 +261,14 @@ class OdsParser {
         }
     }
 
-    extractDefaults(workbook) {
-        const sheetName = workbook.SheetNames[ODS_STRUCTURE.DEFAULT_SHEET_INDEX];
+    /**
+     * Extract the defaults of one sheet
+     * @param {object} workbook - Parsed workbook
+     * @param {string} sheetName - Sheet name
+     * @param {object} report - Receives defaultedRates and missing optional labels
+     * @returns {object} - Default calculation parameters
+     */
+    extractDefaults(workbook, sheetName = workbook.SheetNames[ODS_STRUCTURE.DEFAULT_SHEET_INDEX], report = {}) {
         const sheet = workbook.Sheets[sheetName];
 
         if (!sheet) {
@@ -110,17 +287,117 @@ class OdsParser {
             rowCount: rows.length
         });
 
+        const layout = this.loadLayout();
+        const missing = [];
+        const locate = (entry, key) => this.locateLabel(rows, entry, key, missing);
+
+        const operationsHeader = locate(layout.operations, 'operations');
+        const rangeColumns = this.extractRangeColumns(rows, operationsHeader);
+        const batchRanges = this.extractBatchRanges(rangeColumns);
+
+        report.defaultedRates = [];
+
+        const defaults = {
+            template: this.toTemplateName(sheetName),
+            rates: this.extractRates(rows, layout.rates, locate, report.defaultedRates),
+            fabric: this.extractFabric(rows, layout.fabric, locate),
+            accessories: this.extractAccessories(rows, locate(layout.accessories, 'accessories'), layout.accessories),
+            batchRanges,
+            genel_gider: this.extractGenelGider(rows, locate(layout.genel_gider, 'genel_gider'), batchRanges),
+            karlilik: this.extractKarlilik(rows, locate(layout.karlilik, 'karlilik'), batchRanges),
+            KDV: this.extractKDV(rows, locate(layout.KDV, 'KDV')),
+            komisyon: this.extractKomisyon(rows, locate(layout.komisyon, 'komisyon')),
+            operations: this.extractOperations(rows, operationsHeader, layout.operations, batchRanges, rangeColumns)
+        };
+
+        const requiredMissing = missing.filter(label => label.required);
+        if (requiredMissing.length > 0) {
+            throw new OdsLayoutError(this.odsPath, sheetName, requiredMissing);
+        }
+
+        report.missingLabels = missing.map(({ key, label }) => ({ key, label }));
+        if (missing.length > 0) {
+            logger.warn('Optional ODS labels not found', {
+                sheetName,
+                missingLabels: report.missingLabels
+            });
+        }
+
+        return defaults;
+    }
+
+    /**
+     * Compare cell text without case, Turkish characters or extra whitespace
+     */
+    normalizeLabel(value) {
+        return String(value ?? '')
+            .replace(/ı/g, 'i')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Find the first cell holding a label, scanning row by row
+     * A cell matches if it equals the label or continues it with a non-alphanumeric
+     * character, so "KDV Oranı" matches "KDV Oranı (%)" but "İŞLEM" does not match "İŞLEMLER"
+     * @param {Array[]} rows - Sheet rows
+     * @param {string} label - Label text
+     * @param {number} fromRow - First row to scan
+     * @returns {object|null} - { row, col }
+     */
+    findLabel(rows, label, fromRow = 0) {
+        const target = this.normalizeLabel(label);
+        if (!target) {
+            return null;
+        }
+
+        for (let row = fromRow; row < rows.length; row++) {
+            const cells = rows[row] || [];
+            for (let col = 0; col < cells.length; col++) {
+                if (this.matchesLabel(cells[col], target)) {
+                    return { row, col };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {*} value - Cell value
+     * @param {string} target - Normalized label
+     * @returns {boolean} - Whether the cell holds the label
+     */
+    matchesLabel(value, target) {
+        const text = this.normalizeLabel(value);
+        return text === target || (text.startsWith(target) && !/[a-z0-9]/.test(text[target.length]));
+    }
+
+    /**
+     * Locate a layout entry, recording its label as missing if it is not in the sheet
+     * @returns {object|null} - { row, col, valueCol }
+     */
+    locateLabel(rows, entry, key, missing) {
+        const cell = entry?.label ? this.findLabel(rows, entry.label) : null;
+
+        if (!cell) {
+            missing.push({ key, label: entry?.label ?? null, required: !entry?.optional });
+            return null;
+        }
+
         return {
-            rates: this.extractRates(rows),
-            fabric: this.extractFabric(rows),
-            genel_gider: this.extractGenelGider(rows),
-            karlilik: this.extractKarlilik(rows),
-            KDV: this.extractKDV(rows),
-            komisyon: this.extractKomisyon(rows),
-            operations: this.extractOperations(rows)
+            ...cell,
+            valueCol: cell.col + (entry.valueOffset ?? ODS_STRUCTURE.DEFAULT_VALUE_OFFSET)
         };
     }
 
+    labelledValue(rows, cell) {
+        return cell ? this.safeValue(rows, cell.row, cell.valueCol) : null;
+    }
+
     // DÜZELTME: Virgülden noktaya çeviren fonksiyon
     parseNumber(value) {
         if (value === null || value === undefined || value === '') {
@@ -161,79 +438,254 @@ class OdsParser {
         return this.parseNumber(value); // DÜZELTME: parseNumber kullan
     }
 
-    extractRates(rows) {
-        const rates = {
-            EUR: this.safeValue(rows, ODS_STRUCTURE.RATES_START_ROW, ODS_STRUCTURE.COLUMNS.RATE_VALUES),
-            USD: this.safeValue(rows, ODS_STRUCTURE.RATES_START_ROW + 1, ODS_STRUCTURE.COLUMNS.RATE_VALUES),
-            GBP: this.safeValue(rows, ODS_STRUCTURE.RATES_START_ROW + 2, ODS_STRUCTURE.COLUMNS.RATE_VALUES)
-        };
+    extractRates(rows, layout = {}, locate, defaultedRates = []) {
+        const rates = {};
 
-        // Use defaults if any rate is missing or invalid
-        Object.keys(rates).forEach(currency => {
-            if (!rates[currency] || rates[currency] <= 0) {
+        APP_CONSTANTS.SUPPORTED_CURRENCIES.forEach(currency => {
+            // Currencies added with CURRENCIES are read from "<code> KUR" unless the layout names them
+            const entry = layout[currency] || { label: `${currency} KUR`, optional: true };
+            const value = this.labelledValue(rows, locate(entry, `rates.${currency}`));
+
+            // Use defaults if the rate is missing or invalid
+            if (!value || value <= 0) {
                 rates[currency] = APP_CONSTANTS.DEFAULT_EXCHANGE_RATES[currency];
+                defaultedRates.push(currency);
                 logger.warn('Using default exchange rate', {
                     currency,
                     defaultRate: rates[currency],
-                    originalValue: rows[ODS_STRUCTURE.RATES_START_ROW + (currency === 'EUR' ? 0 : currency === 'USD' ? 1 : 2)][ODS_STRUCTURE.COLUMNS.RATE_VALUES]
+                    originalValue: value
                 });
+                return;
             }
+
+            rates[currency] = value;
         });
 
         return rates;
     }
 
-    extractFabric(rows) {
-        const fabric = {
-            price_eur: this.safeValue(rows, ODS_STRUCTURE.FABRIC_START_ROW, ODS_STRUCTURE.COLUMNS.FABRIC_VALUES) || 0,
-            metre_eur: this.safeValue(rows, ODS_STRUCTURE.FABRIC_START_ROW + 1, ODS_STRUCTURE.COLUMNS.FABRIC_VALUES) || 0,
-            unit_eur: this.safeValue(rows, ODS_STRUCTURE.FABRIC_START_ROW + 2, ODS_STRUCTURE.COLUMNS.FABRIC_VALUES) || 0
-        };
+    extractFabric(rows, layout = {}, locate) {
+        const fabric = FABRIC_KEYS.reduce((values, key) => {
+            values[key] = this.labelledValue(rows, locate(layout[key], `fabric.${key}`)) || 0;
+            return values;
+        }, {});
+
+        OPTIONAL_FABRIC_KEYS.forEach(key => {
+            const value = this.labelledValue(rows, locate(layout[key], `fabric.${key}`));
+            if (value !== null) {
+                fabric[key] = value;
+            }
+        });
+
+        const currencyCell = locate(layout.currency, 'fabric.currency');
+        const currency = currencyCell ? rows[currencyCell.row]?.[currencyCell.valueCol] : null;
+        if (this.hasText(currency)) {
+            fabric.currency = this.parseCurrency(currency);
+        }
+
+        const lines = this.extractItemTable(rows, locate(layout.lines, 'fabric.lines'), layout.lines, ['currency'])
+            .map(({ currency: lineCurrency, ...line }) => (this.hasText(lineCurrency)
+                ? { ...line, currency: this.parseCurrency(lineCurrency) }
+                : line));
+        if (lines.length > 0) {
+            fabric.lines = lines;
+        }
 
         logger.debug('Extracted fabric data', fabric); // Debug log ekle
 
         return fabric;
     }
 
-    extractGenelGider(rows) {
-        return {
-            '0-50': this.safeValue(rows, ODS_STRUCTURE.GENEL_GIDER_START_ROW, ODS_STRUCTURE.COLUMNS.RANGE_0_50) || 0,
-            '51-100': this.safeValue(rows, ODS_STRUCTURE.GENEL_GIDER_START_ROW + 1, ODS_STRUCTURE.COLUMNS.RANGE_51_100) || 0,
-            '101-200': this.safeValue(rows, ODS_STRUCTURE.GENEL_GIDER_START_ROW + 2, ODS_STRUCTURE.COLUMNS.RANGE_101_200) || 0
-        };
+    /**
+     * Accessories table: quantity per piece, unit price and its currency
+     * @returns {object[]} - [{ name, quantity, unit_price, currency }]
+     */
+    extractAccessories(rows, header, layout = {}) {
+        return this.extractItemTable(rows, header, layout, ['currency']).map(item => ({
+            ...item,
+            currency: this.parseCurrency(item.currency)
+        }));
     }
 
-    extractKarlilik(rows) {
-        return {
-            '0-50': this.safeValue(rows, ODS_STRUCTURE.KARLILIK_START_ROW, ODS_STRUCTURE.COLUMNS.RANGE_0_50) || 0,
-            '51-100': this.safeValue(rows, ODS_STRUCTURE.KARLILIK_START_ROW + 1, ODS_STRUCTURE.COLUMNS.RANGE_51_100) || 0,
-            '101-200': this.safeValue(rows, ODS_STRUCTURE.KARLILIK_START_ROW + 2, ODS_STRUCTURE.COLUMNS.RANGE_101_200) || 0
-        };
+    /**
+     * Currency code of a cell; "TL" is read as TRY and an empty cell as the fallback
+     */
+    parseCurrency(value, fallback = 'EUR') {
+        const code = String(value ?? '').trim().toUpperCase();
+        if (!code) {
+            return fallback;
+        }
+        return code === 'TL' ? 'TRY' : code;
+    }
+
+    hasText(value) {
+        return String(value ?? '').trim() !== '';
+    }
+
+    /**
+     * Read a table of named items (fabric lines, accessories)
+     * The label heads the name column; other columns are found by their header in the same row.
+     * Items are read until the first row without a name
+     * @param {Array[]} rows - Sheet rows
+     * @param {object|null} header - Table header cell
+     * @param {object} layout - { label, columns: { field: header label } }
+     * @param {string[]} textKeys - Fields read as text instead of numbers
+     * @returns {object[]} - [{ name, ...fields }]
+     */
+    extractItemTable(rows, header, layout = {}, textKeys = []) {
+        if (!header) {
+            return [];
+        }
+
+        const headerRow = rows[header.row] || [];
+        const columns = {};
+        Object.entries(layout.columns || {}).forEach(([key, label]) => {
+            const target = this.normalizeLabel(label);
+            const col = headerRow.findIndex((cell, index) => index !== header.col && this.matchesLabel(cell, target));
+            if (col !== -1) {
+                columns[key] = col;
+            }
+        });
+
+        const items = [];
+        for (let i = header.row + 1; i < rows.length; i++) {
+            const name = rows[i] ? rows[i][header.col] : null;
+            if (!name || typeof name !== 'string') {
+                break;
+            }
+
+            const item = { name: name.trim() };
+            Object.entries(columns).forEach(([key, col]) => {
+                const value = textKeys.includes(key) ? rows[i][col] ?? null : this.safeValue(rows, i, col);
+                if (value !== null) {
+                    item[key] = value;
+                }
+            });
+            items.push(item);
+        }
+
+        return items;
+    }
+
+    /**
+     * Map each range in the operations header row to its column
+     * Falls back to APP_CONSTANTS.BATCH_RANGES in consecutive columns if the header has no ranges
+     * @param {Array[]} rows - Sheet rows
+     * @param {object|null} header - Operations header cell
+     */
+    extractRangeColumns(rows, header) {
+        const headerRow = header ? rows[header.row] || [] : [];
+        const firstCol = header ? header.col + 1 : ODS_STRUCTURE.DEFAULT_VALUE_OFFSET;
+        const columns = {};
+
+        for (let col = firstCol; col < headerRow.length; col++) {
+            const range = parseRange(headerRow[col]);
+            if (!range) {
+                break;
+            }
+            columns[range.key] = col;
+        }
+
+        if (Object.keys(columns).length === 0) {
+            logger.warn('No batch ranges found in ODS header row, using built-in ranges', {
+                row: header?.row ?? null,
+                ranges: APP_CONSTANTS.BATCH_RANGES
+            });
+            APP_CONSTANTS.BATCH_RANGES.forEach((range, index) => {
+                columns[range] = firstCol + index;
+            });
+        }
+
+        return columns;
+    }
+
+    /**
+     * Active batch ranges: configured ranges take precedence over the ODS header
+     */
+    extractBatchRanges(rangeColumns) {
+        const source = config.batchRanges || Object.keys(rangeColumns);
+        return parseRanges(source).map(range => range.key);
+    }
+
+    /**
+     * Read the "<range> Aralığı" rows below a section header
+     * @param {Array[]} rows - Sheet rows
+     * @param {object|null} header - Section header cell
+     * @param {string[]} batchRanges - Active ranges
+     */
+    extractRangePercentages(rows, header, batchRanges) {
+        const found = {};
+
+        for (let i = header ? header.row + 1 : rows.length; rows[i]; i++) {
+            const range = parseRange(rows[i][header.col]);
+            if (!range) {
+                break;
+            }
+            found[range.key] = this.safeValue(rows, i, header.valueCol);
+        }
+
+        return batchRanges.reduce((values, range) => {
+            values[range] = found[range] || 0;
+            return values;
+        }, {});
     }
 
-    extractKDV(rows) {
-        return this.safeValue(rows, ODS_STRUCTURE.KDV_ROW, ODS_STRUCTURE.COLUMNS.RATE_VALUES) || 20;
+    extractGenelGider(rows, header, batchRanges) {
+        return this.extractRangePercentages(rows, header, batchRanges);
     }
 
-    extractKomisyon(rows) {
-        return this.safeValue(rows, ODS_STRUCTURE.KOMISYON_ROW, ODS_STRUCTURE.COLUMNS.RATE_VALUES) || 5;
+    extractKarlilik(rows, header, batchRanges) {
+        return this.extractRangePercentages(rows, header, batchRanges);
     }
 
-    extractOperations(rows) {
+    extractKDV(rows, cell) {
+        return this.labelledValue(rows, cell) || 20;
+    }
+
+    extractKomisyon(rows, cell) {
+        return this.labelledValue(rows, cell) || 5;
+    }
+
+    /**
+     * Read the operation rows below the operations header
+     * The table ends at the end label (e.g. "TOPLAM") or, without one, at the first row with no name.
+     * Costs are in TRY unless the currency column of the header row names another currency
+     */
+    extractOperations(rows, header, layout = {}, batchRanges, rangeColumns) {
         const operations = {};
 
-        for (let i = ODS_STRUCTURE.OPERATIONS_START_ROW; i <= ODS_STRUCTURE.OPERATIONS_END_ROW; i++) {
-            const name = rows[i] ? rows[i][ODS_STRUCTURE.COLUMNS.OPERATION_NAME] : null;
+        if (!header) {
+            return operations;
+        }
+
+        const end = layout.endLabel ? this.findLabel(rows, layout.endLabel, header.row + 1) : null;
+        const lastRow = end ? end.row - 1 : rows.length - 1;
+
+        const currencyTarget = this.normalizeLabel(layout.currencyLabel);
+        const currencyCol = currencyTarget
+            ? (rows[header.row] || []).findIndex((cell, index) => index !== header.col && this.matchesLabel(cell, currencyTarget))
+            : -1;
+
+        for (let i = header.row + 1; i <= lastRow; i++) {
+            const name = rows[i] ? rows[i][header.col] : null;
 
             if (!name || typeof name !== 'string') {
+                if (!end) {
+                    break;
+                }
                 continue;
             }
 
-            operations[name.trim()] = {
-                '0-50': this.safeValue(rows, i, ODS_STRUCTURE.COLUMNS.RANGE_0_50) || 0,
-                '51-100': this.safeValue(rows, i, ODS_STRUCTURE.COLUMNS.RANGE_51_100) || 0,
-                '101-200': this.safeValue(rows, i, ODS_STRUCTURE.COLUMNS.RANGE_101_200) || 0
-            };
+            operations[name.trim()] = batchRanges.reduce((costs, range) => {
+                const col = rangeColumns[range];
+                costs[range] = col === undefined ? 0 : this.safeValue(rows, i, col) || 0;
+                return costs;
+            }, {});
+
+            const currency = currencyCol !== -1 ? rows[i][currencyCol] : null;
+            if (this.hasText(currency)) {
+                operations[name.trim()].currency = this.parseCurrency(currency, 'TRY');
+            }
         }
 
         return operations;
@@ -259,7 +711,7 @@ class OdsParser {
         if (!defaults.fabric || typeof defaults.fabric !== 'object') {
             errors.push('Invalid fabric data structure');
         } else {
-            Object.entries(defaults.fabric).forEach(([key, value]) => {
+            Object.entries(defaults.fabric).filter(([key]) => key !== 'lines' && key !== 'currency').forEach(([key, value]) => {
                 if (typeof value !== 'number' || isNaN(value)) {
                     logger.warn('Invalid fabric value detected', { key, value, type: typeof value });
                     // Fabric değerleri 0 olabilir, bu normal
@@ -268,7 +720,16 @@ class OdsParser {
         }
 
         // Validate ranges
-        APP_CONSTANTS.BATCH_RANGES.forEach(range => {
+        if (!Array.isArray(defaults.batchRanges) || defaults.batchRanges.length === 0) {
+            errors.push('No batch ranges defined');
+        } else {
+            const overlaps = findOverlappingRanges(defaults.batchRanges);
+            if (overlaps.length > 0) {
+                errors.push(`Overlapping batch ranges: ${overlaps.join(', ')}`);
+            }
+        }
+
+        (defaults.batchRanges || []).forEach(range => {
             const genelGider = defaults.genel_gider[range];
             const karlilik = defaults.karlilik[range];
 
@@ -312,6 +773,15 @@ class OdsParser {
         }
     }
 
+    /**
+     * Modification time of the file the cached defaults were parsed from
+     * Unlike getFileInfo().modified it does not move when the file is replaced before the next parse
+     * @returns {string|null} - ISO timestamp
+     */
+    getParsedModifiedAt() {
+        return this.lastModified ? new Date(this.lastModified).toISOString() : null;
+    }
+
     getFileInfo() {
         try {
             const stats = fs.statSync(this.odsPath);
@@ -336,8 +806,8 @@ class OdsParser {
 const odsParser = new OdsParser();
 
 // Export main function for backward compatibility
-export function parseOdsDefaults() {
-    return odsParser.parseOdsDefaults();
+export function parseOdsDefaults(template = null) {
+    return odsParser.parseOdsDefaults(template);
 }
 
 // Export parser instance for advanced usage
@@ -0,0 +1,288 @@
+import PDFDocument from 'pdfkit';
+import { config } from '../config/environment.js';
+import { APP_CONSTANTS } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+// Characters missing from the built-in Helvetica (WinAnsi) encoding
+const STANDARD_FONT_REPLACEMENTS = {
+    'İ': 'I',
+    'ı': 'i',
+    'Ş': 'S',
+    'ş': 's',
+    'Ğ': 'G',
+    'ğ': 'g'
+};
+
+// Rows of the per-range table: [label, result field, decimals]
+const RESULT_ROWS = [
+    ['Batch size', 'batchSize', 0],
+    ['Fabric / unit (EUR)', 'fabricCostEur'],
+    ['Accessories / unit (EUR)', 'accessoriesCostEur'],
+    ['Operations / unit (TRY)', 'perUnitOpsTry'],
+    ['Operations / unit (EUR)', 'perUnitOpsEur'],
+    ['Cost / unit (EUR)', 'perUnitEur'],
+    ['Raw cost (EUR)', 'hamMaliyetEur'],
+    ['Overhead (EUR)', 'genelGiderEur'],
+    ['Profit (EUR)', 'karEur'],
+    ['Taxable (EUR)', 'taxableEur'],
+    ['KDV (EUR)', 'kdvEur'],
+    ['Commission (EUR)', 'commissionEur']
+];
+
+// Final price rows, one per currency: [label, field prefix, key in the final map]
+const FINAL_ROWS = [
+    ['Final', 'final', 'total'],
+    ['Unit price', 'perUnitFinal', 'perUnit']
+];
+
+// Rows printed in bold
+const HIGHLIGHTED_FIELDS = ['finalEur', 'perUnitFinalEur'];
+
+class PdfService {
+    constructor() {
+        this.branding = config.branding;
+        this.fontPath = config.pdfFontPath;
+        this.labelWidth = 150;
+    }
+
+    /**
+     * Render a saved quote as a proforma PDF
+     * @param {object} quote - Stored quote ({ id, createdAt, customerRef, params, result })
+     * @returns {Promise<Buffer>} - PDF document
+     */
+    renderQuote(quote) {
+        const startTime = Date.now();
+
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: 40,
+                info: {
+                    Title: `Proforma ${quote.id}`,
+                    Author: this.branding.companyName
+                }
+            });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('error', reject);
+            doc.on('end', () => {
+                logger.logPerformance('Quote PDF rendering', Date.now() - startTime, {
+                    quoteId: quote.id
+                });
+                resolve(Buffer.concat(chunks));
+            });
+
+            try {
+                this.setupFonts(doc);
+                this.drawHeader(doc, quote);
+                this.drawParameters(doc, quote.params);
+                this.drawOperations(doc, quote.params);
+                this.drawResults(doc, quote.params, quote.result);
+                this.drawFooter(doc);
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Register fonts; a TTF font with full Turkish coverage is used if configured
+     */
+    setupFonts(doc) {
+        if (this.fontPath) {
+            doc.registerFont('regular', this.fontPath);
+            doc.registerFont('bold', this.fontPath);
+        } else {
+            doc.registerFont('regular', 'Helvetica');
+            doc.registerFont('bold', 'Helvetica-Bold');
+        }
+        doc.font('regular');
+    }
+
+    drawHeader(doc, quote) {
+        const { companyName, companyContact } = this.branding;
+
+        doc.font('bold').fontSize(18).text(this.text(companyName));
+        if (companyContact) {
+            doc.font('regular').fontSize(9).fillColor('#555555').text(this.text(companyContact));
+        }
+
+        doc.moveDown(0.5);
+        doc.fillColor('#1f3a93').font('bold').fontSize(14).text('PROFORMA');
+        doc.fillColor('#000000').font('regular').fontSize(10);
+        doc.text(`Quote: ${quote.id}`);
+        doc.text(`Date: ${quote.createdAt.slice(0, 10)}`);
+        if (quote.customerRef) {
+            doc.text(this.text(`Customer reference: ${quote.customerRef}`));
+        }
+        doc.moveDown();
+    }
+
+    drawParameters(doc, params) {
+        this.drawSectionTitle(doc, 'Parameters');
+
+        const rates = Object.entries(params.rates || {})
+            .map(([currency, rate]) => `${currency} ${this.formatNumber(rate, 4)}`)
+            .join('   ');
+        const { lines = [], ...fabricValues } = params.fabric || {};
+        const formatFabric = values => Object.entries(values)
+            .filter(([key]) => key !== 'name' && key !== 'currency')
+            .map(([key, value]) => `${key} ${this.formatNumber(value)}`)
+            .join('   ');
+
+        doc.fontSize(9);
+        doc.text(`Exchange rates (TRY): ${rates}`);
+        if (lines.length > 0) {
+            lines.forEach(line => doc.text(`Fabric ${line.name} (${line.currency || 'EUR'}): ${formatFabric(line)}`));
+        } else {
+            doc.text(`Fabric (${fabricValues.currency || 'EUR'}): ${formatFabric(fabricValues)}`);
+        }
+        (params.accessories || []).forEach(item => {
+            doc.text(`Accessory ${item.name}: ${this.formatNumber(item.quantity)} x ${this.formatNumber(item.unit_price)} ${item.currency}`);
+        });
+        doc.text(`KDV: ${this.formatNumber(params.KDV)}%   Commission: ${this.formatNumber(params.komisyon)}%`);
+        if (params.pipeline) {
+            doc.text(`Pricing pipeline: ${params.pipeline}`);
+        }
+        if (params.taxProfile) {
+            const { name, kdv, documentRef, destinationCountry } = params.taxProfile;
+            const details = [
+                `KDV ${this.formatNumber(kdv)}%`,
+                destinationCountry && `destination ${destinationCountry}`,
+                documentRef && `document ${documentRef}`
+            ].filter(Boolean).join(', ');
+            doc.text(this.text(`Tax profile: ${name} (${details})`));
+        }
+        doc.moveDown(0.5);
+
+        const ranges = params.batchRanges || [];
+        this.drawTable(doc, ranges, [
+            ['Overhead (%)', ranges.map(range => this.formatNumber(params.genel_gider?.[range]))],
+            ['Profit (%)', ranges.map(range => this.formatNumber(params.karlilik?.[range]))]
+        ]);
+        doc.moveDown();
+    }
+
+    drawOperations(doc, params) {
+        const ranges = params.batchRanges || [];
+        const operations = Object.entries(params.operations || {});
+        if (operations.length === 0) {
+            return;
+        }
+
+        this.drawSectionTitle(doc, 'Operations (TRY per batch)');
+        this.drawTable(doc, ranges, operations.map(([name, costs]) => [
+            costs?.currency && costs.currency !== 'TRY' ? `${name} (${costs.currency})` : name,
+            ranges.map(range => this.formatNumber(costs?.[range]))
+        ]));
+        doc.moveDown();
+    }
+
+    drawResults(doc, params, result) {
+        const ranges = (params.batchRanges || Object.keys(result || {}))
+            .filter(range => result?.[range]);
+
+        // Currencies added with CURRENCIES have no field of their own and are read from the final map
+        const currencies = [...new Set([
+            ...APP_CONSTANTS.FINAL_FIELD_CURRENCIES,
+            ...ranges.flatMap(range => Object.keys(result[range].final || {}))
+        ])];
+        const finalRows = FINAL_ROWS.flatMap(([label, prefix, key]) => currencies.map(currency => [
+            `${label} (${currency})`,
+            APP_CONSTANTS.FINAL_FIELD_CURRENCIES.includes(currency)
+                ? `${prefix}${currency[0]}${currency.slice(1).toLowerCase()}`
+                : `final.${currency}.${key}`
+        ]));
+
+        this.drawSectionTitle(doc, 'Prices per batch range');
+        this.drawTable(doc, ranges, [...RESULT_ROWS, ...finalRows].map(([label, field, decimals = 2]) => [
+            label,
+            ranges.map(range => this.formatNumber(field.split('.').reduce((value, key) => value?.[key], result[range]), decimals)),
+            HIGHLIGHTED_FIELDS.includes(field)
+        ]));
+        doc.moveDown();
+    }
+
+    drawFooter(doc) {
+        doc.fontSize(8).fillColor('#555555').text(
+            'This proforma is not an invoice. Prices are valid for the exchange rates stated above.',
+            { align: 'center' }
+        );
+        doc.fillColor('#000000');
+    }
+
+    drawSectionTitle(doc, title) {
+        doc.font('bold').fontSize(11).text(title, doc.page.margins.left);
+        doc.font('regular').moveDown(0.3);
+    }
+
+    /**
+     * Draw a simple table with one column per batch range
+     * @param {object} doc - PDF document
+     * @param {string[]} ranges - Column headers
+     * @param {Array} rows - [label, values[], bold?]
+     */
+    drawTable(doc, ranges, rows) {
+        const left = doc.page.margins.left;
+        const usableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const columnWidth = (usableWidth - this.labelWidth) / Math.max(ranges.length, 1);
+        const rowHeight = 14;
+
+        const drawRow = (label, values, bold = false) => {
+            if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+                doc.addPage();
+            }
+
+            const y = doc.y;
+            doc.font(bold ? 'bold' : 'regular').fontSize(8);
+            doc.text(this.text(label), left, y, { width: this.labelWidth - 5, lineBreak: false });
+            values.forEach((value, index) => {
+                doc.text(value, left + this.labelWidth + index * columnWidth, y, {
+                    width: columnWidth - 5,
+                    align: 'right',
+                    lineBreak: false
+                });
+            });
+            doc.y = y + rowHeight;
+        };
+
+        drawRow('', ranges, true);
+        doc.moveTo(left, doc.y - 3).lineTo(left + usableWidth, doc.y - 3).strokeColor('#cccccc').stroke();
+        rows.forEach(([label, values, bold]) => drawRow(label, values, bold));
+        doc.font('regular');
+        doc.x = left;
+    }
+
+    /**
+     * Format a number the Turkish way (1.234,56)
+     */
+    formatNumber(value, decimals = 2) {
+        const num = Number(value);
+        if (value === null || value === undefined || isNaN(num)) {
+            return '-';
+        }
+        return num.toLocaleString('tr-TR', {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        });
+    }
+
+    /**
+     * Replace characters the built-in font cannot render
+     */
+    text(value) {
+        const str = String(value ?? '');
+        if (this.fontPath) {
+            return str;
+        }
+        return str.replace(/[İıŞşĞğ]/g, char => STANDARD_FONT_REPLACEMENTS[char]);
+    }
+}
+
+// Create singleton instance
+const pdfService = new PdfService();
+
+export { PdfService, pdfService };
+export default pdfService;
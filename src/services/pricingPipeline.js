@@ -0,0 +1,125 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { config } from '../config/environment.js';
+import { APP_CONSTANTS } from '../config/constants.js';
+import { FileParseError, NotFoundError } from '../utils/errors.js';
+
+// Pipelines shipped with the service; PRICING_PIPELINES_PATH points to a replacement
+const DEFAULT_PIPELINES_PATH = fileURLToPath(new URL('../config/pricingPipelines.json', import.meta.url));
+
+const { BASE_AMOUNT, AMOUNTS, PERCENTAGES } = APP_CONSTANTS.PRICING_PIPELINES;
+const { REVERSE_CALCULATION } = APP_CONSTANTS;
+
+class PricingPipeline {
+    constructor() {
+        this.pipelinesPath = config.pricingPipelinesPath || DEFAULT_PIPELINES_PATH;
+        this.pipelines = null;
+    }
+
+    /**
+     * Load and check the pipeline definitions once
+     * @returns {object} - { name: { description, steps } }
+     */
+    load() {
+        if (this.pipelines) {
+            return this.pipelines;
+        }
+
+        let pipelines;
+        try {
+            pipelines = JSON.parse(fs.readFileSync(this.pipelinesPath, 'utf8'));
+        } catch (error) {
+            throw new FileParseError(this.pipelinesPath, `Invalid pricing pipelines file: ${error.message}`);
+        }
+
+        const errors = Object.entries(pipelines).flatMap(([name, pipeline]) => this.checkPipeline(name, pipeline));
+        if (!pipelines[APP_CONSTANTS.PRICING_PIPELINES.DEFAULT]) {
+            errors.push(`Default pipeline "${APP_CONSTANTS.PRICING_PIPELINES.DEFAULT}" is not defined`);
+        }
+        if (errors.length > 0) {
+            throw new FileParseError(this.pipelinesPath, `Invalid pricing pipelines file: ${errors.join(', ')}`);
+        }
+
+        this.pipelines = pipelines;
+        return pipelines;
+    }
+
+    /**
+     * Steps must produce known amounts, once each, from the raw cost and amounts produced before them,
+     * and may take karlilik as their percentage only once
+     * @returns {string[]} - Errors
+     */
+    checkPipeline(name, pipeline) {
+        if (!Array.isArray(pipeline?.steps)) {
+            return [`${name}: steps must be an array`];
+        }
+
+        const errors = [];
+        const available = [BASE_AMOUNT];
+
+        pipeline.steps.forEach((step, index) => {
+            const where = `${name} step ${index + 1}`;
+
+            if (!AMOUNTS.includes(step.amount)) {
+                errors.push(`${where}: unknown amount ${step.amount}`);
+            } else if (available.includes(step.amount)) {
+                errors.push(`${where}: ${step.amount} is produced twice`);
+            }
+            if (!Array.isArray(step.base) || step.base.length === 0) {
+                errors.push(`${where}: base must list at least one amount`);
+            } else {
+                step.base.filter(amount => !available.includes(amount)).forEach(amount => {
+                    errors.push(`${where}: base ${amount} is not available before this step`);
+                });
+            }
+            if (typeof step.percentage !== 'number' && !PERCENTAGES.includes(step.percentage)) {
+                errors.push(`${where}: unknown percentage ${step.percentage}`);
+            }
+
+            available.push(step.amount);
+        });
+
+        // The reverse calculation solves karlilik from two evaluations of the pipeline, which is exact
+        // only while the price is linear in it; a second karlilik step could take the first one's amount
+        // as its base. Fabric and operations only move the raw cost, and every step is linear in that
+        const karlilikSteps = pipeline.steps.filter(step => step.percentage === REVERSE_CALCULATION.VARIABLES.KARLILIK);
+        if (karlilikSteps.length > 1) {
+            errors.push(`${name}: karlilik can be the percentage of one step only`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * @returns {object[]} - [{ name, description, default, steps }]
+     */
+    list() {
+        return Object.entries(this.load()).map(([name, pipeline]) => ({
+            name,
+            description: pipeline.description || null,
+            default: name === APP_CONSTANTS.PRICING_PIPELINES.DEFAULT,
+            steps: pipeline.steps
+        }));
+    }
+
+    /**
+     * @param {string} name - Pipeline name
+     * @returns {object} - { description, steps }
+     */
+    get(name) {
+        const pipelines = this.load();
+        const pipeline = Object.hasOwn(pipelines, name) ? pipelines[name] : null;
+
+        if (!pipeline) {
+            throw new NotFoundError('Pricing pipeline', name);
+        }
+
+        return pipeline;
+    }
+}
+
+// Create singleton instance
+const pricingPipeline = new PricingPipeline();
+
+export { PricingPipeline, pricingPipeline };
+export default pricingPipeline;
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { config } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+
+class QuoteRepository {
+    /**
+     * @param {object} options - { filePath }; defaults to QUOTES_PATH
+     */
+    constructor({ filePath = config.quotesPath } = {}) {
+        this.filePath = filePath;
+        this.store = new JsonFileStore(this.filePath);
+    }
+
+    /**
+     * Save a calculation as a quote
+     * @param {object} data - { input, params, result, metadata, customerRef, odsModifiedAt }
+     * @returns {object} - Stored quote
+     */
+    async save(data) {
+        const quotes = await this.load();
+        const quote = this.create(data);
+
+        quotes.push(quote);
+        try {
+            await this.persist();
+        } catch (error) {
+            quotes.splice(quotes.indexOf(quote), 1);
+            logger.error('Failed to persist quote', error, { filePath: this.filePath });
+            throw error;
+        }
+
+        logger.info('Quote saved', {
+            quoteId: quote.id,
+            customerRef: quote.customerRef
+        });
+
+        return quote;
+    }
+
+    /**
+     * Build a quote without storing it
+     * @param {object} data - { input, params, result, metadata, customerRef, odsModifiedAt }
+     * @returns {object} - Quote
+     */
+    create(data) {
+        return {
+            id: this.generateId(),
+            createdAt: new Date().toISOString(),
+            customerRef: data.customerRef || null,
+            odsModifiedAt: data.odsModifiedAt || null,
+            input: data.input,
+            params: data.params,
+            result: data.result,
+            metadata: data.metadata
+        };
+    }
+
+    /**
+     * Find a quote by ID
+     * @param {string} id - Quote ID
+     * @returns {object|null} - Quote or null if not found
+     */
+    async findById(id) {
+        const quotes = await this.load();
+        return quotes.find(quote => quote.id === id) || null;
+    }
+
+    /**
+     * List quotes, newest first
+     * @param {object} filters - { from, to, customerRef, limit, offset }
+     * @returns {object} - { total, quotes }
+     */
+    async find(filters = {}) {
+        const quotes = await this.load();
+        const from = filters.from ? new Date(filters.from).getTime() : null;
+        const to = filters.to ? this.toEndOfDay(filters.to) : null;
+
+        const matching = quotes
+            .filter(quote => {
+                const createdAt = new Date(quote.createdAt).getTime();
+                if (from !== null && createdAt < from) return false;
+                if (to !== null && createdAt > to) return false;
+                if (filters.customerRef && quote.customerRef !== filters.customerRef) return false;
+                return true;
+            })
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        const offset = filters.offset || 0;
+        const limit = filters.limit || matching.length;
+
+        return {
+            total: matching.length,
+            quotes: matching.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Resolve an upper date bound; a plain YYYY-MM-DD date includes the whole day
+     * @param {string} value - ISO date or date-time
+     * @returns {number} - Timestamp in milliseconds
+     */
+    toEndOfDay(value) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return new Date(`${value}T23:59:59.999Z`).getTime();
+        }
+        return new Date(value).getTime();
+    }
+
+    /**
+     * Load quotes from disk once
+     * @returns {object[]} - All stored quotes
+     */
+    load() {
+        return this.store.load();
+    }
+
+    /**
+     * Write quotes to disk
+     */
+    persist() {
+        return this.store.save();
+    }
+
+    /**
+     * Generate a quote ID such as Q-20250120-1a2b3c4d
+     * @returns {string} - Quote ID
+     */
+    generateId() {
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        return `Q-${date}-${crypto.randomBytes(4).toString('hex')}`;
+    }
+}
+
+// Create singleton instance
+const quoteRepository = new QuoteRepository();
+
+export { QuoteRepository, quoteRepository };
+export default quoteRepository;
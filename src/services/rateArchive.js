@@ -0,0 +1,98 @@
+import { config } from '../config/environment.js';
+import { logger } from '../utils/logger.js';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+
+class RateArchive {
+    constructor() {
+        this.filePath = config.rateArchivePath;
+        this.store = new JsonFileStore(this.filePath);
+    }
+
+    /**
+     * Store fetched rates with the day they were fetched
+     * @param {object} data - { rates, baseCurrency, source, provider, fallbackCurrencies }
+     * @returns {object} - Stored entry
+     */
+    async record(data) {
+        const entries = await this.load();
+        const fetchedAt = new Date().toISOString();
+
+        const entry = {
+            date: fetchedAt.slice(0, 10),
+            fetchedAt,
+            baseCurrency: data.baseCurrency || 'TRY',
+            source: data.source || 'api',
+            provider: data.provider || null,
+            rates: { ...data.rates },
+            fallbackCurrencies: data.fallbackCurrencies || []
+        };
+
+        entries.push(entry);
+        try {
+            await this.persist();
+        } catch (error) {
+            entries.splice(entries.indexOf(entry), 1);
+            logger.error('Failed to persist exchange rate archive', error, { filePath: this.filePath });
+            throw error;
+        }
+
+        logger.debug('Exchange rates archived', { date: entry.date, rates: entry.rates });
+
+        return entry;
+    }
+
+    /**
+     * List archived rates, oldest first
+     * @param {object} filters - { from, to, currency, baseCurrency }; dates are YYYY-MM-DD
+     * @returns {object[]} - Entries; with a currency filter only that rate is kept
+     */
+    async find(filters = {}) {
+        const entries = await this.load();
+        const baseCurrency = filters.baseCurrency || 'TRY';
+
+        return entries
+            .filter(entry => {
+                if (entry.baseCurrency !== baseCurrency) return false;
+                if (filters.from && entry.date < filters.from) return false;
+                if (filters.to && entry.date > filters.to) return false;
+                if (filters.currency && entry.rates[filters.currency] === undefined) return false;
+                return true;
+            })
+            .sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt))
+            .map(entry => (filters.currency
+                ? { ...entry, rates: { [filters.currency]: entry.rates[filters.currency] } }
+                : entry));
+    }
+
+    /**
+     * Rates in effect on a day: the last fetch on or before it
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} baseCurrency - Base currency
+     * @returns {object|null} - Entry or null if nothing was archived by then
+     */
+    async findForDate(date, baseCurrency = 'TRY') {
+        const entries = await this.find({ to: date, baseCurrency });
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+
+    /**
+     * Load the archive from disk once
+     * @returns {object[]} - All archived entries
+     */
+    load() {
+        return this.store.load();
+    }
+
+    /**
+     * Write the archive to disk
+     */
+    persist() {
+        return this.store.save();
+    }
+}
+
+// Create singleton instance
+const rateArchive = new RateArchive();
+
+export { RateArchive, rateArchive };
+export default rateArchive;
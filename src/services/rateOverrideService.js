@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { config } from '../config/environment.js';
+import { APP_CONSTANTS } from '../config/constants.js';
+import { ValidationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { cacheHelpers } from '../utils/cache.js';
+
+const { GLOBAL, CUSTOMER } = APP_CONSTANTS.RATE_OVERRIDE_SCOPES;
+
+class RateOverrideService {
+    /**
+     * @param {object} options - { filePath }; defaults to RATE_OVERRIDES_PATH
+     */
+    constructor({ filePath = config.rateOverridesPath } = {}) {
+        this.filePath = filePath;
+        this.store = new JsonFileStore(this.filePath);
+    }
+
+    /**
+     * Pin rates for a scope, replacing the rates pinned for it before
+     * Every call is kept, so the file doubles as the audit list; empty rates clear the scope
+     * @param {object} data - { rates, scope, customerRef, validUntil, reason }; validUntil is YYYY-MM-DD, inclusive
+     * @returns {object} - Stored override
+     */
+    async set(data) {
+        const overrides = await this.load();
+        const createdAt = new Date().toISOString();
+
+        if (data.validUntil && data.validUntil < createdAt.slice(0, 10)) {
+            throw new ValidationError('validUntil must not be in the past', { validUntil: data.validUntil });
+        }
+
+        const override = {
+            id: this.generateId(),
+            createdAt,
+            scope: data.scope || GLOBAL,
+            customerRef: data.scope === CUSTOMER ? data.customerRef : null,
+            rates: { ...data.rates },
+            validUntil: data.validUntil || null,
+            reason: data.reason
+        };
+
+        overrides.push(override);
+        try {
+            await this.persist();
+        } catch (error) {
+            overrides.splice(overrides.indexOf(override), 1);
+            logger.error('Failed to persist rate overrides', error, { filePath: this.filePath });
+            throw error;
+        }
+
+        // Results calculated with the previous pins are stale now
+        cacheHelpers.clearCalculationResults();
+
+        logger.info('Exchange rate override set', {
+            overrideId: override.id,
+            scope: override.scope,
+            customerRef: override.customerRef,
+            rates: override.rates,
+            validUntil: override.validUntil
+        });
+
+        return override;
+    }
+
+    /**
+     * Overrides in effect today: the latest one of each scope, unless it has expired
+     * @param {string|null} customerRef - Customer whose overrides apply besides the global one
+     * @returns {object[]} - Global override first, then the customer's
+     */
+    async getActive(customerRef = null) {
+        const overrides = await this.load();
+        const today = new Date().toISOString().slice(0, 10);
+
+        return [this.findLatest(overrides, GLOBAL, null), customerRef && this.findLatest(overrides, CUSTOMER, customerRef)]
+            .filter(override => override && (!override.validUntil || override.validUntil >= today));
+    }
+
+    /**
+     * Replace rates with the pinned ones; customer pins win over global pins
+     * @param {object} rates - { currency: rate } in TRY
+     * @param {string|null} customerRef - Customer of the calculation
+     * @returns {object} - { rates, applied: [{ currency, rate, replaced, overrideId, scope, customerRef, validUntil }] }
+     */
+    async apply(rates, customerRef = null) {
+        const pinned = {};
+
+        (await this.getActive(customerRef)).forEach(override => {
+            Object.entries(override.rates).forEach(([currency, rate]) => {
+                pinned[currency] = {
+                    currency,
+                    rate,
+                    replaced: rates[currency] ?? null,
+                    overrideId: override.id,
+                    scope: override.scope,
+                    customerRef: override.customerRef,
+                    validUntil: override.validUntil
+                };
+            });
+        });
+
+        const applied = Object.values(pinned);
+        if (applied.length === 0) {
+            return { rates, applied };
+        }
+
+        return {
+            rates: { ...rates, ...Object.fromEntries(applied.map(({ currency, rate }) => [currency, rate])) },
+            applied
+        };
+    }
+
+    /**
+     * Apply the pinned rates to resolved rates; pinned currencies no longer count as fallbacks
+     * @param {object} snapshot - { rates, fallbackCurrencies, ... }
+     * @param {string|null} customerRef - Customer of the calculation
+     * @returns {object} - Snapshot with the pinned rates and the list of applied overrides
+     */
+    async applyToSnapshot(snapshot, customerRef = null) {
+        const { rates, applied } = await this.apply(snapshot.rates, customerRef);
+        const pinned = applied.map(override => override.currency);
+        const fallbackCurrencies = snapshot.fallbackCurrencies.filter(currency => !pinned.includes(currency));
+
+        return {
+            ...snapshot,
+            rates,
+            fallbackUsed: fallbackCurrencies.length > 0,
+            fallbackCurrencies,
+            overrides: applied
+        };
+    }
+
+    /**
+     * List overrides, newest first, with the status each has today
+     * @param {object} filters - { customerRef }
+     * @returns {object[]} - Overrides with status "active", "expired" or "superseded"
+     */
+    async list(filters = {}) {
+        const overrides = await this.load();
+        const today = new Date().toISOString().slice(0, 10);
+
+        return overrides
+            .filter(override => !filters.customerRef || override.customerRef === filters.customerRef)
+            .map(override => {
+                let status = 'active';
+                if (this.findLatest(overrides, override.scope, override.customerRef) !== override) {
+                    status = 'superseded';
+                } else if (override.validUntil && override.validUntil < today) {
+                    status = 'expired';
+                }
+                return { ...override, status };
+            })
+            .reverse();
+    }
+
+    findLatest(overrides, scope, customerRef) {
+        for (let i = overrides.length - 1; i >= 0; i--) {
+            if (overrides[i].scope === scope && overrides[i].customerRef === customerRef) {
+                return overrides[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Load overrides from disk once
+     * @returns {object[]} - All overrides, oldest first
+     */
+    load() {
+        return this.store.load();
+    }
+
+    /**
+     * Write overrides to disk
+     */
+    persist() {
+        return this.store.save();
+    }
+
+    /**
+     * Generate an override ID such as RO-20250120-1a2b3c4d
+     * @returns {string} - Override ID
+     */
+    generateId() {
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        return `RO-${date}-${crypto.randomBytes(4).toString('hex')}`;
+    }
+}
+
+// Create singleton instance
+const rateOverrideService = new RateOverrideService();
+
+export { RateOverrideService, rateOverrideService };
+export default rateOverrideService;
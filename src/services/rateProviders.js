@@ -0,0 +1,181 @@
+import { APP_CONSTANTS } from '../config/constants.js';
+
+/*
+ * Exchange rate providers
+ *
+ * A provider has a name, a label used in error messages, the archive source of its rates,
+ * isConfigured() and fetchRates(baseCurrency), which resolves to { EUR: 37.99, ... } in units
+ * of the base currency. HTTP goes through the injected client ({ get(url, options) } resolving
+ * to { data }, e.g. an axios instance) and parsing is kept apart from fetching, so providers
+ * can be run against recorded responses.
+ */
+
+const { EXCHANGE_RATE_API, TCMB, STATIC } = APP_CONSTANTS.RATE_PROVIDERS;
+
+const isRate = value => typeof value === 'number' && value > 0 && !isNaN(value);
+
+/**
+ * Keep the supported currencies with a usable rate
+ * @param {object} rates - { currency: rate }
+ * @returns {object} - Supported rates only
+ */
+const pickSupportedRates = rates => Object.fromEntries(
+    APP_CONSTANTS.SUPPORTED_CURRENCIES
+        .filter(currency => isRate(rates?.[currency]))
+        .map(currency => [currency, rates[currency]])
+);
+
+class ExchangeRateApiProvider {
+    constructor({ http, apiKey }) {
+        this.name = EXCHANGE_RATE_API;
+        this.label = 'Exchange Rate API';
+        this.source = 'api';
+        this.http = http;
+        this.apiKey = apiKey;
+        this.baseUrl = `https://v6.exchangerate-api.com/v6/${apiKey}/latest/`;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async fetchRates(baseCurrency) {
+        const response = await this.http.get(`${this.baseUrl}${baseCurrency}`);
+        return this.parse(response.data);
+    }
+
+    /**
+     * Parse API response and extract rates
+     * @param {object} data - API response data
+     * @returns {object} - Rates in units of the base currency
+     */
+    parse(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid API response format');
+        }
+
+        if (data.result === 'error') {
+            throw new Error(`Exchange Rate API error: ${data['error-type'] || 'unknown'}`);
+        }
+
+        // Different APIs have different response formats
+        if (data.conversion_rates) {
+            // v6 format: { base_code: 'TRY', conversion_rates: { EUR: 0.0263, ... } } - one base unit in each currency
+            return pickSupportedRates(Object.fromEntries(
+                Object.entries(data.conversion_rates)
+                    .filter(([, rate]) => isRate(rate))
+                    .map(([currency, rate]) => [currency, 1 / rate])
+            ));
+        }
+
+        if (data.rates) {
+            // Format: { rates: { EUR: 37.99, USD: 33.99, ... } }
+            return pickSupportedRates(data.rates);
+        }
+
+        if (Array.isArray(data.data)) {
+            // Format: { data: [{ currency: 'EUR', rate: 37.99 }, ...] }
+            return pickSupportedRates(Object.fromEntries(
+                data.data.filter(item => item.currency).map(item => [item.currency, item.rate])
+            ));
+        }
+
+        // Direct format: { EUR: 37.99, USD: 33.99, ... }
+        return pickSupportedRates(data);
+    }
+}
+
+class TcmbProvider {
+    constructor({ http, rateType = 'ForexSelling' }) {
+        this.name = TCMB;
+        this.label = 'TCMB';
+        this.source = 'api';
+        this.http = http;
+        this.rateType = rateType;
+        this.url = 'https://www.tcmb.gov.tr/kurlar/today.xml';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async fetchRates(baseCurrency) {
+        if (baseCurrency !== 'TRY') {
+            throw new Error(`TCMB publishes TRY rates only, not ${baseCurrency}`);
+        }
+
+        const response = await this.http.get(this.url, {
+            responseType: 'text',
+            headers: { 'Accept': 'application/xml' }
+        });
+        return this.parse(response.data);
+    }
+
+    /**
+     * Parse the today.xml bulletin
+     * Rates are quoted per <Unit> (e.g. 100 JPY) and are divided down to one unit
+     * @param {string} xml - Bulletin XML
+     * @returns {object} - TRY rates of the configured rate type
+     */
+    parse(xml) {
+        if (typeof xml !== 'string' || !xml.includes('<Tarih_Date')) {
+            throw new Error('Invalid TCMB response format');
+        }
+
+        const readTag = (body, tag) => body.match(new RegExp(`<${tag}>([^<]*)</${tag}>`))?.[1]?.trim() || null;
+        const rates = {};
+
+        for (const [, code, body] of xml.matchAll(/<Currency\b[^>]*\bCurrencyCode="([A-Z]{3})"[^>]*>([\s\S]*?)<\/Currency>/g)) {
+            const unit = Number(readTag(body, 'Unit')) || 1;
+            const value = Number(readTag(body, this.rateType));
+            if (value > 0) {
+                rates[code] = value / unit;
+            }
+        }
+
+        return pickSupportedRates(rates);
+    }
+}
+
+class StaticRateProvider {
+    constructor({ rates }) {
+        this.name = STATIC;
+        this.label = 'Static rates';
+        this.source = 'static';
+        this.rates = rates;
+    }
+
+    isConfigured() {
+        return Boolean(this.rates);
+    }
+
+    async fetchRates(baseCurrency) {
+        if (baseCurrency !== 'TRY') {
+            throw new Error(`Static rates are given in TRY, not ${baseCurrency}`);
+        }
+
+        return pickSupportedRates(this.rates);
+    }
+}
+
+/**
+ * Build the providers in priority order
+ * @param {string[]} names - Provider names
+ * @param {object} options - { http, apiKey, tcmbRateType, staticRates }
+ * @returns {object[]} - Providers
+ */
+const createRateProviders = (names, { http, apiKey, tcmbRateType, staticRates }) => names.map(name => {
+    switch (name) {
+    case EXCHANGE_RATE_API:
+        return new ExchangeRateApiProvider({ http, apiKey });
+    case TCMB:
+        return new TcmbProvider({ http, rateType: tcmbRateType });
+    case STATIC:
+        return new StaticRateProvider({ rates: staticRates });
+    default:
+        throw new Error(`Unknown exchange rate provider: ${name}`);
+    }
+});
+
+export { ExchangeRateApiProvider, TcmbProvider, StaticRateProvider, createRateProviders };
+export default createRateProviders;
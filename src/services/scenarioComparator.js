@@ -0,0 +1,125 @@
+import { calculateFromInput } from './calculator.js';
+import { CalculationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+class ScenarioComparator {
+    /**
+     * Calculate each named scenario and align the results per range
+     * @param {object} options - { scenarios: [{ name, input }], baseline }
+     * @returns {object} - { baseline, scenarios, result }
+     */
+    async compare({ scenarios, baseline = null }) {
+        const startTime = Date.now();
+        const baselineName = baseline || scenarios[0].name;
+
+        const outputs = [];
+        for (const { name, input } of scenarios) {
+            outputs.push({ name, output: await this.calculateScenario(name, input) });
+        }
+
+        const result = {};
+        this.unionRanges(outputs).forEach(range => {
+            result[range] = this.compareRange(range, outputs, baselineName);
+        });
+
+        logger.logPerformance('Scenario comparison', Date.now() - startTime, {
+            scenarios: scenarios.length,
+            baseline: baselineName
+        });
+
+        return {
+            baseline: baselineName,
+            scenarios: outputs.map(({ name, output }) => ({
+                name,
+                template: output.template,
+                rates: output.rates,
+                metadata: output.metadata
+            })),
+            result
+        };
+    }
+
+    async calculateScenario(name, input) {
+        try {
+            return await calculateFromInput(input);
+        } catch (error) {
+            if (error instanceof CalculationError) {
+                throw new CalculationError(`Scenario "${name}" failed: ${error.message}`, { scenario: name });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Ranges of all scenarios in order; templates may define different tiers
+     */
+    unionRanges(outputs) {
+        return [...new Set(outputs.flatMap(({ output }) => Object.keys(output.result)))];
+    }
+
+    /**
+     * Every numeric field of a range: the value per scenario and its delta against the baseline
+     * Nested fields such as the breakdown use dotted names ("breakdown.finalPriceSplit.fabric")
+     * @returns {object} - { field: { values: { name: value }, deltas: { name: { delta, deltaPercent } } } }
+     */
+    compareRange(range, outputs, baselineName) {
+        const flattened = outputs.map(({ name, output }) => ({
+            name,
+            fields: this.flattenNumbers(output.result[range])
+        }));
+        const fields = [...new Set(flattened.flatMap(entry => Object.keys(entry.fields)))];
+        const baselineResult = flattened.find(({ name }) => name === baselineName).fields;
+
+        return Object.fromEntries(fields.map(field => {
+            const values = {};
+            const deltas = {};
+
+            flattened.forEach(({ name, fields: scenarioValues }) => {
+                const value = scenarioValues[field] ?? null;
+                values[name] = value;
+
+                if (name !== baselineName) {
+                    deltas[name] = this.delta(baselineResult[field] ?? null, value);
+                }
+            });
+
+            return [field, { values, deltas }];
+        }));
+    }
+
+    /**
+     * Numeric fields of a range result keyed by dotted path
+     */
+    flattenNumbers(value, prefix = '', fields = {}) {
+        if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, nested]) => {
+                this.flattenNumbers(nested, prefix ? `${prefix}.${key}` : key, fields);
+            });
+        } else if (typeof value === 'number') {
+            fields[prefix] = value;
+        }
+
+        return fields;
+    }
+
+    delta(from, to) {
+        if (from === null || to === null) {
+            return { delta: null, deltaPercent: null };
+        }
+
+        return {
+            delta: this.round(to - from),
+            deltaPercent: from !== 0 ? this.round(((to - from) / from) * 100) : null
+        };
+    }
+
+    round(value) {
+        return Math.round((value + Number.EPSILON) * 100) / 100;
+    }
+}
+
+// Create singleton instance
+const scenarioComparator = new ScenarioComparator();
+
+export { ScenarioComparator, scenarioComparator };
+export default scenarioComparator;
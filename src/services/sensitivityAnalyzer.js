@@ -0,0 +1,189 @@
+import { calculator } from './calculator.js';
+import { APP_CONSTANTS } from '../config/constants.js';
+import { CalculationError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { toCsv } from '../utils/csv.js';
+
+// Top-level parameters; all others are "<section>.<key>" or "operations.<name>.<range>"
+const SCALAR_PARAMETERS = ['KDV', 'komisyon'];
+
+class SensitivityAnalyzer {
+    constructor() {
+        this.maxPoints = APP_CONSTANTS.SENSITIVITY_ANALYSIS.MAX_POINTS;
+    }
+
+    /**
+     * Calculate every combination of the swept parameter values
+     * Defaults and rates are resolved once; results are not cached
+     * @param {object} input - Base calculation input with vary and outputs
+     * @returns {object} - { parameters, base, points, rates, metadata }
+     */
+    async analyze(input = {}) {
+        const startTime = Date.now();
+        const { vary, outputs = APP_CONSTANTS.SENSITIVITY_ANALYSIS.DEFAULT_OUTPUTS, ...baseInput } = input;
+
+        const parameters = vary.map(entry => ({
+            parameter: entry.parameter,
+            values: entry.values || this.expandRange(entry)
+        }));
+
+        const pointCount = parameters.reduce((count, { values }) => count * values.length, 1);
+        if (pointCount > this.maxPoints) {
+            throw new ValidationError(`Sensitivity grid has ${pointCount} points, maximum is ${this.maxPoints}`);
+        }
+
+        try {
+            const { defaults, rateInput, rateInfo, odsModifiedAt } = await calculator.resolveDefaults(baseInput);
+            const calculate = pointInput => {
+                const params = calculator.mergeParameters(defaults, pointInput, {});
+                calculator.validateCalculationParameters(params);
+                return { params, results: calculator.performCalculations(params) };
+            };
+
+            const base = calculate(rateInput);
+            const points = this.combine(parameters).map(values => {
+                const pointInput = Object.entries(values)
+                    .reduce((acc, [parameter, value]) => this.applyValue(acc, parameter, value), rateInput);
+
+                let results;
+                try {
+                    ({ results } = calculate(pointInput));
+                } catch (error) {
+                    throw new CalculationError(
+                        `Calculation failed at ${this.describePoint(values)}: ${error.message}`,
+                        { values }
+                    );
+                }
+
+                return {
+                    values,
+                    result: this.pickOutputs(results, outputs)
+                };
+            });
+
+            const duration = Date.now() - startTime;
+            logger.logCalculation('sensitivity_analysis', baseInput, points.length, duration);
+
+            return {
+                parameters,
+                outputs,
+                base: this.pickOutputs(base.results, outputs),
+                points,
+                rates: base.params.rates,
+                metadata: calculator.buildMetadata(calculator.generateInputHash(input, {}), rateInfo, base.params, odsModifiedAt)
+            };
+
+        } catch (error) {
+            if (error instanceof CalculationError || error instanceof NotFoundError) {
+                throw error;
+            }
+
+            throw new CalculationError('Sensitivity analysis failed: ' + error.message, { input });
+        }
+    }
+
+    /**
+     * Expand from/to/step into a list of values, "to" included when it falls on a step
+     * @param {object} entry - { from, to, step }
+     * @returns {number[]} - Values
+     */
+    expandRange({ parameter, from, to, step }) {
+        // Tolerance keeps 35..45 step 0.1 from losing its last value to float error
+        const count = Math.floor((to - from) / step + 1e-9) + 1;
+        if (count > this.maxPoints) {
+            throw new ValidationError(`${parameter} sweep has ${count} values, maximum is ${this.maxPoints}`);
+        }
+
+        return Array.from({ length: count }, (_, index) => Number((from + index * step).toFixed(10)));
+    }
+
+    /**
+     * Cartesian product of the parameter values
+     * @param {object[]} parameters - [{ parameter, values }]
+     * @returns {object[]} - [{ parameter: value }]
+     */
+    combine(parameters) {
+        return parameters.reduce(
+            (combinations, { parameter, values }) => combinations.flatMap(combination =>
+                values.map(value => ({ ...combination, [parameter]: value }))
+            ),
+            [{}]
+        );
+    }
+
+    /**
+     * Set a parameter such as "rates.EUR" or "operations.DİKİM TRY.0-50" on a copy of the input
+     * @param {object} input - Calculation input
+     * @param {string} parameter - Parameter path
+     * @param {number} value - Value to set
+     * @returns {object} - New input
+     */
+    applyValue(input, parameter, value) {
+        if (SCALAR_PARAMETERS.includes(parameter)) {
+            return { ...input, [parameter]: value };
+        }
+
+        const [section, ...rest] = parameter.split('.');
+        if (section === 'operations') {
+            // Operation names may contain dots; the range is always the last segment
+            const range = rest.pop();
+            const name = rest.join('.');
+            const operations = input.operations || {};
+            return {
+                ...input,
+                operations: { ...operations, [name]: { ...(operations[name] || {}), [range]: value } }
+            };
+        }
+
+        return {
+            ...input,
+            [section]: { ...(input[section] || {}), [rest[0]]: value }
+        };
+    }
+
+    pickOutputs(results, outputs) {
+        return Object.fromEntries(
+            Object.entries(results).map(([range, result]) => [
+                range,
+                Object.fromEntries(outputs.map(field => [field, this.readOutput(result, field)]))
+            ])
+        );
+    }
+
+    // Outputs of the final map are dotted paths, e.g. final.PLN.perUnit
+    readOutput(result, field) {
+        return field.split('.').reduce((value, key) => value?.[key], result) ?? null;
+    }
+
+    describePoint(values) {
+        return Object.entries(values).map(([parameter, value]) => `${parameter}=${value}`).join(', ');
+    }
+
+    /**
+     * Serialize an analysis to CSV, one line per point and range
+     * @param {object} analysis - Result of analyze
+     * @returns {string} - CSV content
+     */
+    toCsv(analysis) {
+        const parameterNames = analysis.parameters.map(({ parameter }) => parameter);
+        const lines = [[...parameterNames, 'range', ...analysis.outputs]];
+
+        analysis.points.forEach(point => {
+            Object.entries(point.result).forEach(([range, result]) => {
+                lines.push([
+                    ...parameterNames.map(parameter => point.values[parameter]),
+                    range,
+                    ...analysis.outputs.map(field => result[field])
+                ]);
+            });
+        });
+
+        return toCsv(lines);
+    }
+}
+
+// Create singleton instance
+const sensitivityAnalyzer = new SensitivityAnalyzer();
+
+export { SensitivityAnalyzer, sensitivityAnalyzer };
+export default sensitivityAnalyzer;
@@ -0,0 +1,137 @@
+import XLSX from 'xlsx';
+import { logger } from '../utils/logger.js';
+
+// Supported workbook formats and their MIME types
+const BOOK_TYPES = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ods: 'application/vnd.oasis.opendocument.spreadsheet'
+};
+
+class SpreadsheetExportService {
+    /**
+     * Render a saved quote as a workbook
+     * One sheet lists the inputs used, then one sheet per batch range with every result field
+     * @param {object} quote - Stored quote ({ id, params, result, metadata })
+     * @param {string} bookType - 'xlsx' or 'ods'
+     * @returns {Buffer} - Workbook file
+     */
+    renderQuote(quote, bookType = 'xlsx') {
+        if (!BOOK_TYPES[bookType]) {
+            throw new Error(`Unsupported spreadsheet format: ${bookType}`);
+        }
+
+        const startTime = Date.now();
+        const workbook = XLSX.utils.book_new();
+
+        XLSX.utils.book_append_sheet(workbook, this.buildInputsSheet(quote), 'Inputs');
+
+        const ranges = (quote.params?.batchRanges || Object.keys(quote.result || {}))
+            .filter(range => quote.result?.[range]);
+        ranges.forEach(range => {
+            XLSX.utils.book_append_sheet(workbook, this.buildRangeSheet(quote.result[range]), range);
+        });
+
+        const buffer = XLSX.write(workbook, { bookType, type: 'buffer' });
+
+        logger.logPerformance('Spreadsheet export', Date.now() - startTime, {
+            quoteId: quote.id,
+            bookType,
+            sheets: workbook.SheetNames.length
+        });
+
+        return buffer;
+    }
+
+    /**
+     * Get the MIME type for a workbook format
+     * @param {string} bookType - 'xlsx' or 'ods'
+     * @returns {string} - MIME type
+     */
+    getContentType(bookType) {
+        return BOOK_TYPES[bookType];
+    }
+
+    /**
+     * Build the inputs sheet: one row per parameter value
+     */
+    buildInputsSheet(quote) {
+        const params = quote.params || {};
+        const rows = [['Section', 'Key', 'Range', 'Value']];
+
+        rows.push(['quote', 'id', null, quote.id]);
+        rows.push(['quote', 'template', null, params.template ?? null]);
+        rows.push(['quote', 'pipeline', null, params.pipeline ?? null]);
+        rows.push(['quote', 'taxProfile', null, params.taxProfile?.name ?? null]);
+        rows.push(['quote', 'taxDocumentRef', null, params.taxProfile?.documentRef ?? null]);
+        rows.push(['quote', 'destinationCountry', null, params.taxProfile?.destinationCountry ?? null]);
+        rows.push(['quote', 'customerRef', null, quote.customerRef ?? null]);
+        rows.push(['quote', 'calculatedAt', null, quote.metadata?.calculatedAt ?? null]);
+        rows.push(['quote', 'rateSource', null, quote.metadata?.rates?.source ?? null]);
+        rows.push(['quote', 'rateProvider', null, quote.metadata?.rates?.provider ?? null]);
+        rows.push(['quote', 'odsModifiedAt', null, quote.odsModifiedAt ?? null]);
+
+        Object.entries(params.rates || {}).forEach(([currency, rate]) => {
+            rows.push(['rates', currency, null, rate]);
+        });
+        const { lines = [], ...fabric } = params.fabric || {};
+        Object.entries(fabric).forEach(([key, value]) => {
+            rows.push(['fabric', key, null, value]);
+        });
+        lines.forEach(({ name, ...line }) => {
+            Object.entries(line).forEach(([key, value]) => {
+                rows.push(['fabric.lines', `${name}.${key}`, null, value]);
+            });
+        });
+        (params.accessories || []).forEach(({ name, ...item }) => {
+            Object.entries(item).forEach(([key, value]) => {
+                rows.push(['accessories', `${name}.${key}`, null, value]);
+            });
+        });
+        rows.push(['KDV', 'KDV', null, params.KDV]);
+        rows.push(['komisyon', 'komisyon', null, params.komisyon]);
+
+        ['genel_gider', 'karlilik', 'batch'].forEach(section => {
+            Object.entries(params[section] || {}).forEach(([range, value]) => {
+                rows.push([section, section, range, value]);
+            });
+        });
+
+        Object.entries(params.operations || {}).forEach(([name, costs]) => {
+            Object.entries(costs || {}).forEach(([range, value]) => {
+                if (range === 'currency') {
+                    rows.push(['operations', `${name}.currency`, null, value]);
+                } else {
+                    rows.push(['operations', name, range, value]);
+                }
+            });
+        });
+
+        return XLSX.utils.aoa_to_sheet(rows);
+    }
+
+    /**
+     * Build a range sheet: one row per result field, nested fields in dotted notation
+     */
+    buildRangeSheet(result) {
+        const rows = [['Field', 'Value']];
+        this.flattenInto(rows, '', result);
+        return XLSX.utils.aoa_to_sheet(rows);
+    }
+
+    flattenInto(rows, prefix, value) {
+        if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, nested]) => {
+                this.flattenInto(rows, prefix ? `${prefix}.${key}` : key, nested);
+            });
+            return;
+        }
+
+        rows.push([prefix, value ?? null]);
+    }
+}
+
+// Create singleton instance
+const spreadsheetExportService = new SpreadsheetExportService();
+
+export { SpreadsheetExportService, spreadsheetExportService };
+export default spreadsheetExportService;
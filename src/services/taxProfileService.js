@@ -0,0 +1,128 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { config } from '../config/environment.js';
+import { VALIDATION_CONSTANTS } from '../config/constants.js';
+import { CalculationError, FileParseError, NotFoundError } from '../utils/errors.js';
+
+// Profiles shipped with the service; TAX_PROFILES_PATH points to a replacement
+const DEFAULT_PROFILES_PATH = fileURLToPath(new URL('../config/taxProfiles.json', import.meta.url));
+
+class TaxProfileService {
+    constructor() {
+        this.profilesPath = config.taxProfilesPath || DEFAULT_PROFILES_PATH;
+        this.profiles = null;
+    }
+
+    /**
+     * Load and check the profile definitions once
+     * @returns {object} - { name: { description, kdv, requiresDocumentRef, destinationRates } }
+     */
+    load() {
+        if (this.profiles) {
+            return this.profiles;
+        }
+
+        let profiles;
+        try {
+            profiles = JSON.parse(fs.readFileSync(this.profilesPath, 'utf8'));
+        } catch (error) {
+            throw new FileParseError(this.profilesPath, `Invalid tax profiles file: ${error.message}`);
+        }
+
+        const errors = Object.entries(profiles).flatMap(([name, profile]) => this.checkProfile(name, profile));
+        if (errors.length > 0) {
+            throw new FileParseError(this.profilesPath, `Invalid tax profiles file: ${errors.join(', ')}`);
+        }
+
+        this.profiles = profiles;
+        return profiles;
+    }
+
+    /**
+     * A profile has a single KDV rate or a rate per destination country
+     * @returns {string[]} - Errors
+     */
+    checkProfile(name, profile) {
+        const isPercentage = value => typeof value === 'number' &&
+            value >= VALIDATION_CONSTANTS.MIN_PERCENTAGE &&
+            value <= VALIDATION_CONSTANTS.MAX_PERCENTAGE;
+
+        if (profile?.destinationRates) {
+            return Object.entries(profile.destinationRates)
+                .filter(([, rate]) => !isPercentage(rate))
+                .map(([country, rate]) => `${name}: invalid rate for ${country}: ${rate}`);
+        }
+
+        return isPercentage(profile?.kdv) ? [] : [`${name}: kdv must be a percentage`];
+    }
+
+    /**
+     * @returns {object[]} - [{ name, description, kdv, requiresDocumentRef, destinationRates }]
+     */
+    list() {
+        return Object.entries(this.load()).map(([name, profile]) => ({
+            name,
+            description: profile.description || null,
+            kdv: profile.destinationRates ? null : profile.kdv,
+            requiresDocumentRef: Boolean(profile.requiresDocumentRef),
+            destinationRates: profile.destinationRates || null
+        }));
+    }
+
+    /**
+     * @param {string} name - Profile name
+     * @returns {object} - Profile definition
+     */
+    get(name) {
+        const profiles = this.load();
+        const profile = Object.hasOwn(profiles, name) ? profiles[name] : null;
+
+        if (!profile) {
+            throw new NotFoundError('Tax profile', name);
+        }
+
+        return profile;
+    }
+
+    /**
+     * Resolve the KDV rate a profile applies to a sale
+     * @param {string} name - Profile name
+     * @param {object} sale - { documentRef, destinationCountry }
+     * @returns {object} - { name, description, kdv, documentRef, destinationCountry }
+     */
+    resolve(name, { documentRef = null, destinationCountry = null } = {}) {
+        const profile = this.get(name);
+
+        if (profile.requiresDocumentRef && !documentRef) {
+            throw new CalculationError(`Tax profile ${name} requires taxDocumentRef`, { taxProfile: name });
+        }
+
+        let kdv = profile.kdv;
+        if (profile.destinationRates) {
+            if (!destinationCountry) {
+                throw new CalculationError(`Tax profile ${name} requires destinationCountry`, { taxProfile: name });
+            }
+            if (!Object.hasOwn(profile.destinationRates, destinationCountry)) {
+                throw new CalculationError(
+                    `Tax profile ${name} has no rate for destination country ${destinationCountry}`,
+                    { taxProfile: name, destinationCountry }
+                );
+            }
+            kdv = profile.destinationRates[destinationCountry];
+        }
+
+        return {
+            name,
+            description: profile.description || null,
+            kdv,
+            documentRef: documentRef || null,
+            destinationCountry: profile.destinationRates ? destinationCountry : null
+        };
+    }
+}
+
+// Create singleton instance
+const taxProfileService = new TaxProfileService();
+
+export { TaxProfileService, taxProfileService };
+export default taxProfileService;
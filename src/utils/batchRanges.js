@@ -0,0 +1,100 @@
+import { APP_CONSTANTS } from '../config/constants.js';
+
+// Matches range labels such as "0-50", "501-1000" or "51-100 Aralığı"
+const RANGE_LABEL_PATTERN = /^\s*(\d+)\s*-\s*(\d+)/;
+
+/**
+ * Parse a batch range label
+ * @param {*} label - Range label (e.g. '0-50' or '51-100 Aralığı')
+ * @returns {object|null} - { key, min, max } or null if the label is not a range
+ */
+export function parseRange(label) {
+    if (typeof label !== 'string') {
+        return null;
+    }
+
+    const match = label.match(RANGE_LABEL_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const min = Number(match[1]);
+    const max = Number(match[2]);
+    if (min > max) {
+        return null;
+    }
+
+    return { key: `${min}-${max}`, min, max };
+}
+
+/**
+ * Parse a list of range labels, sorted by lower bound
+ * @param {string[]} labels - Range labels
+ * @returns {object[]} - Parsed ranges
+ */
+export function parseRanges(labels = []) {
+    return labels
+        .map(parseRange)
+        .filter(Boolean)
+        .sort((a, b) => a.min - b.min);
+}
+
+/**
+ * Find overlapping ranges in a list
+ * @param {string[]} ranges - Range keys
+ * @returns {string[]} - Descriptions of overlapping pairs
+ */
+export function findOverlappingRanges(ranges = []) {
+    const parsed = parseRanges(ranges);
+    const overlaps = [];
+
+    for (let i = 1; i < parsed.length; i++) {
+        if (parsed[i].min <= parsed[i - 1].max) {
+            overlaps.push(`${parsed[i - 1].key} / ${parsed[i].key}`);
+        }
+    }
+
+    return overlaps;
+}
+
+/**
+ * Find the range containing an order quantity
+ * @param {number} quantity - Order quantity
+ * @param {string[]} ranges - Range keys
+ * @returns {string|null} - Matching range key or null if no range covers it
+ */
+export function findRangeForQuantity(quantity, ranges = []) {
+    const match = parseRanges(ranges).find(range => quantity >= range.min && quantity <= range.max);
+    return match ? match.key : null;
+}
+
+/**
+ * Representative batch size for a range
+ * Uses APP_CONSTANTS.DEFAULT_BATCH where defined, otherwise the range midpoint
+ * @param {string} range - Range key
+ * @returns {number} - Default batch size
+ */
+export function getDefaultBatchSize(range) {
+    if (APP_CONSTANTS.DEFAULT_BATCH[range] !== undefined) {
+        return APP_CONSTANTS.DEFAULT_BATCH[range];
+    }
+
+    const parsed = parseRange(range);
+    if (!parsed) {
+        return null;
+    }
+
+    return Math.max(1, Math.round((parsed.min + parsed.max) / 2));
+}
+
+/**
+ * Build the default batch map for a list of ranges
+ * @param {string[]} ranges - Range keys
+ * @returns {object} - Batch size keyed by range
+ */
+export function buildDefaultBatch(ranges = APP_CONSTANTS.BATCH_RANGES) {
+    return ranges.reduce((batch, range) => {
+        batch[range] = getDefaultBatchSize(range);
+        return batch;
+    }, {});
+}
@@ -224,25 +224,32 @@ export const cacheManager = new CacheManager();
 
 // Cache key generators
 export const CACHE_KEYS = {
-    ODS_DEFAULTS: 'ods:defaults',
+    ODS_DEFAULTS: (template) => (template ? `ods:defaults:${template}` : 'ods:defaults'),
     EXCHANGE_RATES: 'exchange:rates',
     CALCULATION: (inputHash) => `calculation:${inputHash}`,
+    QUOTE: (inputHash) => `quote:${inputHash}`,
     HEALTH_CHECK: 'health:check'
 };
 
 // Helper functions for specific cache operations
 export const cacheHelpers = {
-    // Cache ODS defaults
-    setOdsDefaults(data) {
+    // Cache ODS defaults, one entry per template
+    setOdsDefaults(data, template = null) {
         cacheManager.set(
-            CACHE_KEYS.ODS_DEFAULTS,
+            CACHE_KEYS.ODS_DEFAULTS(template),
             data,
             APP_CONSTANTS.CACHE_EXPIRATION.ODS_DATA
         );
     },
 
-    getOdsDefaults() {
-        return cacheManager.get(CACHE_KEYS.ODS_DEFAULTS);
+    getOdsDefaults(template = null) {
+        return cacheManager.get(CACHE_KEYS.ODS_DEFAULTS(template));
+    },
+
+    clearOdsDefaults() {
+        cacheManager.getKeys()
+            .filter(key => key.startsWith('ods:defaults'))
+            .forEach(key => cacheManager.delete(key));
     },
 
     // Cache exchange rates
@@ -258,6 +265,10 @@ export const cacheHelpers = {
         return cacheManager.get(CACHE_KEYS.EXCHANGE_RATES);
     },
 
+    clearExchangeRates() {
+        cacheManager.delete(CACHE_KEYS.EXCHANGE_RATES);
+    },
+
     // Cache calculation results
     setCalculationResult(inputHash, result) {
         cacheManager.set(
@@ -269,12 +280,32 @@ export const cacheHelpers = {
 
     getCalculationResult(inputHash) {
         return cacheManager.get(CACHE_KEYS.CALCULATION(inputHash));
+    },
+
+    // Cache quote results
+    setQuoteResult(inputHash, result) {
+        cacheManager.set(
+            CACHE_KEYS.QUOTE(inputHash),
+            result,
+            APP_CONSTANTS.CACHE_EXPIRATION.CALCULATION_RESULTS
+        );
+    },
+
+    getQuoteResult(inputHash) {
+        return cacheManager.get(CACHE_KEYS.QUOTE(inputHash));
+    },
+
+    // Drop calculation and quote results, e.g. after the defaults changed
+    clearCalculationResults() {
+        cacheManager.getKeys()
+            .filter(key => key.startsWith('calculation:') || key.startsWith('quote:'))
+            .forEach(key => cacheManager.delete(key));
     }
 };
 
-// Start cleanup interval (every 5 minutes)
+// Start cleanup interval (every 5 minutes); unref'd so it never keeps the process alive on its own
 setInterval(() => {
     cacheManager.cleanExpired();
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 export default cacheManager;
\ No newline at end of file
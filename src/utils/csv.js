@@ -0,0 +1,114 @@
+/**
+ * Minimal RFC 4180 CSV reader/writer
+ * Supports quoted fields, escaped quotes and both "," and ";" delimiters
+ * (LibreOffice/Excel with Turkish locale export ";" separated files)
+ */
+
+/**
+ * Detect the delimiter from the header line
+ * @param {string} text - CSV content
+ * @returns {string} - ',' or ';'
+ */
+export function detectDelimiter(text) {
+    const headerLine = text.split(/\r?\n/, 1)[0] || '';
+    const semicolons = (headerLine.match(/;/g) || []).length;
+    const commas = (headerLine.match(/,/g) || []).length;
+    return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter (detected if omitted)
+ * @returns {string[][]} - Rows, blank lines skipped
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - CSV content
+ * @returns {object[]} - One object per data row
+ */
+export function parseCsvObjects(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const keys = header.map(key => key.trim());
+
+    return rows.map(fields => keys.reduce((record, key, index) => {
+        if (key) {
+            record[key] = (fields[index] ?? '').trim();
+        }
+        return record;
+    }, {}));
+}
+
+/**
+ * Serialize rows of values to CSV
+ * Text starting like a formula (=, +, -, @, tab or CR) is prefixed with ' so spreadsheet
+ * applications show it as text instead of running it; numbers are written as they are
+ * @param {Array[]} rows - Rows of values
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - CSV content
+ */
+export function toCsv(rows, delimiter = ',') {
+    const escape = (value) => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        let str = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) {
+            str = `'${str}`;
+        }
+        return /["\r\n]/.test(str) || str.includes(delimiter)
+            ? `"${str.replace(/"/g, '""')}"`
+            : str;
+    };
+
+    return rows.map(row => row.map(escape).join(delimiter)).join('\r\n') + '\r\n';
+}
@@ -47,6 +47,25 @@ export class FileParseError extends AppError {
     }
 }
 
+// ODS sheet does not contain the labels of the layout file
+export class OdsLayoutError extends FileParseError {
+    constructor(filePath, sheetName, missingLabels) {
+        super(filePath, `Labels not found in sheet "${sheetName}"`);
+        this.message = `Labels not found in sheet "${sheetName}": ` +
+            missingLabels.map(({ key, label }) => `${label} (${key})`).join(', ');
+        this.sheetName = sheetName;
+        this.missingLabels = missingLabels.map(({ key, label }) => ({ key, label }));
+    }
+}
+
+// Resource lookup error
+export class NotFoundError extends AppError {
+    constructor(resource, id) {
+        super(`${resource} not found: ${id}`, HTTP_STATUS.NOT_FOUND);
+        this.resource = resource;
+    }
+}
+
 // Calculation errors
 export class CalculationError extends AppError {
     constructor(message, calculationData = null) {
@@ -127,6 +146,10 @@ export function formatErrorResponse(error, includeStack = false) {
         response.error.filePath = error.filePath;
     }
 
+    if (error instanceof OdsLayoutError) {
+        response.error.missingLabels = error.missingLabels;
+    }
+
     if (error instanceof ExternalApiError) {
         response.error.service = error.service;
     }
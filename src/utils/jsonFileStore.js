@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { FileParseError } from './errors.js';
+
+/**
+ * Write to a temporary file first so a failed write never leaves a truncated file
+ * @param {string} filePath - Target file
+ * @param {string|Buffer} content - File content
+ */
+export async function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * JSON file holding a whole collection, loaded once and rewritten on every change
+ * Callers change the loaded value in place and call save()
+ */
+export class JsonFileStore {
+    /**
+     * @param {string} filePath - JSON file
+     * @param {function} createEmpty - Value used while the file does not exist
+     */
+    constructor(filePath, createEmpty = () => []) {
+        this.filePath = filePath;
+        this.createEmpty = createEmpty;
+        this.loading = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Read the file once; concurrent first calls share the same read
+     * @returns {Promise<*>} - Stored value
+     */
+    load() {
+        if (!this.loading) {
+            // A failed read is retried by the next call
+            this.loading = this.read().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    async read() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new FileParseError(this.filePath, error.message);
+            }
+            return this.createEmpty();
+        }
+    }
+
+    /**
+     * Write the loaded value to disk, serialising concurrent writes
+     */
+    async save() {
+        const data = await this.load();
+        const write = this.writeQueue.then(() => writeFileAtomic(this.filePath, JSON.stringify(data, null, 2)));
+
+        // Keep the queue usable after a failed write
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+}
+
+export default JsonFileStore;
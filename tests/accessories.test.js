@@ -0,0 +1,54 @@
+import fs from 'fs';
+import { calculator } from '../src/services/calculator.js';
+
+const params = JSON.parse(fs.readFileSync(new URL('./fixtures/standard-pipeline-params.json', import.meta.url), 'utf8'));
+
+describe('accessories', () => {
+    const { EUR, USD, GBP } = params.rates;
+    const accessories = [
+        { name: 'Düğme', quantity: 6, unit_price: 0.05, currency: 'EUR' },
+        { name: 'Fermuar', quantity: 2, unit_price: 0.5, currency: 'USD' },
+        { name: 'Etiket', quantity: 1, unit_price: 0.2, currency: 'GBP' },
+        { name: 'Poşet', quantity: 4, unit_price: 1.5, currency: 'TRY' }
+    ];
+
+    test('are converted to EUR through TRY with params.rates', () => {
+        const costs = calculator.getAccessoryCosts(accessories, params.rates);
+
+        expect(costs.map(({ name, perUnitEur }) => [name, perUnitEur])).toEqual([
+            ['Düğme', expect.closeTo(0.3, 6)],
+            ['Fermuar', expect.closeTo((2 * 0.5 * USD) / EUR, 6)],
+            ['Etiket', expect.closeTo((0.2 * GBP) / EUR, 6)],
+            ['Poşet', expect.closeTo((4 * 1.5) / EUR, 6)]
+        ]);
+    });
+
+    test('are added into the unit cost before overhead', () => {
+        const without = calculator.computeRange('0-50', params);
+        const withAccessories = calculator.computeRange('0-50', { ...params, accessories });
+        const accessoriesEur = calculator.getAccessoryCosts(accessories, params.rates)
+            .reduce((total, { perUnitEur }) => total + perUnitEur, 0);
+
+        expect(withAccessories.accessoriesCostEur).toBeCloseTo(accessoriesEur, 6);
+        expect(withAccessories.perUnitEur).toBeCloseTo(without.perUnitEur + accessoriesEur, 6);
+        expect(withAccessories.hamMaliyetEur).toBeCloseTo(without.hamMaliyetEur + accessoriesEur * params.batch['0-50'], 6);
+
+        // Overhead is a percentage of the raw cost, so it includes the accessories
+        expect(withAccessories.genelGiderEur)
+            .toBeCloseTo(withAccessories.hamMaliyetEur * (params.genel_gider['0-50'] / 100), 6);
+        expect(withAccessories.genelGiderEur).toBeGreaterThan(without.genelGiderEur);
+    });
+
+    test('are listed in the breakdown with their currency', () => {
+        const { breakdown } = calculator.calculateForRange('0-50', { ...params, accessories });
+
+        expect(breakdown.accessories.Fermuar).toEqual({
+            quantity: 2,
+            unitPrice: 0.5,
+            currency: 'USD',
+            perUnitEur: 0.89,
+            totalEur: 22.37,
+            shareOfHamMaliyet: expect.any(Number)
+        });
+    });
+});
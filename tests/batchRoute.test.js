@@ -0,0 +1,78 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import application from '../src/app.js';
+import { parseCsv } from '../src/utils/csv.js';
+
+const app = application.getApp();
+
+// Exported from a Turkish-locale spreadsheet: ";" delimiter and decimal commas
+const csv = [
+    'ref;fabric.unit_eur;karlilik.0-50;batch.0-50',
+    '=SUM(A1);4,5;25;30',
+    'TSHIRT-002;4,2;-5;30',
+    'TSHIRT-003;3,75;20,5;40'
+].join('\n');
+
+describe('POST /api/calculate/batch with a CSV upload', () => {
+    // Failed rows are logged as warnings
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('calculates the good rows and reports the bad one on its own', async () => {
+        const response = await request(app)
+            .post('/api/calculate/batch')
+            .set('Content-Type', 'text/csv')
+            .send(csv);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+
+        const [first, second, third] = response.body.data.rows;
+        expect(first.success).toBe(true);
+        expect(first.ref).toBe('=SUM(A1)');
+        expect(second).toMatchObject({ ref: 'TSHIRT-002', success: false });
+        expect(second.errors[0].field).toBe('karlilik.0-50');
+        expect(third.success).toBe(true);
+        expect(third.result['0-50'].batchSize).toBe(40);
+        expect(third.result['0-50'].fabricCostEur).toBe(3.75);
+    });
+
+    test('escapes formula cells in the CSV download', async () => {
+        const response = await request(app)
+            .post('/api/calculate/batch?format=csv')
+            .set('Content-Type', 'text/csv')
+            .send(csv);
+
+        expect(response.status).toBe(200);
+        expect(response.type).toBe('text/csv');
+
+        const [header, ...lines] = parseCsv(response.text);
+        const column = name => header.indexOf(name);
+
+        const firstRow = lines.filter(line => line[column('row')] === '1');
+        expect(firstRow.length).toBeGreaterThan(0);
+        firstRow.forEach(line => expect(line[column('ref')]).toBe('\'=SUM(A1)'));
+
+        const errorRow = lines.find(line => line[column('row')] === '2');
+        expect(errorRow[column('status')]).toBe('error');
+        expect(errorRow[column('error')]).toMatch(/^karlilik\.0-50: /);
+
+        const thirdRow = lines.find(line => line[column('row')] === '3' && line[column('range')] === '0-50');
+        expect(thirdRow[column('fabricCostEur')]).toBe('3.75');
+    });
+
+    test('accepts the upload with a trailing slash', async () => {
+        const response = await request(app)
+            .post('/api/calculate/batch/')
+            .set('Content-Type', 'text/csv')
+            .send(csv);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.summary.succeeded).toBe(2);
+    });
+});
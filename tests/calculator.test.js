@@ -0,0 +1,97 @@
+import fs from 'fs';
+import { calculator } from '../src/services/calculator.js';
+import { pricingPipeline } from '../src/services/pricingPipeline.js';
+
+const params = JSON.parse(fs.readFileSync(new URL('./fixtures/standard-pipeline-params.json', import.meta.url), 'utf8'));
+
+describe('standard pricing pipeline', () => {
+    // Output of calculateForRange before pricing pipelines existed, for the same parameters
+    const expected = {
+        '0-50': { perUnitFinalEur: 19.32, finalEur: 483.1, finalTry: 18353.13 },
+        '51-100': { perUnitFinalEur: 13.16, finalEur: 987.24, finalTry: 37505.26 },
+        '101-200': { perUnitFinalEur: 11.39, finalEur: 1708.87, finalTry: 64919.89 }
+    };
+
+    test.each(Object.keys(expected))('reproduces the pre-pipeline prices for %s', range => {
+        const result = calculator.calculateForRange(range, params);
+
+        expect(result.perUnitFinalEur).toBe(expected[range].perUnitFinalEur);
+        expect(result.finalEur).toBe(expected[range].finalEur);
+        expect(result.finalTry).toBe(expected[range].finalTry);
+    });
+});
+
+describe('calculator.buildBreakdown', () => {
+    // Each part is rounded to 2 decimals on its own, so a sum may be off by half a cent per part
+    const roundingTolerance = parts => parts * 0.005 + 1e-9;
+    const sum = values => values.reduce((total, value) => total + value, 0);
+
+    describe.each(['standard', 'commission-before-kdv', 'export'])('%s pipeline', pipeline => {
+        test.each(Object.keys(params.batch))('adds up for %s', range => {
+            const result = calculator.calculateForRange(range, { ...params, pipeline });
+            const { operations, finalPriceSplit } = result.breakdown;
+
+            const perUnitEur = Object.values(operations).map(operation => operation.perUnitEur);
+            expect(perUnitEur).toHaveLength(Object.keys(params.operations).length);
+            expect(Math.abs(sum(perUnitEur) - result.perUnitOpsEur)).toBeLessThanOrEqual(roundingTolerance(perUnitEur.length + 1));
+
+            const split = Object.values(finalPriceSplit);
+            expect(Math.abs(sum(split) - 100)).toBeLessThanOrEqual(roundingTolerance(split.length));
+        });
+    });
+});
+
+describe('calculator.solveRange', () => {
+    // [solveFor, targetCurrency, range, target unit price]
+    const cases = [
+        ['karlilik', 'EUR', '0-50', 21],
+        ['fabric', 'USD', '51-100', 17],
+        ['operations', 'EUR', '101-200', 12]
+    ];
+
+    describe.each(['standard', 'commission-before-kdv', 'export'])('%s pipeline', pipeline => {
+        test.each(cases)('solves %s for a %s target in %s', (solveFor, targetCurrency, range, target) => {
+            const pipelineParams = { ...params, pipeline };
+
+            const solution = calculator.solveRange(range, pipelineParams, solveFor, targetCurrency, target);
+
+            expect(solution.feasible).toBe(true);
+
+            // Run the solved value forward on its own; rounding down keeps it just under the target
+            const solvedParams = calculator.getReverseVariable(solveFor).apply(pipelineParams, range, solution.solved);
+            const { perUnit } = calculator.computeRange(range, solvedParams).final[targetCurrency];
+            const nextCent = calculator.getReverseVariable(solveFor).apply(pipelineParams, range, solution.solved + 0.01);
+
+            expect(perUnit).toBeLessThanOrEqual(target);
+            expect(perUnit).toBeCloseTo(target, 1);
+            expect(calculator.computeRange(range, nextCent).final[targetCurrency].perUnit).toBeGreaterThan(target);
+            expect(solution.result.final[targetCurrency].perUnit).toBe(calculator.roundTo2Decimals(perUnit));
+        });
+    });
+
+    test('reports a target below the price at 0% karlilik as unreachable', () => {
+        const solution = calculator.solveRange('0-50', params, 'karlilik', 'EUR', 1);
+
+        expect(solution.feasible).toBe(false);
+        expect(solution.solved).toBeLessThan(0);
+    });
+});
+
+describe('pricingPipeline.checkPipeline', () => {
+    test('rejects karlilik in more than one step, which the reverse calculation cannot solve', () => {
+        const errors = pricingPipeline.checkPipeline('compound', {
+            steps: [
+                { amount: 'karEur', base: ['hamMaliyetEur'], percentage: 'karlilik' },
+                { amount: 'commissionEur', base: ['hamMaliyetEur', 'karEur'], percentage: 'karlilik' }
+            ]
+        });
+
+        expect(errors).toEqual(['compound: karlilik can be the percentage of one step only']);
+    });
+
+    test('accepts the shipped pipelines', () => {
+        pricingPipeline.list().forEach(({ name, steps }) => {
+            expect(pricingPipeline.checkPipeline(name, { steps })).toEqual([]);
+        });
+    });
+});
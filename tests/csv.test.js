@@ -0,0 +1,19 @@
+import { parseCsv, toCsv } from '../src/utils/csv.js';
+
+describe('toCsv', () => {
+    test('prefixes text that a spreadsheet would run as a formula', () => {
+        const csv = toCsv([['=HYPERLINK("http://example.com")', '+1', '-2', '@SUM(A1)', '\tx', 'ACME-01']]);
+
+        expect(parseCsv(csv)).toEqual([[
+            '\'=HYPERLINK("http://example.com")', '\'+1', '\'-2', '\'@SUM(A1)', '\'\tx', 'ACME-01'
+        ]]);
+    });
+
+    test('writes numbers as they are', () => {
+        expect(toCsv([[-12.5, 0, 3]])).toBe('-12.5,0,3\r\n');
+    });
+
+    test('quotes fields with delimiters, quotes and line breaks', () => {
+        expect(toCsv([['a;b', 'say "hi"', 'x\ny']], ';')).toBe('"a;b";"say ""hi""";"x\ny"\r\n');
+    });
+});
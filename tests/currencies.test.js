@@ -0,0 +1,54 @@
+import fs from 'fs';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+// Config is read on first import, so the currency settings go in before the calculator is loaded
+process.env.CURRENCIES = 'EUR,USD,GBP,NOK';
+process.env.DEFAULT_EXCHANGE_RATES = 'NOK=3.20';
+
+const { calculator } = await import('../src/services/calculator.js');
+const { APP_CONSTANTS } = await import('../src/config/constants.js');
+
+const params = JSON.parse(fs.readFileSync(new URL('./fixtures/standard-pipeline-params.json', import.meta.url), 'utf8'));
+
+describe('configured currencies', () => {
+    test('take their fallback rate from DEFAULT_EXCHANGE_RATES', () => {
+        expect(APP_CONSTANTS.PRICE_CURRENCIES).toEqual(['EUR', 'TRY', 'USD', 'GBP', 'NOK']);
+        expect(APP_CONSTANTS.DEFAULT_EXCHANGE_RATES.NOK).toBe(3.2);
+        expect(APP_CONSTANTS.DEFAULT_EXCHANGE_RATES.EUR).toBe(37.99);
+    });
+
+    test('are priced in the final map next to the legacy per-currency fields', () => {
+        const result = calculator.calculateForRange('0-50', { ...params, rates: { ...params.rates, NOK: 3.2 } });
+
+        expect(Object.keys(result.final)).toEqual(['EUR', 'TRY', 'USD', 'GBP', 'NOK']);
+        expect(result.final.NOK.total).toBeCloseTo(18353.13 / 3.2, 1);
+        expect(result.final.NOK.perUnit).toBeCloseTo(18353.13 / 3.2 / 25, 1);
+
+        expect(result.finalEur).toBe(483.1);
+        expect(result.finalTry).toBe(18353.13);
+        expect(result.final.EUR).toEqual({ total: result.finalEur, perUnit: result.perUnitFinalEur });
+        expect(result.final.TRY).toEqual({ total: result.finalTry, perUnit: result.perUnitFinalTry });
+        expect(result.final.USD).toEqual({ total: result.finalUsd, perUnit: result.perUnitFinalUsd });
+        expect(result.final.GBP).toEqual({ total: result.finalGbp, perUnit: result.perUnitFinalGbp });
+        expect(result.finalUsd).toBeCloseTo(18353.13 / 33.99, 1);
+        expect(result.finalGbp).toBeCloseTo(18353.13 / 44.93, 1);
+    });
+
+    test('stop the service at startup only when no source has a rate', () => {
+        const { DEFAULT_EXCHANGE_RATES, STATIC_EXCHANGE_RATES, ...baseEnv } = process.env;
+        const loadConstants = env => spawnSync(process.execPath, ['--input-type=module', '-e', "await import('./src/config/constants.js')"], {
+            cwd: fileURLToPath(new URL('..', import.meta.url)),
+            env: { ...baseEnv, CURRENCIES: 'EUR,USD,GBP,XYZ', ...env },
+            encoding: 'utf8',
+            timeout: 10000
+        });
+
+        const missing = loadConstants({});
+        expect(missing.status).not.toBe(0);
+        expect(missing.stderr).toMatch(/CURRENCIES has no fallback exchange rate for XYZ/);
+
+        expect(loadConstants({ DEFAULT_EXCHANGE_RATES: 'XYZ=1.5' }).status).toBe(0);
+        expect(loadConstants({ STATIC_EXCHANGE_RATES: 'XYZ=1.5' }).status).toBe(0);
+    });
+});
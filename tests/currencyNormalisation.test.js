@@ -0,0 +1,73 @@
+import fs from 'fs';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import application from '../src/app.js';
+import { calculator } from '../src/services/calculator.js';
+
+const params = JSON.parse(fs.readFileSync(new URL('./fixtures/standard-pipeline-params.json', import.meta.url), 'utf8'));
+
+describe('prices in other currencies', () => {
+    const { EUR, USD, GBP } = params.rates;
+
+    test('an operation priced in USD is converted to TRY', () => {
+        const operations = { ...params.operations, 'NAKIŞ USD': { '0-50': 100, currency: 'USD' } };
+
+        const without = calculator.computeRange('0-50', params);
+        const withUsd = calculator.computeRange('0-50', { ...params, operations });
+
+        expect(withUsd.perUnitOpsTry).toBeCloseTo(without.perUnitOpsTry + (100 * USD) / params.batch['0-50'], 6);
+
+        const { breakdown } = calculator.calculateForRange('0-50', { ...params, operations });
+        expect(breakdown.operations['NAKIŞ USD']).toMatchObject({ currency: 'USD', cost: 100, totalTry: 3399 });
+    });
+
+    test('a fabric line priced in GBP is converted to EUR', () => {
+        const fabric = {
+            lines: [
+                { name: 'Ana kumaş', unit_eur: 4.74 },
+                { name: 'Astar', metre_eur: 1.2, consumption_m: 0.5, currency: 'GBP' }
+            ]
+        };
+
+        expect(calculator.getFabricCost(fabric, params.rates)).toBeCloseTo(4.74 + (0.6 * GBP) / EUR, 6);
+    });
+});
+
+describe('POST /api/calculate conversions', () => {
+    // The shipped ODS file lacks optional labels and every calculation is logged
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('lists every conversion with the rate it used', async () => {
+        const response = await request(application.getApp())
+            .post('/api/calculate')
+            .send({
+                rateSource: 'request',
+                rates: { EUR: 40, USD: 35, GBP: 50 },
+                fabric: {
+                    lines: [
+                        { name: 'Ana kumaş', unit_eur: 4.74 },
+                        { name: 'Astar', unit_eur: 0.6, currency: 'GBP' }
+                    ]
+                },
+                accessories: [{ name: 'Fermuar', quantity: 1, unit_price: 0.5, currency: 'USD' }],
+                operations: { 'NAKIŞ USD': { '0-50': 100, currency: 'USD' } }
+            });
+
+        expect(response.status).toBe(200);
+
+        // Items already in their target currency (EUR fabric, TRY operations) are left out
+        expect(response.body.data.metadata.conversions).toEqual([
+            { item: 'fabric.lines.Astar', from: 'GBP', to: 'EUR', rate: 1.25 },
+            { item: 'accessories.Fermuar', from: 'USD', to: 'EUR', rate: 0.875 },
+            { item: 'operations.NAKIŞ USD', from: 'USD', to: 'TRY', rate: 35 }
+        ]);
+        expect(response.body.data.result['0-50'].fabricCostEur).toBe(5.49);
+    });
+});
@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+
+// Config is read on first import, so the tiers go in before the calculator is loaded.
+// The shipped ODS file only has the first three tiers; the others are configured here
+process.env.BATCH_RANGES = '0-50,51-100,101-200,201-500,501-1000';
+
+const { calculator } = await import('../src/services/calculator.js');
+const { CalculationError } = await import('../src/utils/errors.js');
+const { calculateSchema, validateInput } = await import('../src/middleware/validation.js');
+
+describe('tiers configured with BATCH_RANGES', () => {
+    // The shipped ODS file lacks optional labels and failed calculations are logged
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const input = {
+        genel_gider: { '201-500': 8, '501-1000': 6 },
+        karlilik: { '201-500': 12, '501-1000': 10 },
+        batch: { '201-500': 300, '501-1000': 800 },
+        operations: { 'DİKİM TRY': { '201-500': 60000, '501-1000': 120000 } }
+    };
+
+    describe('validation', () => {
+        test('accepts values for the added ranges', () => {
+            const { value, details } = validateInput(calculateSchema, input);
+
+            expect(details).toBeNull();
+            expect(value).toEqual(input);
+        });
+
+        test('rejects a range that is not among the tiers', async () => {
+            await expect(calculator.calculateFromInput({ karlilik: { '1001-2000': 10 } }))
+                .rejects.toThrow('Unknown batch ranges: 1001-2000 (defined: 0-50, 51-100, 101-200, 201-500, 501-1000)');
+        });
+    });
+
+    describe('calculation', () => {
+        test('prices every range, the added ones from the request', async () => {
+            const { result } = await calculator.calculateFromInput(input);
+
+            expect(Object.keys(result)).toEqual(['0-50', '51-100', '101-200', '201-500', '501-1000']);
+
+            const range = result['201-500'];
+            expect(range.batchSize).toBe(300);
+            expect(range.perUnitOpsTry).toBe(200);
+            expect(range.genelGiderEur).toBeCloseTo(range.hamMaliyetEur * 0.08, 1);
+            expect(range.karEur).toBeCloseTo(range.hamMaliyetEur * 0.12, 1);
+            expect(result['501-1000'].perUnitOpsTry).toBe(150);
+            expect(result['501-1000'].karEur).toBeCloseTo(result['501-1000'].hamMaliyetEur * 0.1, 1);
+        });
+
+        test('uses the range midpoint as the default batch of an added range', async () => {
+            const { result } = await calculator.calculateFromInput({});
+
+            expect(result['201-500'].batchSize).toBe(351);
+            expect(result['501-1000'].batchSize).toBe(751);
+        });
+    });
+
+    describe('quotes', () => {
+        test.each([
+            [200, '101-200'],
+            [201, '201-500'],
+            [500, '201-500'],
+            [501, '501-1000'],
+            [1000, '501-1000']
+        ])('prices quantity %i in range %s', async (quantity, range) => {
+            const quote = await calculator.calculateQuote({ quantity });
+
+            expect(quote.range).toBe(range);
+            expect(quote.result.batchSize).toBe(quantity);
+        });
+
+        test('rejects a quantity above the last configured range', async () => {
+            await expect(calculator.calculateQuote({ quantity: 1001 })).rejects.toThrow(CalculationError);
+            await expect(calculator.calculateQuote({ quantity: 1001 })).rejects.toThrow(/defined: .*501-1000\)$/);
+        });
+    });
+});
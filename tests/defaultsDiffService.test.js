@@ -0,0 +1,112 @@
+import { defaultsDiffService } from '../src/services/defaultsDiffService.js';
+import { calculator } from '../src/services/calculator.js';
+
+// Defaults as the parser returns them for one sheet
+const before = {
+    template: 'tisort',
+    rates: { EUR: 37.99, USD: 33.99, GBP: 44.93 },
+    fabric: {
+        price_eur: 3.16,
+        metre_eur: 1.5,
+        unit_eur: 4.74,
+        lines: [
+            { name: 'Ana kumaş', metre_eur: 3.2, consumption_m: 1.1, wastage: 5 },
+            { name: 'Astar', metre_eur: 1.4, consumption_m: 0.6 }
+        ]
+    },
+    accessories: [],
+    batchRanges: ['0-50', '51-100', '101-200'],
+    genel_gider: { '0-50': 12.5, '51-100': 12.5, '101-200': 10 },
+    karlilik: { '0-50': 30, '51-100': 25, '101-200': 15 },
+    KDV: 20,
+    komisyon: 5,
+    operations: {
+        'KESİM TRY': { '0-50': 100, '51-100': 563, '101-200': 100 },
+        'DİKİM TRY': { '0-50': 400, '51-100': 300, '101-200': 400 }
+    }
+};
+
+const after = {
+    ...before,
+    rates: { ...before.rates, EUR: 39.5 },
+    fabric: {
+        ...before.fabric,
+        // Lines are listed in another order; only the lining price changed
+        lines: [
+            { name: 'Astar', metre_eur: 1.6, consumption_m: 0.6 },
+            { name: 'Ana kumaş', metre_eur: 3.2, consumption_m: 1.1, wastage: 5 }
+        ]
+    },
+    genel_gider: { ...before.genel_gider, '51-100': 15 },
+    karlilik: { ...before.karlilik, '101-200': 0 },
+    operations: {
+        'KESİM TRY': { '0-50': 100, '51-100': 563, '101-200': 100 },
+        'DİKİM TRY': { '0-50': 450, '51-100': 300, '101-200': 400, currency: 'USD' }
+    }
+};
+
+describe('defaultsDiffService.diffDefaults', () => {
+    const changes = defaultsDiffService.diffDefaults(before, after);
+    const find = (section, key, range = null) => changes.find(change =>
+        change.section === section && change.key === key && change.range === range);
+
+    test('lists only the values that changed', () => {
+        expect(changes.map(({ section, key, range }) => [section, key, range])).toEqual([
+            ['rates', 'EUR', null],
+            ['fabric.lines', 'Astar.metre_eur', null],
+            ['genel_gider', null, '51-100'],
+            ['karlilik', null, '101-200'],
+            ['operations', 'DİKİM TRY', '0-50'],
+            ['operations', 'DİKİM TRY.currency', null]
+        ]);
+    });
+
+    test('reports the old and new value with absolute and percentage deltas', () => {
+        expect(find('rates', 'EUR')).toMatchObject({ from: 37.99, to: 39.5, delta: 1.51, deltaPercent: 3.97 });
+        expect(find('fabric.lines', 'Astar.metre_eur')).toMatchObject({ from: 1.4, to: 1.6, delta: 0.2, deltaPercent: 14.29 });
+        expect(find('genel_gider', null, '51-100')).toMatchObject({ from: 12.5, to: 15, delta: 2.5, deltaPercent: 20 });
+        expect(find('karlilik', null, '101-200')).toMatchObject({ from: 15, to: 0, delta: -15, deltaPercent: -100 });
+        expect(find('operations', 'DİKİM TRY', '0-50')).toMatchObject({ from: 400, to: 450, delta: 50, deltaPercent: 12.5 });
+    });
+
+    test('reports a currency change without deltas', () => {
+        expect(find('operations', 'DİKİM TRY.currency')).toEqual({
+            section: 'operations',
+            key: 'DİKİM TRY.currency',
+            range: null,
+            from: null,
+            to: 'USD',
+            delta: null,
+            deltaPercent: null
+        });
+    });
+});
+
+describe('defaultsDiffService.diffTemplate', () => {
+    test('marks templates that exist on one side only', () => {
+        expect(defaultsDiffService.diffTemplate('tisort', undefined, after)).toEqual({
+            template: 'tisort', status: 'added', changes: [], impact: {}
+        });
+        expect(defaultsDiffService.diffTemplate('tisort', before, undefined)).toMatchObject({ status: 'removed' });
+        expect(defaultsDiffService.diffTemplate('tisort', before, before)).toMatchObject({ status: 'unchanged', impact: {} });
+    });
+
+    test('estimates the per-range impact from a forward calculation of each side', () => {
+        const calculate = defaults => calculator.performCalculations(calculator.mergeParameters(defaults, {}, {}));
+        const oldResults = calculate(before);
+        const newResults = calculate(after);
+
+        const { status, impact } = defaultsDiffService.diffTemplate('tisort', before, after);
+
+        expect(status).toBe('changed');
+        expect(Object.keys(impact)).toEqual(before.batchRanges);
+        before.batchRanges.forEach(range => {
+            const from = oldResults[range].perUnitFinalEur;
+            const to = newResults[range].perUnitFinalEur;
+            expect(impact[range].from).toBe(from);
+            expect(impact[range].to).toBe(to);
+            expect(impact[range].delta).toBeCloseTo(to - from, 4);
+            expect(from).not.toBe(to);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import XLSX from 'xlsx';
+import { jest } from '@jest/globals';
+import { DefaultsVersionService } from '../src/services/defaultsVersionService.js';
+import { cacheManager } from '../src/utils/cache.js';
+import { NotFoundError, ValidationError } from '../src/utils/errors.js';
+
+const shippedFile = fs.readFileSync(new URL('../src/data/final_maliyet_sistemi.ods', import.meta.url));
+const fixtureRows = JSON.parse(fs.readFileSync(new URL('./fixtures/defaults-sheet.json', import.meta.url), 'utf8'));
+
+const writeWorkbook = rows => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Maliyet Sistemi');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'ods' });
+};
+
+describe('DefaultsVersionService', () => {
+    let directory;
+    let odsPath;
+    let service;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'defaults-versions-'));
+        odsPath = path.join(directory, 'active.ods');
+        fs.writeFileSync(odsPath, shippedFile);
+        service = new DefaultsVersionService({ odsPath, directory: path.join(directory, 'versions') });
+
+        // Rejected workbooks and replaced files are logged
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        cacheManager.clear();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('rejects a workbook that does not validate and leaves ODS_PATH alone', async () => {
+        const invalid = writeWorkbook(fixtureRows.filter(row => row[0] !== 'KDV Oranı (%)'));
+
+        await expect(service.upload(invalid, { fileName: 'broken.ods' })).rejects.toThrow(ValidationError);
+
+        expect(fs.readFileSync(odsPath).equals(shippedFile)).toBe(true);
+        expect((await service.list()).versions).toEqual([]);
+    });
+
+    test('reuses the stored version when the same file is uploaded again', async () => {
+        const workbook = writeWorkbook(fixtureRows);
+
+        const first = await service.upload(workbook, { fileName: 'fiyatlar.ods' });
+        const second = await service.upload(workbook, { fileName: 'fiyatlar-kopya.ods' });
+        const { activeId, versions } = await service.list();
+
+        expect(second.id).toBe(first.id);
+        expect(second.fileName).toBe('fiyatlar.ods');
+        expect(activeId).toBe(first.id);
+        // The file in place before the first upload plus the upload
+        expect(versions.map(version => version.source).sort()).toEqual(['external', 'upload']);
+        expect(fs.readdirSync(path.join(directory, 'versions')).filter(name => name.endsWith('.ods'))).toHaveLength(2);
+    });
+
+    test('activating a version copies it over ODS_PATH and clears stale cache entries', async () => {
+        await service.upload(writeWorkbook(fixtureRows), { fileName: 'fiyatlar.ods' });
+        const { versions } = await service.list();
+        const original = versions.find(version => version.source === 'external');
+
+        ['ods:defaults', 'ods:defaults:kapusonlu-sweat', 'calculation:abc', 'quote:abc', 'exchange:rates']
+            .forEach(key => cacheManager.set(key, { cached: true }, 60));
+
+        const activated = await service.activate(original.id);
+
+        expect(activated.active).toBe(true);
+        expect(fs.readFileSync(odsPath).equals(shippedFile)).toBe(true);
+        expect(cacheManager.getKeys()).toEqual(['exchange:rates']);
+    });
+
+    test('rejects an unknown version ID with 404', async () => {
+        const activating = service.activate('V-20250101-00000000');
+
+        await expect(activating).rejects.toThrow(NotFoundError);
+        await expect(activating).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import { calculator } from '../src/services/calculator.js';
+
+const params = JSON.parse(fs.readFileSync(new URL('./fixtures/standard-pipeline-params.json', import.meta.url), 'utf8'));
+
+describe('fabric lines', () => {
+    const fabric = {
+        lines: [
+            { name: 'Ana kumaş', metre_eur: 3.2, consumption_m: 1.1, width_cm: 150, wastage: 5 },
+            { name: 'Astar', metre_eur: 1.4, consumption_m: 0.6 }
+        ]
+    };
+
+    test('price each line as consumption x metre price x (1 + wastage)', () => {
+        const lines = calculator.getFabricLines(fabric, params.rates);
+
+        // 1.1 m x 3.20 EUR x 1.05 and 0.6 m x 1.40 EUR without wastage
+        expect(lines.map(({ name, unitEur }) => [name, unitEur])).toEqual([
+            ['Ana kumaş', expect.closeTo(3.696, 6)],
+            ['Astar', expect.closeTo(0.84, 6)]
+        ]);
+        expect(calculator.getFabricCost(fabric, params.rates)).toBeCloseTo(4.536, 6);
+    });
+
+    test('add up into the fabric cost and the breakdown of a range', () => {
+        const result = calculator.calculateForRange('0-50', { ...params, fabric });
+
+        expect(result.fabricCostEur).toBe(4.54);
+        expect(result.breakdown.fabric.perUnitEur).toBe(4.54);
+        expect(result.breakdown.fabric.lines['Ana kumaş']).toMatchObject({
+            metre_eur: 3.2,
+            consumption_m: 1.1,
+            width_cm: 150,
+            wastage: 5,
+            perUnitEur: 3.7,
+            totalEur: 92.4
+        });
+        expect(result.breakdown.fabric.lines.Astar).toMatchObject({ perUnitEur: 0.84, totalEur: 21 });
+    });
+
+    test('leave the price of a unit_eur-only fabric as it was', () => {
+        // Prices from before fabric lines existed, for the same parameters
+        const expected = { '0-50': 19.32, '51-100': 13.16, '101-200': 11.39 };
+
+        Object.entries(expected).forEach(([range, perUnitFinalEur]) => {
+            const result = calculator.calculateForRange(range, params);
+
+            expect(result.fabricCostEur).toBe(4.74);
+            expect(result.perUnitFinalEur).toBe(perUnitFinalEur);
+            expect(Object.keys(result.breakdown.fabric.lines)).toHaveLength(1);
+        });
+    });
+});
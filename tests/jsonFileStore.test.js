@@ -0,0 +1,52 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFileStore } from '../src/utils/jsonFileStore.js';
+import { FileParseError } from '../src/utils/errors.js';
+
+describe('JsonFileStore', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('starts empty and creates the file on the first save', async () => {
+        const filePath = path.join(directory, 'nested', 'items.json');
+        const store = new JsonFileStore(filePath);
+
+        (await store.load()).push({ id: 1 });
+        await store.save();
+
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual([{ id: 1 }]);
+        expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    });
+
+    test('shares one read between concurrent first loads', async () => {
+        const filePath = path.join(directory, 'items.json');
+        const store = new JsonFileStore(filePath);
+
+        const [first, second] = await Promise.all([store.load(), store.load()]);
+        first.push({ id: 1 });
+        second.push({ id: 2 });
+        await Promise.all([store.save(), store.save()]);
+
+        expect(first).toBe(second);
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual([{ id: 1 }, { id: 2 }]);
+    });
+
+    test('rejects a corrupt file and reads it again on the next load', async () => {
+        const filePath = path.join(directory, 'items.json');
+        fs.writeFileSync(filePath, '{ not json');
+        const store = new JsonFileStore(filePath);
+
+        await expect(store.load()).rejects.toThrow(FileParseError);
+
+        fs.writeFileSync(filePath, '[{"id":1}]');
+        await expect(store.load()).resolves.toEqual([{ id: 1 }]);
+    });
+});
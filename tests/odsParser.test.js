@@ -0,0 +1,111 @@
+import fs from 'fs';
+import XLSX from 'xlsx';
+import { jest } from '@jest/globals';
+import { odsParser } from '../src/services/odsParser.js';
+import { OdsLayoutError } from '../src/utils/errors.js';
+
+// One sheet laid out like src/data/final_maliyet_sistemi.ods, cut down to two operations
+const fixtureRows = JSON.parse(fs.readFileSync(new URL('./fixtures/defaults-sheet.json', import.meta.url), 'utf8'));
+
+const createWorkbook = rows => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Maliyet Sistemi');
+    return workbook;
+};
+
+const rowIndex = label => fixtureRows.findIndex(row => row[0] === label);
+
+const insertRowAbove = (label, row) => {
+    const rows = fixtureRows.map(cells => [...cells]);
+    rows.splice(rowIndex(label), 0, row);
+    return rows;
+};
+
+const removeRow = label => fixtureRows.filter(row => row[0] !== label);
+
+// Blank a label and its value, leaving the rest of the row in place
+const clearLabel = label => fixtureRows.map(row => (row[0] === label ? [null, null, ...row.slice(2)] : row));
+
+describe('odsParser.extractDefaults', () => {
+    // Missing optional labels are logged as warnings
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const expectFixtureValues = defaults => {
+        expect(defaults.rates).toEqual({ EUR: 37.99, USD: 33.99, GBP: 44.93 });
+        expect(defaults.fabric).toEqual({ price_eur: 3.16, metre_eur: 1.5, unit_eur: 4.74 });
+        expect(defaults.batchRanges).toEqual(['0-50', '51-100', '101-200']);
+        expect(defaults.genel_gider).toEqual({ '0-50': 12.5, '51-100': 12.5, '101-200': 10 });
+        expect(defaults.karlilik).toEqual({ '0-50': 30, '51-100': 25, '101-200': 15 });
+        expect(defaults.KDV).toBe(20);
+        expect(defaults.komisyon).toBe(5);
+        expect(defaults.operations).toEqual({
+            'KESİM TRY': { '0-50': 100, '51-100': 563, '101-200': 100 },
+            'DİKİM TRY': { '0-50': 400, '51-100': 300, '101-200': 400 }
+        });
+    };
+
+    test('reads every value of the fixture sheet', () => {
+        const report = {};
+
+        expectFixtureValues(odsParser.extractDefaults(createWorkbook(fixtureRows), 'Maliyet Sistemi', report));
+        expect(report.defaultedRates).toEqual([]);
+    });
+
+    test('finds KDV after a row is inserted above it', () => {
+        const rows = insertRowAbove('KDV Oranı (%)', ['Not', 'Fiyatlar 2025 için']);
+
+        expectFixtureValues(odsParser.extractDefaults(createWorkbook(rows)));
+    });
+
+    test('finds the operations table after a row is inserted above it', () => {
+        const rows = insertRowAbove('İŞLEMLER VE İŞÇİLİK', ['Hazırlayan', 'Planlama']);
+
+        expectFixtureValues(odsParser.extractDefaults(createWorkbook(rows)));
+    });
+
+    test('names a missing required label', () => {
+        let error;
+        try {
+            odsParser.extractDefaults(createWorkbook(removeRow('KDV Oranı (%)')));
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).toBeInstanceOf(OdsLayoutError);
+        expect(error.message).toMatch(/KDV Oranı \(KDV\)/);
+        expect(error.sheetName).toBe('Maliyet Sistemi');
+        expect(error.missingLabels).toEqual([{ key: 'KDV', label: 'KDV Oranı' }]);
+    });
+
+    test('reports a missing optional label and falls back to the built-in rate', () => {
+        const report = {};
+
+        const defaults = odsParser.extractDefaults(createWorkbook(clearLabel('USD KUR')), 'Maliyet Sistemi', report);
+
+        expect(report.missingLabels).toContainEqual({ key: 'rates.USD', label: 'USD KUR' });
+        expect(report.defaultedRates).toEqual(['USD']);
+        expect(defaults.rates.USD).toBeGreaterThan(0);
+    });
+
+    test('reads the ranges from the "İŞLEM" header, not the "İŞLEMLER" title above it', () => {
+        const { templates, errors } = odsParser.parseWorkbookDefaults(
+            fs.readFileSync(new URL('../src/data/final_maliyet_sistemi.ods', import.meta.url))
+        );
+        const [{ defaults }] = templates;
+
+        expect(errors).toEqual([]);
+        expect(defaults.batchRanges).toEqual(['0-50', '51-100', '101-200']);
+        ['51-100', '101-200'].forEach(range => {
+            expect(defaults.genel_gider[range]).toBeGreaterThan(0);
+            expect(defaults.karlilik[range]).toBeGreaterThan(0);
+        });
+        expect(defaults.operations['KESİM TRY']).toEqual({ '0-50': 100, '51-100': 563, '101-200': 100 });
+    });
+});
@@ -0,0 +1,58 @@
+import request from 'supertest';
+import PDFDocument from 'pdfkit';
+import { jest } from '@jest/globals';
+import application from '../src/app.js';
+import { PdfService } from '../src/services/pdfService.js';
+
+describe('PdfService.text', () => {
+    test('replaces the Turkish letters Helvetica cannot render when PDF_FONT_PATH is unset', () => {
+        const service = new PdfService();
+        service.fontPath = undefined;
+
+        expect(service.text('İŞ ĞÜÇ ışığı')).toBe('IS GÜÇ isigi');
+        expect(service.text(null)).toBe('');
+    });
+
+    test('keeps the text as it is with a configured font', () => {
+        const service = new PdfService();
+        service.fontPath = '/fonts/DejaVuSans.ttf';
+
+        expect(service.text('İŞ ĞÜÇ ışığı')).toBe('İŞ ĞÜÇ ışığı');
+    });
+});
+
+describe('GET /api/quotes/:id/pdf', () => {
+    // The shipped ODS file lacks optional labels and every calculation is logged
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('returns the quote as a PDF with the Turkish letters replaced', async () => {
+        const app = application.getApp();
+        const calculation = await request(app)
+            .post('/api/calculate')
+            .send({ customerRef: 'Şişli Ağ' });
+        const { quoteId } = calculation.body.data.metadata;
+
+        const text = jest.spyOn(PDFDocument.prototype, 'text');
+        const response = await request(app)
+            .get(`/api/quotes/${quoteId}/pdf`)
+            .responseType('blob');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^application\/pdf/);
+        expect(response.headers['content-disposition']).toBe(`attachment; filename="${quoteId}.pdf"`);
+        expect(response.body.subarray(0, 4).toString()).toBe('%PDF');
+
+        const printed = text.mock.calls.map(([value]) => value);
+        expect(printed).toContain('Customer reference: Sisli Ag');
+        // Operation names from the ODS file
+        expect(printed).toContain('KESIM TRY');
+        expect(printed.join('\n')).not.toMatch(/[İıŞşĞğ]/);
+    });
+});
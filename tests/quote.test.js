@@ -0,0 +1,46 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import application from '../src/app.js';
+import { calculator } from '../src/services/calculator.js';
+import { CalculationError } from '../src/utils/errors.js';
+
+describe('calculator.calculateQuote', () => {
+    // The shipped ODS file lacks optional labels and failed quotes are logged
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test.each([
+        [1, '0-50'],
+        [50, '0-50'],
+        [51, '51-100'],
+        [100, '51-100'],
+        [101, '101-200'],
+        [200, '101-200']
+    ])('prices quantity %i in range %s', async (quantity, range) => {
+        const quote = await calculator.calculateQuote({ quantity });
+
+        expect(quote.range).toBe(range);
+        expect(quote.result.batchSize).toBe(quantity);
+        expect(quote.quote.perUnitEur).toBeCloseTo(quote.quote.totalEur / quantity, 1);
+    });
+
+    test('rejects a quantity above every range', async () => {
+        await expect(calculator.calculateQuote({ quantity: 201 })).rejects.toThrow(CalculationError);
+        await expect(calculator.calculateQuote({ quantity: 201 })).rejects.toThrow('No batch range covers quantity 201 (defined: 0-50, 51-100, 101-200)');
+    });
+
+    test('answers 422 for a quantity above every range', async () => {
+        const response = await request(application.getApp())
+            .post('/api/calculate/quote')
+            .send({ quantity: 201 });
+
+        expect(response.status).toBe(422);
+        expect(response.body.success).toBe(false);
+    });
+});
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import application from '../src/app.js';
+import { QuoteRepository } from '../src/services/quoteRepository.js';
+
+describe('QuoteRepository', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'quote-repository-'));
+        filePath = path.join(directory, 'quotes.json');
+
+        // Every saved quote is logged
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('reads a saved quote back by ID with its parameters and ODS time', async () => {
+        const params = { KDV: 20, komisyon: 5, batchRanges: ['0-50'], rates: { EUR: 37.99 } };
+        const saved = await new QuoteRepository({ filePath }).save({
+            input: { KDV: 20 },
+            params,
+            result: { '0-50': { perUnitFinalEur: 111.53 } },
+            metadata: { inputHash: 'abc' },
+            customerRef: 'ACME-001',
+            odsModifiedAt: '2025-01-10T08:00:00.000Z'
+        });
+
+        // A new instance reads the file instead of the loaded list
+        const quote = await new QuoteRepository({ filePath }).findById(saved.id);
+
+        expect(saved.id).toMatch(/^Q-\d{8}-[0-9a-f]{8}$/);
+        expect(quote).toEqual(saved);
+        expect(quote.params).toEqual(params);
+        expect(quote.odsModifiedAt).toBe('2025-01-10T08:00:00.000Z');
+        expect(quote.customerRef).toBe('ACME-001');
+    });
+
+    test('finds nothing for an unknown ID', async () => {
+        expect(await new QuoteRepository({ filePath }).findById('Q-20250101-00000000')).toBeNull();
+    });
+
+    test('filters by date and customer, newest first', async () => {
+        const quote = (id, createdAt, customerRef) => ({ id, createdAt, customerRef, params: {}, result: {} });
+        fs.writeFileSync(filePath, JSON.stringify([
+            quote('Q-20250105-00000001', '2025-01-05T10:00:00.000Z', 'ACME-001'),
+            quote('Q-20250110-00000002', '2025-01-10T23:30:00.000Z', 'OTHER-002'),
+            quote('Q-20250115-00000003', '2025-01-15T09:00:00.000Z', 'ACME-001'),
+            quote('Q-20250120-00000004', '2025-01-20T09:00:00.000Z', 'ACME-001')
+        ]));
+        const repository = new QuoteRepository({ filePath });
+        const ids = async filters => (await repository.find(filters)).quotes.map(({ id }) => id);
+
+        expect(await ids({})).toEqual(['Q-20250120-00000004', 'Q-20250115-00000003', 'Q-20250110-00000002', 'Q-20250105-00000001']);
+        // A plain "to" date includes the whole day
+        expect(await ids({ from: '2025-01-06', to: '2025-01-15' })).toEqual(['Q-20250115-00000003', 'Q-20250110-00000002']);
+        expect(await ids({ customerRef: 'ACME-001', to: '2025-01-15' })).toEqual(['Q-20250115-00000003', 'Q-20250105-00000001']);
+        expect(await repository.find({ customerRef: 'ACME-001', limit: 1, offset: 1 })).toMatchObject({
+            total: 3,
+            quotes: [{ id: 'Q-20250115-00000003' }]
+        });
+    });
+
+    test('GET /api/quotes/:id answers 404 for an unknown ID', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const response = await request(application.getApp()).get('/api/quotes/Q-20250101-00000000');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error.message).toBe('Quote not found: Q-20250101-00000000');
+    });
+});
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { RateOverrideService } from '../src/services/rateOverrideService.js';
+import { rateOverrideSchema } from '../src/middleware/validation.js';
+
+const rates = { EUR: 37.99, USD: 33.99, GBP: 44.93 };
+
+const day = offset => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe('RateOverrideService', () => {
+    let directory;
+    let filePath;
+    let service;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-overrides-'));
+        filePath = path.join(directory, 'rate-overrides.json');
+        service = new RateOverrideService({ filePath });
+
+        // Every pin is logged
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // A pin set before today; set() refuses a validUntil in the past
+    const writeEarlierPin = override => {
+        fs.writeFileSync(filePath, JSON.stringify([{
+            id: 'RO-20250101-00000000',
+            createdAt: '2025-01-01T09:00:00.000Z',
+            scope: 'global',
+            customerRef: null,
+            reason: 'Earlier season',
+            ...override
+        }]));
+    };
+
+    test('customer pins win over global pins for that customer only', async () => {
+        await service.set({ rates: { EUR: 38, USD: 34.5 }, reason: 'Season rate' });
+        await service.set({ rates: { EUR: 39 }, scope: 'customer', customerRef: 'ACME-001', reason: 'Contract' });
+
+        const forCustomer = await service.apply(rates, 'ACME-001');
+        const forOthers = await service.apply(rates, 'OTHER-002');
+
+        expect(forCustomer.rates).toEqual({ EUR: 39, USD: 34.5, GBP: 44.93 });
+        expect(forCustomer.applied.find(pin => pin.currency === 'EUR')).toMatchObject({ scope: 'customer', replaced: 37.99 });
+        expect(forOthers.rates).toEqual({ EUR: 38, USD: 34.5, GBP: 44.93 });
+    });
+
+    test('applies a pin through its validUntil day', async () => {
+        await service.set({ rates: { EUR: 38 }, validUntil: day(0), reason: 'Until today' });
+
+        expect((await service.apply(rates)).rates.EUR).toBe(38);
+    });
+
+    test('stops applying a pin after its validUntil day', async () => {
+        writeEarlierPin({ rates: { EUR: 38 }, validUntil: day(-1) });
+
+        expect(await service.apply(rates)).toEqual({ rates, applied: [] });
+    });
+
+    test('rejects a validUntil in the past', async () => {
+        await expect(service.set({ rates: { EUR: 38 }, validUntil: day(-1), reason: 'Late' }))
+            .rejects.toThrow('validUntil must not be in the past');
+    });
+
+    test('lists each pin with its status, newest first', async () => {
+        writeEarlierPin({ rates: { EUR: 37 }, scope: 'customer', customerRef: 'ACME-001', validUntil: day(-1) });
+        const replaced = await service.set({ rates: { EUR: 38 }, reason: 'First' });
+        const current = await service.set({ rates: { EUR: 38.5 }, reason: 'Second' });
+
+        const list = await service.list();
+
+        expect(list.map(({ id, status }) => [id, status])).toEqual([
+            [current.id, 'active'],
+            [replaced.id, 'superseded'],
+            ['RO-20250101-00000000', 'expired']
+        ]);
+        expect((await service.list({ customerRef: 'ACME-001' })).map(override => override.status)).toEqual(['expired']);
+    });
+
+    test('empty rates clear what the scope pinned', async () => {
+        await service.set({ rates: { EUR: 38 }, reason: 'Season rate' });
+        await service.set({ rates: { EUR: 39 }, scope: 'customer', customerRef: 'ACME-001', reason: 'Contract' });
+
+        const { value, error } = rateOverrideSchema.validate({ rates: {}, reason: 'Season over' });
+        expect(error).toBeUndefined();
+        await service.set(value);
+
+        expect(await service.apply(rates)).toEqual({ rates, applied: [] });
+        expect((await service.apply(rates, 'ACME-001')).rates.EUR).toBe(39);
+    });
+});
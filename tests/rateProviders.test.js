@@ -0,0 +1,142 @@
+import fs from 'fs';
+import { jest } from '@jest/globals';
+import { ExchangeRateApiProvider, TcmbProvider, createRateProviders } from '../src/services/rateProviders.js';
+import { ExchangeRateService } from '../src/services/exchangeRateService.js';
+import { ExternalApiError } from '../src/utils/errors.js';
+
+// Responses recorded from the providers, trimmed to a few currencies
+const readFixture = name => fs.readFileSync(new URL(`./fixtures/rate-providers/${name}`, import.meta.url), 'utf8');
+const tcmbXml = readFixture('tcmb-today.xml');
+const exchangeRateApiJson = JSON.parse(readFixture('exchangerate-api-v6.json'));
+const exchangeRateApiError = JSON.parse(readFixture('exchangerate-api-error.json'));
+
+describe('TcmbProvider.parse', () => {
+    test('reads the forex selling rate of the supported currencies', () => {
+        const rates = new TcmbProvider({ http: null }).parse(tcmbXml);
+
+        expect(rates).toEqual({ EUR: 36.6922, USD: 35.593, GBP: 43.5823 });
+    });
+
+    test('reads the configured rate type', () => {
+        const rates = new TcmbProvider({ http: null, rateType: 'BanknoteBuying' }).parse(tcmbXml);
+
+        expect(rates.EUR).toBe(36.6006);
+    });
+
+    test('divides rates quoted per Unit down to one unit', () => {
+        const provider = new TcmbProvider({ http: null });
+        // JPY is quoted per 100 yen in the bulletin
+        const xml = tcmbXml.replace('CurrencyCode="USD"', 'CurrencyCode="XXX"').replace('CurrencyCode="JPY"', 'CurrencyCode="USD"');
+
+        expect(provider.parse(xml).USD).toBeCloseTo(0.228802, 6);
+    });
+
+    test('rejects a response that is not a bulletin', () => {
+        expect(() => new TcmbProvider({ http: null }).parse('<html></html>')).toThrow('Invalid TCMB response format');
+    });
+});
+
+describe('ExchangeRateApiProvider.parse', () => {
+    const provider = new ExchangeRateApiProvider({ http: null, apiKey: 'test-key' });
+
+    test('inverts v6 conversion rates into TRY per unit', () => {
+        const rates = provider.parse(exchangeRateApiJson);
+
+        expect(Object.keys(rates).sort()).toEqual(['EUR', 'GBP', 'USD']);
+        expect(rates.EUR).toBeCloseTo(1 / 0.02725, 6);
+        expect(rates.USD).toBeCloseTo(1 / 0.02812, 6);
+        expect(rates.GBP).toBeCloseTo(1 / 0.02296, 6);
+    });
+
+    test('reports the error type of an error payload', () => {
+        expect(() => provider.parse(exchangeRateApiError)).toThrow('Exchange Rate API error: invalid-key');
+    });
+});
+
+describe('ExchangeRateService.fetchRatesWithFailover', () => {
+    const staticRates = { EUR: 38.1, USD: 34.2, GBP: 45 };
+
+    // Failed attempts are logged as warnings and errors
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createService = responses => {
+        const http = {
+            get: jest.fn(async url => {
+                const respond = responses[url.includes('tcmb.gov.tr') ? 'tcmb' : 'exchangerate-api'];
+                return { data: respond() };
+            })
+        };
+        const service = new ExchangeRateService();
+        service.retryDelay = 0;
+        const providers = createRateProviders(['exchangerate-api', 'tcmb', 'static'], {
+            http,
+            apiKey: 'test-key',
+            staticRates
+        });
+        return { service, http, providers };
+    };
+
+    const failing = () => {
+        throw new Error('connect ECONNREFUSED');
+    };
+
+    test('uses the first provider that answers', async () => {
+        const { service, http, providers } = createService({
+            'exchangerate-api': () => exchangeRateApiJson,
+            tcmb: () => tcmbXml
+        });
+
+        const { provider, rates } = await service.fetchRatesWithFailover(providers, 'TRY');
+
+        expect(provider.name).toBe('exchangerate-api');
+        expect(rates.EUR).toBeCloseTo(1 / 0.02725, 6);
+        expect(http.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('moves to the next provider after retrying a failing one', async () => {
+        const { service, http, providers } = createService({
+            'exchangerate-api': failing,
+            tcmb: () => tcmbXml
+        });
+
+        const { provider, rates } = await service.fetchRatesWithFailover(providers, 'TRY');
+
+        expect(provider.name).toBe('tcmb');
+        expect(rates).toEqual({ EUR: 36.6922, USD: 35.593, GBP: 43.5823 });
+        expect(http.get.mock.calls.map(([url]) => url.includes('tcmb.gov.tr') ? 'tcmb' : 'exchangerate-api')).toEqual([
+            ...Array(service.maxRetries).fill('exchangerate-api'),
+            'tcmb'
+        ]);
+    });
+
+    test('treats an error payload as a failure', async () => {
+        const { service, providers } = createService({
+            'exchangerate-api': () => exchangeRateApiError,
+            tcmb: failing
+        });
+
+        const { provider, rates } = await service.fetchRatesWithFailover(providers, 'TRY');
+
+        expect(provider.name).toBe('static');
+        expect(rates).toEqual(staticRates);
+    });
+
+    test('fails with every provider error when none answers', async () => {
+        const { service, providers } = createService({
+            'exchangerate-api': failing,
+            tcmb: failing
+        });
+
+        const fetching = service.fetchRatesWithFailover(providers.slice(0, 2), 'TRY');
+
+        await expect(fetching).rejects.toThrow(ExternalApiError);
+        await expect(fetching).rejects.toThrow(/exchangerate-api: .*; tcmb: /);
+    });
+});
@@ -0,0 +1,69 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+
+// Config is read on first import, so the static rates go in before the app is loaded
+process.env.STATIC_EXCHANGE_RATES = 'EUR=40,USD=32,GBP=50';
+
+const { default: application } = await import('../src/app.js');
+const { cacheHelpers } = await import('../src/utils/cache.js');
+
+const app = application.getApp();
+
+describe('rates routes with the static provider', () => {
+    // Fetched rates and refreshes are logged
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('POST /api/rates/refresh skips the cached rates and drops cached results', async () => {
+        cacheHelpers.setExchangeRates({
+            rates: { EUR: 30, USD: 25, GBP: 35 },
+            source: 'static',
+            provider: 'static',
+            fetchedAt: '2025-01-10T08:00:00.000Z',
+            fallbackUsed: false,
+            fallbackCurrencies: []
+        });
+        cacheHelpers.setCalculationResult('abc', { result: {} });
+        cacheHelpers.setQuoteResult('abc', { result: {} });
+        cacheHelpers.setOdsDefaults({ KDV: 20 });
+
+        const cached = await request(app).get('/api/rates');
+        expect(cached.body.rates.EUR).toBe(30);
+
+        const response = await request(app).post('/api/rates/refresh').send({});
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            success: true,
+            baseCurrency: 'TRY',
+            rates: { EUR: 40, USD: 32, GBP: 50 },
+            source: 'static',
+            provider: 'static',
+            fallbackUsed: false
+        });
+        expect(response.body.fetchedAt).not.toBe('2025-01-10T08:00:00.000Z');
+
+        expect(cacheHelpers.getCalculationResult('abc')).toBeNull();
+        expect(cacheHelpers.getQuoteResult('abc')).toBeNull();
+        // Only results priced with the old rates are dropped
+        expect(cacheHelpers.getOdsDefaults()).toEqual({ KDV: 20 });
+    });
+
+    test.each([
+        [100, 'USD', 'GBP', 0.64, 64],
+        [100, 'EUR', 'TRY', 40, 4000],
+        [1000, 'TRY', 'USD', 0.03125, 31.25]
+    ])('GET /api/rates/convert converts %d %s to %s through TRY', async (amount, from, to, rate, result) => {
+        const response = await request(app)
+            .get('/api/rates/convert')
+            .query({ amount, from, to });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, amount, from, to, rate, result, source: 'static', provider: 'static' });
+    });
+});
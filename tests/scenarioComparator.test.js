@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import { scenarioComparator } from '../src/services/scenarioComparator.js';
+
+describe('scenarioComparator.compare', () => {
+    // The shipped ODS file lacks optional labels, which is logged
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const compare = () => scenarioComparator.compare({
+        scenarios: [
+            { name: 'yeni tedarikçi', input: { fabric: { unit_eur: 4.2 } } },
+            { name: 'mevcut tedarikçi', input: { fabric: { unit_eur: 4.74 } } },
+            {
+                name: 'etiketli',
+                input: {
+                    fabric: { unit_eur: 4.74 },
+                    accessories: [{ name: 'Etiket', quantity: 2, unit_price: 0.15, currency: 'EUR' }]
+                }
+            }
+        ],
+        baseline: 'mevcut tedarikçi'
+    });
+
+    test('aligns the scenarios per range against the named baseline', async () => {
+        const comparison = await compare();
+
+        expect(comparison.baseline).toBe('mevcut tedarikçi');
+        expect(comparison.scenarios.map(({ name }) => name)).toEqual(['yeni tedarikçi', 'mevcut tedarikçi', 'etiketli']);
+        expect(Object.keys(comparison.result)).toEqual(['0-50', '51-100', '101-200']);
+
+        Object.values(comparison.result).forEach(fields => {
+            expect(Object.keys(fields.perUnitFinalEur.values)).toEqual(['yeni tedarikçi', 'mevcut tedarikçi', 'etiketli']);
+            expect(Object.keys(fields.perUnitFinalEur.deltas)).toEqual(['yeni tedarikçi', 'etiketli']);
+        });
+    });
+
+    test('gives the absolute and percentage delta of each field', async () => {
+        const { result } = await compare();
+        const { values, deltas } = result['0-50'].fabricCostEur;
+
+        expect(values).toEqual({ 'yeni tedarikçi': 4.2, 'mevcut tedarikçi': 4.74, etiketli: 4.74 });
+        expect(deltas['yeni tedarikçi']).toEqual({ delta: -0.54, deltaPercent: -11.39 });
+        expect(deltas.etiketli).toEqual({ delta: 0, deltaPercent: 0 });
+
+        const finalEur = result['0-50'].finalEur;
+        const expected = finalEur.values['yeni tedarikçi'] - finalEur.values['mevcut tedarikçi'];
+        expect(finalEur.deltas['yeni tedarikçi'].delta).toBeCloseTo(expected, 2);
+        expect(finalEur.deltas['yeni tedarikçi'].deltaPercent)
+            .toBeCloseTo((expected / finalEur.values['mevcut tedarikçi']) * 100, 1);
+    });
+
+    test('leaves the percentage out when the baseline value is 0', async () => {
+        const { result } = await compare();
+        const { values, deltas } = result['0-50'].accessoriesCostEur;
+
+        expect(values['mevcut tedarikçi']).toBe(0);
+        expect(deltas.etiketli).toEqual({ delta: 0.3, deltaPercent: null });
+    });
+
+    test('reports null for a range one scenario does not have', () => {
+        // Templates may define different tiers
+        const outputs = [
+            { name: 'tisort', output: { result: { '0-50': { finalEur: 100 } } } },
+            { name: 'sweat', output: { result: { '0-50': { finalEur: 120 }, '201-500': { finalEur: 900 } } } }
+        ];
+
+        expect(scenarioComparator.unionRanges(outputs)).toEqual(['0-50', '201-500']);
+        expect(scenarioComparator.compareRange('201-500', outputs, 'tisort')).toEqual({
+            finalEur: {
+                values: { tisort: null, sweat: 900 },
+                deltas: { sweat: { delta: null, deltaPercent: null } }
+            }
+        });
+    });
+});
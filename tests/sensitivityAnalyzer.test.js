@@ -0,0 +1,41 @@
+import fs from 'fs';
+import { jest } from '@jest/globals';
+import { sensitivityAnalyzer } from '../src/services/sensitivityAnalyzer.js';
+import { cacheManager } from '../src/utils/cache.js';
+
+describe('sensitivityAnalyzer.analyze', () => {
+    const input = {
+        vary: [{ parameter: 'fabric.unit_eur', values: [4, 4.5, 5] }],
+        outputs: ['perUnitFinalEur']
+    };
+
+    // The shipped ODS file lacks the optional fabric and accessory labels, which is logged
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const calculationKeys = () => cacheManager.getKeys()
+        .filter(key => key.startsWith('calculation:') || key.startsWith('quote:'))
+        .sort();
+
+    test('leaves cached calculation results alone', async () => {
+        cacheManager.set('calculation:earlier', { cached: true }, 60000);
+        const before = calculationKeys();
+
+        const analysis = await sensitivityAnalyzer.analyze(input);
+
+        expect(analysis.points).toHaveLength(3);
+        expect(calculationKeys()).toEqual(before);
+        expect(cacheManager.get('calculation:earlier')).toEqual({ cached: true });
+    });
+
+    test('reports the modification time of the ODS file the defaults came from', async () => {
+        const analysis = await sensitivityAnalyzer.analyze(input);
+
+        expect(analysis.metadata.odsModifiedAt).toBe(fs.statSync(process.env.ODS_PATH).mtime.toISOString());
+    });
+});
@@ -0,0 +1,20 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep files written during tests out of ./data; config reads these when a test first imports it
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-system-test-'));
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+process.env.EXCHANGE_RATE_PROVIDERS = process.env.EXCHANGE_RATE_PROVIDERS || 'static';
+// Routes that replace the defaults file work on a copy of the shipped one
+process.env.ODS_PATH = path.join(dataDir, 'final_maliyet_sistemi.ods');
+fs.copyFileSync(new URL('../src/data/final_maliyet_sistemi.ods', import.meta.url), process.env.ODS_PATH);
+process.env.QUOTES_PATH = path.join(dataDir, 'quotes.json');
+process.env.DEFAULTS_VERSIONS_PATH = path.join(dataDir, 'versions');
+process.env.RATE_ARCHIVE_PATH = path.join(dataDir, 'rate-archive.json');
+process.env.RATE_OVERRIDES_PATH = path.join(dataDir, 'rate-overrides.json');
+
+afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,56 @@
+import XLSX from 'xlsx';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import application from '../src/app.js';
+
+const app = application.getApp();
+
+describe('POST /api/calculate?format=xlsx|ods', () => {
+    // The shipped ODS file lacks optional labels and every calculation is logged
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const input = { customerRef: 'ACME-001', karlilik: { '0-50': 30 } };
+    const readFields = sheet => Object.fromEntries(
+        XLSX.utils.sheet_to_json(sheet).map(({ Field, Value }) => [Field, Value])
+    );
+
+    test.each([
+        ['xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        ['ods', 'application/vnd.oasis.opendocument.spreadsheet']
+    ])('returns a %s workbook with the inputs and one sheet per range', async (format, contentType) => {
+        const { body: { data } } = await request(app).post('/api/calculate').send(input);
+        const response = await request(app)
+            .post(`/api/calculate?format=${format}`)
+            .send(input)
+            .responseType('blob');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(new RegExp(`^${contentType}`));
+        expect(response.headers['content-disposition']).toMatch(new RegExp(`^attachment; filename="Q-\\d{8}-[0-9a-f]{8}\\.${format}"$`));
+
+        const workbook = XLSX.read(response.body, { type: 'buffer' });
+        expect(workbook.SheetNames).toEqual(['Inputs', '0-50', '51-100', '101-200']);
+
+        const inputs = XLSX.utils.sheet_to_json(workbook.Sheets.Inputs);
+        expect(inputs).toContainEqual({ Section: 'quote', Key: 'customerRef', Value: 'ACME-001' });
+        expect(inputs).toContainEqual({ Section: 'karlilik', Key: 'karlilik', Range: '0-50', Value: 30 });
+
+        ['0-50', '51-100', '101-200'].forEach(range => {
+            const fields = readFields(workbook.Sheets[range]);
+            const expected = data.result[range];
+
+            expect(fields.hamMaliyetEur).toBe(expected.hamMaliyetEur);
+            expect(fields.genelGiderEur).toBe(expected.genelGiderEur);
+            expect(fields.karEur).toBe(expected.karEur);
+            expect(fields.kdvEur).toBe(expected.kdvEur);
+            expect(fields['final.EUR.perUnit']).toBe(expected.final.EUR.perUnit);
+        });
+    });
+});
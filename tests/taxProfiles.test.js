@@ -0,0 +1,85 @@
+import request from 'supertest';
+import PDFDocument from 'pdfkit';
+import { jest } from '@jest/globals';
+import application from '../src/app.js';
+import { taxProfileService } from '../src/services/taxProfileService.js';
+import { calculateSchema, validateInput } from '../src/middleware/validation.js';
+import { CalculationError } from '../src/utils/errors.js';
+
+const app = application.getApp();
+
+describe('taxProfileService.resolve', () => {
+    test('export requires the document reference', () => {
+        expect(() => taxProfileService.resolve('export')).toThrow(CalculationError);
+        expect(() => taxProfileService.resolve('export')).toThrow('Tax profile export requires taxDocumentRef');
+
+        expect(taxProfileService.resolve('export', { documentRef: 'GCB-2025-0001' })).toMatchObject({
+            name: 'export',
+            kdv: 0,
+            documentRef: 'GCB-2025-0001',
+            destinationCountry: null
+        });
+    });
+
+    test('eu requires a destination country with a rate', () => {
+        expect(() => taxProfileService.resolve('eu')).toThrow('Tax profile eu requires destinationCountry');
+        expect(() => taxProfileService.resolve('eu', { destinationCountry: 'TR' }))
+            .toThrow('Tax profile eu has no rate for destination country TR');
+
+        expect(taxProfileService.resolve('eu', { destinationCountry: 'DE' })).toMatchObject({ kdv: 19, destinationCountry: 'DE' });
+    });
+});
+
+describe('calculateSchema', () => {
+    test('takes either a tax profile or KDV, not both', () => {
+        expect(validateInput(calculateSchema, { taxProfile: 'domestic' }).details).toBeNull();
+        expect(validateInput(calculateSchema, { KDV: 18 }).details).toBeNull();
+
+        const { details } = validateInput(calculateSchema, { taxProfile: 'domestic', KDV: 18 });
+        expect(details).toHaveLength(1);
+        expect(details[0].message).toMatch(/taxProfile.*KDV/);
+    });
+});
+
+describe('calculations with a tax profile', () => {
+    // The shipped ODS file lacks optional labels and rejected requests are logged
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('answer 422 when the profile is missing what it requires', async () => {
+        const response = await request(app)
+            .post('/api/calculate')
+            .send({ taxProfile: 'export' });
+
+        expect(response.status).toBe(422);
+        expect(response.body.error.message).toBe('Tax profile export requires taxDocumentRef');
+    });
+
+    test('save the profile with the quote and print it on the PDF', async () => {
+        const calculation = await request(app)
+            .post('/api/calculate')
+            .send({ taxProfile: 'eu', destinationCountry: 'de' });
+
+        expect(calculation.status).toBe(200);
+        expect(calculation.body.data.KDV).toBe(19);
+
+        const { quoteId } = calculation.body.data.metadata;
+        const saved = await request(app).get(`/api/quotes/${quoteId}`);
+
+        expect(saved.status).toBe(200);
+        expect(saved.body.data.params.taxProfile).toMatchObject({ name: 'eu', kdv: 19, destinationCountry: 'DE' });
+
+        const text = jest.spyOn(PDFDocument.prototype, 'text');
+        const pdf = await request(app).get(`/api/quotes/${quoteId}/pdf`);
+
+        expect(pdf.status).toBe(200);
+        expect(text.mock.calls.map(([value]) => value)).toContain('Tax profile: eu (KDV 19,00%, destination DE)');
+    });
+});
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import XLSX from 'xlsx';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import application from '../src/app.js';
+import { odsParser } from '../src/services/odsParser.js';
+
+// Sheet laid out like src/data/final_maliyet_sistemi.ods, cut down to two operations
+const fixtureRows = JSON.parse(fs.readFileSync(new URL('./fixtures/defaults-sheet.json', import.meta.url), 'utf8'));
+
+// A second product with its own KDV and sewing costs
+const sweatRows = fixtureRows.map(row => {
+    if (row[0] === 'KDV Oranı (%)') return [row[0], '10'];
+    if (row[0] === 'DİKİM TRY') return [row[0], '900', '750', '600'];
+    return row;
+});
+
+const app = application.getApp();
+
+describe('templates from the sheets of the ODS file', () => {
+    beforeAll(() => {
+        // tests/setup.js points ODS_PATH to a copy for this test file
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(fixtureRows), 'Maliyet Sistemi');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sweatRows), 'Kapüşonlu Sweat');
+        XLSX.writeFile(workbook, process.env.ODS_PATH, { bookType: 'ods' });
+    });
+
+    // The fixture sheet lacks optional labels, and requests are logged
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('each sheet becomes a template named by its slug', async () => {
+        const expected = [
+            { name: 'maliyet-sistemi', sheetName: 'Maliyet Sistemi', default: true },
+            { name: 'kapusonlu-sweat', sheetName: 'Kapüşonlu Sweat', default: false }
+        ];
+
+        expect(odsParser.listTemplates()).toEqual(expected);
+
+        const response = await request(app).get('/api/templates');
+        expect(response.status).toBe(200);
+        expect(response.body.templates).toEqual(expected);
+    });
+
+    test('GET /api/schema?template= returns the defaults of that sheet', async () => {
+        const response = await request(app).get('/api/schema?template=kapusonlu-sweat');
+
+        expect(response.status).toBe(200);
+        expect(response.body.metadata.template).toBe('kapusonlu-sweat');
+        expect(response.body.defaults).toMatchObject({
+            template: 'kapusonlu-sweat',
+            KDV: 10,
+            komisyon: 5,
+            operations: {
+                'KESİM TRY': { '0-50': 100, '51-100': 563, '101-200': 100 },
+                'DİKİM TRY': { '0-50': 900, '51-100': 750, '101-200': 600 }
+            }
+        });
+
+        // Without a template the first sheet is used
+        const first = await request(app).get('/api/schema');
+        expect(first.body.defaults).toMatchObject({ template: 'maliyet-sistemi', KDV: 20 });
+        expect(first.body.defaults.operations['DİKİM TRY']).toEqual({ '0-50': 400, '51-100': 300, '101-200': 400 });
+    });
+
+    test('GET /api/schema answers 404 for an unknown template', async () => {
+        const response = await request(app).get('/api/schema?template=tisort');
+
+        expect(response.status).toBe(404);
+        expect(response.body.success).toBe(false);
+        expect(response.body.error.message).toBe('Template not found: tisort');
+    });
+});